@@ -1,17 +1,25 @@
 import { useEffect, useState } from 'react';
-import { View, ActivityIndicator } from 'react-native';
+import { View, ActivityIndicator, Alert } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { Ionicons } from '@expo/vector-icons';
 
-import { load } from './src/state/store.js';
+import {
+  load, getLoadProblem, dismissLoadProblem, restoreSnapshot,
+} from './src/state/store.js';
+import { initOutbox } from './src/state/outbox.js';
 import PlayerManagerScreen from './src/screens/PlayerManagerScreen.js';
 import TournamentSetupScreen from './src/screens/TournamentSetupScreen.js';
 import PairingsScreen from './src/screens/PairingsScreen.js';
 import StandingsScreen from './src/screens/StandingsScreen.js';
 import HistoryScreen from './src/screens/HistoryScreen.js';
+import LeagueScreen from './src/screens/LeagueScreen.js';
+import SyncScreen from './src/screens/SyncScreen.js';
+import MatchLogScreen from './src/screens/MatchLogScreen.js';
+import DisplayScreen from './src/screens/DisplayScreen.js';
+import SettingsScreen from './src/screens/SettingsScreen.js';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -33,15 +41,54 @@ function TournamentStack() {
     <Stack.Navigator screenOptions={stackScreenOptions} initialRouteName="TournamentSetup">
       <Stack.Screen name="TournamentSetup" component={TournamentSetupScreen} options={{ title: 'Tournament' }} />
       <Stack.Screen name="Pairings" component={PairingsScreen} options={{ title: 'Pairings' }} />
+      <Stack.Screen name="Sync" component={SyncScreen} options={{ title: 'Multi-device Sync' }} />
+      <Stack.Screen name="MatchLog" component={MatchLogScreen} options={{ title: 'Match Log' }} />
+      <Stack.Screen name="Display" component={DisplayScreen} options={{ headerShown: false }} />
     </Stack.Navigator>
   );
 }
 
+/** Boot prompt when saved state was unreadable or not saved cleanly (see store.getLoadProblem). */
+function showLoadProblem({ reason, quarantined, snapshots }) {
+  const current = quarantined
+    ? 'The app started with empty data. The unreadable data was set aside; save it from Settings → Backup.'
+    : 'The most recent changes may be missing.';
+  if (snapshots.length === 0) {
+    Alert.alert('Saved Data Problem', `${reason}\n\n${current}`, [{ text: 'OK', onPress: dismissLoadProblem }]);
+    return;
+  }
+
+  const restore = async (slot) => {
+    if (!(await restoreSnapshot(slot))) {
+      Alert.alert('Restore Failed', 'That snapshot is damaged. The current data was kept.');
+      dismissLoadProblem();
+    }
+  };
+  const time = iso => new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+  Alert.alert(
+    'Restore from Snapshot?',
+    `${reason}\n\n${current} You can restore an earlier snapshot instead.`,
+    [
+      { text: quarantined ? 'Start Empty' : 'Keep Current', style: 'cancel', onPress: dismissLoadProblem },
+      ...snapshots.slice(0, 2).map(snap => ({
+        text: `Restore ${time(snap.savedAt)}`,
+        onPress: () => restore(snap.slot),
+      })),
+    ],
+    { cancelable: false }
+  );
+}
+
 export default function App() {
   const [ready, setReady] = useState(false);
 
   useEffect(() => {
-    load().then(() => setReady(true));
+    load().then(() => {
+      setReady(true);
+      initOutbox();
+      const problem = getLoadProblem();
+      if (problem) showLoadProblem(problem);
+    });
   }, []);
 
   if (!ready) {
@@ -110,6 +157,30 @@ export default function App() {
             ),
           }}
         />
+        <Tab.Screen
+          name="League"
+          component={LeagueScreen}
+          options={{
+            ...tabHeaderOptions,
+            title: 'League',
+            tabBarLabel: 'League',
+            tabBarIcon: ({ focused, color, size }) => (
+              <Ionicons name={focused ? 'ribbon' : 'ribbon-outline'} size={size} color={color} />
+            ),
+          }}
+        />
+        <Tab.Screen
+          name="Settings"
+          component={SettingsScreen}
+          options={{
+            ...tabHeaderOptions,
+            title: 'Settings',
+            tabBarLabel: 'Settings',
+            tabBarIcon: ({ focused, color, size }) => (
+              <Ionicons name={focused ? 'settings' : 'settings-outline'} size={size} color={color} />
+            ),
+          }}
+        />
       </Tab.Navigator>
       <StatusBar style="light" />
     </NavigationContainer>
@@ -0,0 +1,138 @@
+// Local sync relay — a stand-in message server for multi-device sync.
+// Run it on any laptop on the venue Wi-Fi:  npm run relay  (PORT=8787 by default)
+//
+// What it does:
+//   1. Keeps an ordered message log per room (the short code shown by the host)
+//   2. POST /rooms/:code appends { from, key, to?, body } and returns its sequence number
+//   3. GET /rooms/:code?after=N&for=ID&key=K long-polls for messages after N that are
+//      addressed to ID (or to everyone) and were not sent by ID. Without `after`
+//      it waits for new messages only.
+//   4. GET /rooms/:code/latest?type=T returns the newest broadcast body of type T,
+//      for the public types only (the self-report board)
+//   5. GET /report/:code serves the player self-report page (report-page.html)
+//
+// Every device sends a secret key with its ID. The first key seen for an ID in a
+// room is kept, and posting or polling as that ID later needs the same key, so
+// nobody can read messages addressed to another device or post in its name.
+// The relay never looks inside message bodies; the host device resolves conflicts.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT         = Number(process.env.PORT) || 8787;
+const POLL_WAIT_MS = 20000; // how long a GET waits for new messages before returning []
+const MAX_MESSAGES = 1000;  // per room; older messages are dropped
+const PUBLIC_TYPES = new Set(['board']); // served by /latest to anyone with the room code
+
+// code → { seq, messages: [], latest: { [type]: body }, keys: Map<id, key>, waiters: Set<() => void> }
+const rooms = new Map();
+
+function getRoom(code) {
+  if (!rooms.has(code)) rooms.set(code, { seq: 0, messages: [], latest: {}, keys: new Map(), waiters: new Set() });
+  return rooms.get(code);
+}
+
+// True if key belongs to id in this room; the first key presented for an id claims it
+function authorize(room, id, key) {
+  if (typeof id !== 'string' || !id || typeof key !== 'string' || !key) return false;
+  if (!room.keys.has(id)) room.keys.set(id, key);
+  return room.keys.get(id) === key;
+}
+
+function visibleTo(room, after, clientId) {
+  return room.messages.filter(m =>
+    m.seq > after && m.from !== clientId && (m.to == null || m.to === clientId)
+  );
+}
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try { resolve(JSON.parse(raw || '{}')); } catch (e) { reject(e); }
+    });
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'GET' && /^\/report\/[A-Z0-9]{4,8}\/?$/i.test(url.pathname)) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(fs.readFileSync(path.join(__dirname, 'report-page.html')));
+  }
+
+  const latest = url.pathname.match(/^\/rooms\/([A-Z0-9]{4,8})\/latest$/i);
+  if (latest && req.method === 'GET') {
+    const type = url.searchParams.get('type');
+    const room = getRoom(latest[1].toUpperCase());
+    return send(res, 200, { body: PUBLIC_TYPES.has(type) ? room.latest[type] ?? null : null });
+  }
+
+  const match = url.pathname.match(/^\/rooms\/([A-Z0-9]{4,8})$/i);
+  if (!match) return send(res, 404, { error: 'Not found' });
+  const room = getRoom(match[1].toUpperCase());
+
+  if (req.method === 'POST') {
+    let msg;
+    try {
+      msg = await readBody(req);
+    } catch {
+      return send(res, 400, { error: 'Invalid JSON' });
+    }
+    if (!msg.from || msg.body === undefined) return send(res, 400, { error: 'from and body are required' });
+    if (!authorize(room, msg.from, msg.key)) return send(res, 403, { error: 'Wrong key for this device' });
+    room.seq += 1;
+    room.messages.push({ seq: room.seq, from: msg.from, to: msg.to ?? null, body: msg.body });
+    if (room.messages.length > MAX_MESSAGES) room.messages.shift();
+    if (msg.to == null && PUBLIC_TYPES.has(msg.body?.type)) room.latest[msg.body.type] = msg.body;
+    for (const wake of room.waiters) wake();
+    return send(res, 200, { seq: room.seq });
+  }
+
+  if (req.method === 'GET') {
+    const after = url.searchParams.has('after') ? Number(url.searchParams.get('after')) || 0 : room.seq;
+    const clientId = url.searchParams.get('for');
+    if (!authorize(room, clientId, url.searchParams.get('key'))) return send(res, 403, { error: 'Wrong key for this device' });
+    const ready = visibleTo(room, after, clientId);
+    if (ready.length > 0) return send(res, 200, { messages: ready, last: room.seq });
+
+    // Nothing yet: hold the request until a message for this client arrives or the wait runs out
+    const done = messages => {
+      clearTimeout(timer);
+      room.waiters.delete(wake);
+      if (!res.writableEnded) send(res, 200, { messages, last: room.seq });
+    };
+    const wake = () => {
+      const messages = visibleTo(room, after, clientId);
+      if (messages.length > 0) done(messages);
+    };
+    const timer = setTimeout(() => done([]), POLL_WAIT_MS);
+    room.waiters.add(wake);
+    res.on('close', () => {
+      clearTimeout(timer);
+      room.waiters.delete(wake);
+    });
+    return;
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`[relay] listening on port ${PORT}`);
+});
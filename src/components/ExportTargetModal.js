@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import {
+  Modal, View, Text, Pressable, ScrollView, TextInput, StyleSheet,
+} from 'react-native';
+import { EXPORT_TARGET_TYPES } from '../logic/exportTargets.js';
+
+// Edits the name and settings of one export target. Changes are only applied on Save.
+export default function ExportTargetModal({ visible, value, onSave, onCancel }) {
+  const [target, setTarget] = useState(value);
+
+  useEffect(() => {
+    if (visible) setTarget(value);
+  }, [visible]);
+
+  if (!target) return null;
+  const type = EXPORT_TARGET_TYPES[target.type];
+  const setField = (key, text) => setTarget(prev => ({ ...prev, config: { ...prev.config, [key]: text } }));
+
+  return (
+    <Modal visible={visible} transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.box}>
+          <Text style={styles.title}>{type.label}</Text>
+          <ScrollView style={styles.list}>
+            <Text style={styles.fieldLabel}>Name</Text>
+            <TextInput
+              style={styles.input}
+              value={target.name}
+              onChangeText={name => setTarget(prev => ({ ...prev, name }))}
+            />
+            {type.fields.map(f => (
+              <View key={f.key}>
+                <Text style={styles.fieldLabel}>{f.label}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={target.config[f.key] ?? ''}
+                  onChangeText={text => setField(f.key, text)}
+                  placeholder={f.placeholder}
+                  placeholderTextColor="#555"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  secureTextEntry={f.secure}
+                />
+              </View>
+            ))}
+          </ScrollView>
+          <View style={styles.buttons}>
+            <Pressable style={styles.cancelBtn} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </Pressable>
+            <Pressable
+              style={styles.saveBtn}
+              onPress={() => onSave({ ...target, name: target.name.trim() || type.label })}
+            >
+              <Text style={styles.saveText}>Save</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  box: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 10,
+    padding: 20,
+    width: '85%',
+    maxHeight: '80%',
+    gap: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    color: '#aaa',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#2a2a2a',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    color: '#fff',
+    fontSize: 14,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4,
+  },
+  cancelBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  cancelText: {
+    color: '#aaa',
+    fontSize: 15,
+  },
+  saveBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  saveText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import {
+  Modal, View, Text, Pressable, ScrollView, TextInput, ActivityIndicator, StyleSheet,
+} from 'react-native';
+import { parseResultsCSV, previewImport } from '../logic/csvImport.js';
+
+// Imports past tournaments from a results CSV (pasted or fetched from a URL).
+// Step 1 reads the file; step 2 previews what will be imported before onImport(rows).
+export default function ImportResultsModal({ visible, players, pastTournaments, onImport, onCancel }) {
+  const [text, setText] = useState('');
+  const [url, setUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [parsed, setParsed] = useState(null); // { rows, errors } once read
+
+  useEffect(() => {
+    if (visible) {
+      setText('');
+      setError(null);
+      setParsed(null);
+    }
+  }, [visible]);
+
+  const read = csv => {
+    const result = parseResultsCSV(csv);
+    if (result.rows.length === 0) {
+      setError(result.errors[0] ?? 'No results found.');
+      return;
+    }
+    setError(null);
+    setParsed(result);
+  };
+
+  const handleFetch = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(url.trim());
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      read(await res.text());
+    } catch (e) {
+      setError(`Could not fetch the file: ${e.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const preview = parsed && previewImport(parsed.rows, players, pastTournaments);
+  const newDates = preview?.dates.filter(d => !d.duplicate) ?? [];
+
+  return (
+    <Modal visible={visible} transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.box}>
+          <Text style={styles.title}>Import Results</Text>
+
+          {!preview ? (
+            <ScrollView style={styles.list}>
+              <Text style={styles.fieldLabel}>File URL</Text>
+              <View style={styles.urlRow}>
+                <TextInput
+                  style={[styles.input, { flex: 1 }]}
+                  value={url}
+                  onChangeText={setUrl}
+                  placeholder="https://raw.githubusercontent.com/…/2026_02_22_matches.csv"
+                  placeholderTextColor="#555"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <Pressable
+                  style={[styles.smallBtn, (!url.trim() || loading) && styles.disabledBtn]}
+                  onPress={handleFetch}
+                  disabled={!url.trim() || loading}
+                >
+                  {loading
+                    ? <ActivityIndicator color="#fff" size="small" />
+                    : <Text style={styles.smallBtnText}>Fetch</Text>}
+                </Pressable>
+              </View>
+              <Text style={styles.fieldLabel}>…or paste the CSV</Text>
+              <TextInput
+                style={[styles.input, styles.textArea]}
+                value={text}
+                onChangeText={setText}
+                placeholder={'draws,player1,player1Wins,player2,player2Wins,round,tournamentDate\n…'}
+                placeholderTextColor="#555"
+                autoCapitalize="none"
+                autoCorrect={false}
+                multiline
+              />
+              {error && <Text style={styles.error}>{error}</Text>}
+            </ScrollView>
+          ) : (
+            <ScrollView style={styles.list}>
+              <Text style={styles.fieldLabel}>Tournaments</Text>
+              {preview.dates.map(d => (
+                <Text key={d.dateStr} style={[styles.line, d.duplicate && styles.skipped]}>
+                  {d.dateStr} · {d.players} players · {d.rounds} rounds · {d.matches} matches
+                  {d.duplicate ? ' — already in history, skipped' : ''}
+                </Text>
+              ))}
+
+              <Text style={styles.fieldLabel}>Unmatched names</Text>
+              {preview.unmatched.length === 0
+                ? <Text style={styles.line}>All names match the player list.</Text>
+                : (
+                  <>
+                    <Text style={styles.warning}>
+                      These names are not in the player list and will be added as new players.
+                      Cancel and rename players first if they are spelled differently.
+                    </Text>
+                    {preview.unmatched.map(name => <Text key={name} style={styles.line}>• {name}</Text>)}
+                  </>
+                )}
+
+              {parsed.errors.length > 0 && (
+                <>
+                  <Text style={styles.fieldLabel}>Skipped lines</Text>
+                  {parsed.errors.map(e => <Text key={e} style={styles.error}>{e}</Text>)}
+                </>
+              )}
+            </ScrollView>
+          )}
+
+          <View style={styles.buttons}>
+            <Pressable style={styles.cancelBtn} onPress={preview ? () => setParsed(null) : onCancel}>
+              <Text style={styles.cancelText}>{preview ? 'Back' : 'Cancel'}</Text>
+            </Pressable>
+            {preview ? (
+              <Pressable
+                style={[styles.saveBtn, newDates.length === 0 && styles.disabledBtn]}
+                onPress={() => onImport(parsed.rows)}
+                disabled={newDates.length === 0}
+              >
+                <Text style={styles.saveText}>
+                  Import {newDates.length} {newDates.length === 1 ? 'tournament' : 'tournaments'}
+                </Text>
+              </Pressable>
+            ) : (
+              <Pressable
+                style={[styles.saveBtn, !text.trim() && styles.disabledBtn]}
+                onPress={() => read(text)}
+                disabled={!text.trim()}
+              >
+                <Text style={styles.saveText}>Preview</Text>
+              </Pressable>
+            )}
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  box: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 10,
+    padding: 20,
+    width: '90%',
+    maxHeight: '85%',
+    gap: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    color: '#aaa',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#2a2a2a',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    color: '#fff',
+    fontSize: 14,
+  },
+  textArea: {
+    minHeight: 140,
+    textAlignVertical: 'top',
+    fontFamily: 'monospace',
+    fontSize: 12,
+  },
+  urlRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  smallBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    justifyContent: 'center',
+  },
+  smallBtnText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 14,
+  },
+  line: {
+    fontSize: 14,
+    color: '#ddd',
+    paddingVertical: 2,
+  },
+  skipped: {
+    color: '#666',
+  },
+  warning: {
+    fontSize: 13,
+    color: '#fbbf24',
+    marginBottom: 4,
+  },
+  error: {
+    fontSize: 13,
+    color: '#f87171',
+    marginTop: 6,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4,
+  },
+  cancelBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  cancelText: {
+    color: '#aaa',
+    fontSize: 15,
+  },
+  saveBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  saveText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+  disabledBtn: {
+    opacity: 0.4,
+  },
+});
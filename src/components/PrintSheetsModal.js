@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import {
+  Modal, View, Text, Pressable, ActivityIndicator, Alert, StyleSheet,
+} from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { getActiveRound } from '../state/tournament.js';
+import {
+  PRINT_SHEETS, pairingsSheetHTML, resultSlipsHTML, standingsSheetHTML, printFilename,
+} from '../logic/printSheets.js';
+
+const FORMATS = [
+  { id: 'pdf',  label: 'PDF',  mimeType: 'application/pdf', UTI: 'com.adobe.pdf' },
+  { id: 'html', label: 'HTML', mimeType: 'text/html',       UTI: 'public.html' },
+];
+
+// Builds a printable sheet (logic/printSheets.js) for the active round or the
+// standings and hands it to the share sheet, as a PDF or a plain HTML file.
+export default function PrintSheetsModal({ visible, tournament, players, onClose }) {
+  const [format, setFormat] = useState('pdf');
+  const [busy, setBusy] = useState(false);
+
+  const round = getActiveRound();
+  const playerMap = Object.fromEntries(players.map(p => [p.id, p.name]));
+  const hasStandings = tournament.rounds.some(r => r.status === 'complete');
+
+  const build = kind => {
+    if (kind === 'pairings') return pairingsSheetHTML(tournament, round, playerMap);
+    if (kind === 'slips') return resultSlipsHTML(tournament, round, playerMap);
+    return standingsSheetHTML(tournament, playerMap);
+  };
+
+  const handleShare = async kind => {
+    const { mimeType, UTI } = FORMATS.find(f => f.id === format);
+    const filename = printFilename(tournament.dateStr, kind, kind === 'standings' ? null : round, format);
+    const path = FileSystem.cacheDirectory + filename;
+    setBusy(true);
+    try {
+      const html = build(kind);
+      if (format === 'pdf') {
+        const { uri } = await Print.printToFileAsync({ html });
+        await FileSystem.deleteAsync(path, { idempotent: true });
+        await FileSystem.moveAsync({ from: uri, to: path });
+      } else {
+        await FileSystem.writeAsStringAsync(path, html, { encoding: 'utf8' });
+      }
+      await Sharing.shareAsync(path, { mimeType, UTI, dialogTitle: PRINT_SHEETS[kind].label });
+    } catch (e) {
+      Alert.alert('Print Failed', e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.box}>
+          <Text style={styles.title}>Print Sheets</Text>
+          <View style={styles.formatRow}>
+            {FORMATS.map(f => (
+              <Pressable
+                key={f.id}
+                style={[styles.chip, format === f.id && styles.chipOn]}
+                onPress={() => setFormat(f.id)}
+              >
+                <Text style={[styles.chipText, format === f.id && styles.chipTextOn]}>{f.label}</Text>
+              </Pressable>
+            ))}
+          </View>
+          {Object.entries(PRINT_SHEETS).map(([kind, sheet]) => {
+            const enabled = !busy && (sheet.needsRound ? !!round : hasStandings);
+            return (
+              <Pressable
+                key={kind}
+                style={[styles.sheetBtn, !enabled && styles.sheetBtnDisabled]}
+                disabled={!enabled}
+                onPress={() => handleShare(kind)}
+              >
+                <Text style={styles.sheetBtnText}>{sheet.label}</Text>
+              </Pressable>
+            );
+          })}
+          {!round && <Text style={styles.hint}>Pairings and slips need a round in progress.</Text>}
+          {busy && <ActivityIndicator color="#60a5fa" />}
+          <View style={styles.buttons}>
+            <Pressable style={styles.cancelBtn} onPress={onClose}>
+              <Text style={styles.cancelText}>Close</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  box: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 10,
+    padding: 20,
+    width: '80%',
+    gap: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  formatRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 14,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  chipOn: {
+    borderColor: '#2563eb',
+    backgroundColor: '#1e3a8a',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#aaa',
+  },
+  chipTextOn: {
+    color: '#fff',
+  },
+  sheetBtn: {
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  sheetBtnDisabled: {
+    opacity: 0.4,
+  },
+  sheetBtnText: {
+    color: '#60a5fa',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 4,
+  },
+  cancelBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  cancelText: {
+    color: '#aaa',
+    fontSize: 15,
+  },
+});
@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react';
+import {
+  Modal, View, Text, Pressable, ScrollView, TextInput, Switch, StyleSheet,
+} from 'react-native';
+import { SCORING_PRESETS, DEFAULT_SCORING } from '../constants.js';
+import { MATCH_FORMATS, gamesToWin } from '../logic/format.js';
+
+// Numeric fields of a custom preset: [key, label, read from preset, write into preset]
+const FIELDS = [
+  ['win',    'Win points',  s => s.win,  (s, v) => ({ ...s, win: v })],
+  ['draw',   'Draw points', s => s.draw, (s, v) => ({ ...s, draw: v })],
+  ['loss',   'Loss points', s => s.loss, (s, v) => ({ ...s, loss: v })],
+  ['bye',    'Bye games won', s => s.bye.player1Wins,
+    (s, v) => ({ ...s, bye: { ...s.bye, player1Wins: v } })],
+  ['bestOf', 'Best of',     s => s.bestOf, (s, v) => ({ ...s, bestOf: v })],
+  ['floor',  'Tiebreak floor %', s => Math.round(s.minMatchWinPct * 100),
+    (s, v) => ({ ...s, minMatchWinPct: v / 100, minGameWinPct: v / 100 })],
+];
+
+// Picks a scoring preset, or edits a custom one. Changes are only applied on Save.
+export default function ScoringPresetModal({ visible, value, onSave, onCancel }) {
+  const [scoring, setScoring] = useState(value);
+  const [drafts, setDrafts] = useState({});
+
+  useEffect(() => {
+    if (visible) {
+      setScoring(value);
+      setDrafts({});
+    }
+  }, [visible]);
+
+  const choose = preset => {
+    setScoring(preset);
+    setDrafts({});
+  };
+
+  // Any edit turns the preset into a custom one; invalid input is kept as a draft only
+  const editField = (key, apply, text) => {
+    setDrafts(prev => ({ ...prev, [key]: text }));
+    const v = Number(text);
+    if (text.trim() === '' || !_isValidField(key, v, scoring)) return;
+    setScoring(prev => {
+      const next = { ...apply(prev, v), id: 'custom', label: 'Custom' };
+      // A shorter match format caps the games a bye is worth
+      const maxBye = gamesToWin(next.bestOf);
+      return next.bye.player1Wins > maxBye ? { ...next, bye: { ...next.bye, player1Wins: maxBye } } : next;
+    });
+    if (key === 'bestOf') setDrafts(prev => ({ ...prev, bye: undefined }));
+  };
+
+  const toggleDoubleLoss = on =>
+    setScoring(prev => ({ ...prev, doubleLoss: on, id: 'custom', label: 'Custom' }));
+
+  return (
+    <Modal visible={visible} transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.box}>
+          <Text style={styles.title}>Scoring</Text>
+          <ScrollView style={styles.list}>
+            {[...Object.values(SCORING_PRESETS), { id: 'custom', label: 'Custom' }].map(preset => (
+              <Pressable
+                key={preset.id}
+                style={styles.row}
+                onPress={() => choose(preset.id === 'custom' ? { ...scoring, id: 'custom', label: 'Custom' } : preset)}
+              >
+                <View style={[styles.radio, scoring.id === preset.id && styles.radioOn]} />
+                <Text style={styles.label}>{preset.label}</Text>
+                {preset.id !== 'custom' && (
+                  <Text style={styles.summary}>{scoringSummary(preset)}</Text>
+                )}
+              </Pressable>
+            ))}
+
+            {FIELDS.map(([key, label, read, apply]) => (
+              <View key={key} style={styles.fieldRow}>
+                <Text style={styles.fieldLabel}>{label}</Text>
+                <TextInput
+                  style={styles.input}
+                  keyboardType="decimal-pad"
+                  value={drafts[key] ?? String(read(scoring))}
+                  onChangeText={text => editField(key, apply, text)}
+                />
+              </View>
+            ))}
+            <View style={styles.fieldRow}>
+              <Text style={styles.fieldLabel}>Allow double loss</Text>
+              <Switch value={scoring.doubleLoss} onValueChange={toggleDoubleLoss} />
+            </View>
+          </ScrollView>
+          <View style={styles.buttons}>
+            <Pressable style={styles.resetBtn} onPress={() => choose(DEFAULT_SCORING)}>
+              <Text style={styles.resetText}>Reset</Text>
+            </Pressable>
+            <Pressable style={styles.cancelBtn} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </Pressable>
+            <Pressable style={styles.saveBtn} onPress={() => onSave(scoring)}>
+              <Text style={styles.saveText}>Save</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+/** Short description of a preset, e.g. "3/1/0 · Bo3 · bye 2-0". */
+export function scoringSummary(scoring) {
+  const { win, draw, loss, bestOf, bye } = scoring;
+  return `${win}/${draw}/${loss} · Bo${bestOf} · bye ${bye.player1Wins}-${bye.player2Wins}`;
+}
+
+// Win points must be positive (match-win % divides by them), a bye can't be
+// worth more games than winning the match, and the floor is a percentage
+function _isValidField(key, v, scoring) {
+  if (!Number.isFinite(v) || v < 0) return false;
+  switch (key) {
+    case 'win':    return v > 0;
+    case 'bye':    return Number.isInteger(v) && v <= gamesToWin(scoring.bestOf);
+    case 'bestOf': return MATCH_FORMATS.includes(v);
+    case 'floor':  return v <= 100;
+    default:       return true;
+  }
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  box: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 10,
+    padding: 20,
+    width: '85%',
+    maxHeight: '80%',
+    gap: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+    gap: 8,
+  },
+  radio: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#555',
+  },
+  radioOn: {
+    borderColor: '#2563eb',
+    backgroundColor: '#2563eb',
+  },
+  label: {
+    flex: 1,
+    fontSize: 14,
+    color: '#eee',
+  },
+  summary: {
+    fontSize: 12,
+    color: '#888',
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    color: '#aaa',
+  },
+  input: {
+    width: 64,
+    backgroundColor: '#2a2a2a',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    color: '#fff',
+    fontSize: 14,
+    textAlign: 'right',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4,
+  },
+  resetBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 'auto',
+  },
+  resetText: {
+    color: '#60a5fa',
+    fontSize: 15,
+  },
+  cancelBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  cancelText: {
+    color: '#aaa',
+    fontSize: 15,
+  },
+  saveBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  saveText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { Modal, View, Text, Pressable, ScrollView, StyleSheet } from 'react-native';
+import { TIEBREAKERS, DEFAULT_TIEBREAKERS } from '../logic/standings.js';
+
+// Edits an ordered tiebreaker chain. Changes are only applied on Save.
+export default function TiebreakerPickerModal({ visible, value, onSave, onCancel }) {
+  const [chain, setChain] = useState(value);
+
+  useEffect(() => {
+    if (visible) setChain(value);
+  }, [visible]);
+
+  const unused = Object.keys(TIEBREAKERS).filter(id => !chain.includes(id));
+
+  const move = (idx, delta) => setChain(prev => {
+    const next = [...prev];
+    const target = idx + delta;
+    if (target < 0 || target >= next.length) return prev;
+    [next[idx], next[target]] = [next[target], next[idx]];
+    return next;
+  });
+
+  const remove = id => setChain(prev => prev.filter(x => x !== id));
+  const add = id => setChain(prev => [...prev, id]);
+
+  return (
+    <Modal visible={visible} transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.box}>
+          <Text style={styles.title}>Tiebreakers</Text>
+          <Text style={styles.hint}>Applied in order after match points.</Text>
+          <ScrollView style={styles.list}>
+            {chain.map((id, idx) => (
+              <View key={id} style={styles.row}>
+                <Text style={styles.rank}>{idx + 1}.</Text>
+                <Text style={styles.label}>{TIEBREAKERS[id].label}</Text>
+                <Pressable style={styles.iconBtn} onPress={() => move(idx, -1)}>
+                  <Text style={styles.iconText}>↑</Text>
+                </Pressable>
+                <Pressable style={styles.iconBtn} onPress={() => move(idx, 1)}>
+                  <Text style={styles.iconText}>↓</Text>
+                </Pressable>
+                <Pressable style={styles.iconBtn} onPress={() => remove(id)}>
+                  <Text style={styles.removeText}>✕</Text>
+                </Pressable>
+              </View>
+            ))}
+            {unused.map(id => (
+              <Pressable key={id} style={styles.row} onPress={() => add(id)}>
+                <Text style={styles.rank}>+</Text>
+                <Text style={styles.unusedLabel}>{TIEBREAKERS[id].label}</Text>
+              </Pressable>
+            ))}
+          </ScrollView>
+          <View style={styles.buttons}>
+            <Pressable style={styles.resetBtn} onPress={() => setChain(DEFAULT_TIEBREAKERS)}>
+              <Text style={styles.resetText}>Reset</Text>
+            </Pressable>
+            <Pressable style={styles.cancelBtn} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </Pressable>
+            <Pressable style={styles.saveBtn} onPress={() => onSave(chain)}>
+              <Text style={styles.saveText}>Save</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  box: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 10,
+    padding: 20,
+    width: '85%',
+    maxHeight: '80%',
+    gap: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#888',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+    gap: 6,
+  },
+  rank: {
+    width: 22,
+    fontSize: 14,
+    color: '#666',
+  },
+  label: {
+    flex: 1,
+    fontSize: 14,
+    color: '#eee',
+  },
+  unusedLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#888',
+  },
+  iconBtn: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  iconText: {
+    fontSize: 16,
+    color: '#aaa',
+  },
+  removeText: {
+    fontSize: 14,
+    color: '#f87171',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4,
+  },
+  resetBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 'auto',
+  },
+  resetText: {
+    color: '#60a5fa',
+    fontSize: 15,
+  },
+  cancelBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  cancelText: {
+    color: '#aaa',
+    fontSize: 15,
+  },
+  saveBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  saveText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
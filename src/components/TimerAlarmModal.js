@@ -1,11 +1,12 @@
 import { Modal, View, Text, Pressable, StyleSheet } from 'react-native';
 
-export default function TimerAlarmModal({ visible, onDismiss }) {
+// title is the time-up alert's label from the round's timer preset.
+export default function TimerAlarmModal({ visible, title, onDismiss }) {
   return (
     <Modal visible={visible} transparent animationType="fade">
       <View style={styles.overlay}>
         <View style={styles.box}>
-          <Text style={styles.title}>Time is up!</Text>
+          <Text style={styles.title}>{title ?? 'Time is up!'}</Text>
           <Text style={styles.subtitle}>Round time has ended.</Text>
           <Pressable style={styles.btn} onPress={onDismiss}>
             <Text style={styles.btnText}>OK</Text>
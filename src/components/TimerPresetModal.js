@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react';
+import {
+  Modal, View, Text, Pressable, ScrollView, TextInput, StyleSheet,
+} from 'react-native';
+import {
+  ALERT_SOUNDS, newAlert, normalizeAlerts, alertSoundsFor, parseClock, formatClock,
+} from '../logic/timerAlerts.js';
+
+// Edits a timer preset: its name, round length and alerts. Times are typed as
+// minutes or M:SS and only checked on Save.
+export default function TimerPresetModal({ visible, value, onSave, onCancel }) {
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible || !value) return;
+    setError(null);
+    setForm({
+      name: value.name,
+      duration: formatClock(value.durationMs),
+      alerts: value.alerts.map(a => ({ ...a, at: formatClock(a.atMs) })),
+    });
+  }, [visible]);
+
+  if (!form) return null;
+
+  const setAlert = (id, changes) =>
+    setForm(prev => ({ ...prev, alerts: prev.alerts.map(a => (a.id === id ? { ...a, ...changes } : a)) }));
+  const removeAlert = id => setForm(prev => ({ ...prev, alerts: prev.alerts.filter(a => a.id !== id) }));
+  const addAlert = () => setForm(prev => ({ ...prev, alerts: [...prev.alerts, { ...newAlert(5 * 60 * 1000), at: '5:00' }] }));
+  // Only sounds that fit the typed time; voice cues announce a fixed time
+  const nextSound = (sound, at) => {
+    const ids = alertSoundsFor(parseClock(at));
+    return ids[(ids.indexOf(sound) + 1) % ids.length];
+  };
+
+  const handleSave = () => {
+    const durationMs = parseClock(form.duration);
+    if (!durationMs || durationMs < 60 * 1000) {
+      setError('Round length must be at least one minute.');
+      return;
+    }
+    const alerts = form.alerts.map(({ at, ...a }) => ({ ...a, atMs: parseClock(at) }));
+    const bad = alerts.find(a => a.atMs === null || a.atMs >= durationMs);
+    if (bad) {
+      setError(`"${bad.label || 'Alert'}" must be a time left between 0 and the round length.`);
+      return;
+    }
+    onSave({
+      ...value,
+      name: form.name.trim() || value.name,
+      durationMs,
+      alerts: normalizeAlerts(alerts, durationMs),
+    });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade">
+      <View style={styles.overlay}>
+        <View style={styles.box}>
+          <Text style={styles.title}>Timer Preset</Text>
+          <ScrollView style={styles.list}>
+            <Text style={styles.fieldLabel}>Name</Text>
+            <TextInput
+              style={styles.input}
+              value={form.name}
+              onChangeText={name => setForm(prev => ({ ...prev, name }))}
+            />
+            <Text style={styles.fieldLabel}>Round length (minutes or M:SS)</Text>
+            <TextInput
+              style={styles.input}
+              value={form.duration}
+              onChangeText={duration => setForm(prev => ({ ...prev, duration }))}
+              keyboardType="numbers-and-punctuation"
+            />
+            <Text style={styles.fieldLabel}>Alerts (time left · label · sound)</Text>
+            {form.alerts.map(a => (
+              <View key={a.id} style={styles.alertRow}>
+                <TextInput
+                  style={[styles.input, styles.atInput]}
+                  value={a.at}
+                  onChangeText={at => setAlert(a.id, { at })}
+                  keyboardType="numbers-and-punctuation"
+                />
+                <TextInput
+                  style={[styles.input, styles.labelInput]}
+                  value={a.label}
+                  onChangeText={label => setAlert(a.id, { label })}
+                  placeholder="Label"
+                  placeholderTextColor="#555"
+                />
+                <Pressable style={styles.soundBtn} onPress={() => setAlert(a.id, { sound: nextSound(a.sound, a.at) })}>
+                  <Text style={styles.soundText} numberOfLines={1}>{ALERT_SOUNDS[a.sound]?.label ?? a.sound}</Text>
+                </Pressable>
+                <Pressable onPress={() => removeAlert(a.id)}>
+                  <Text style={styles.removeText}>✕</Text>
+                </Pressable>
+              </View>
+            ))}
+            <Pressable style={styles.addBtn} onPress={addAlert}>
+              <Text style={styles.addText}>+ Add alert</Text>
+            </Pressable>
+            <Text style={styles.hint}>An alert at 0:00 rings at time-up until dismissed. Tap a sound to change it; voice cues are only offered at their own time.</Text>
+          </ScrollView>
+          {error && <Text style={styles.error}>{error}</Text>}
+          <View style={styles.buttons}>
+            <Pressable style={styles.cancelBtn} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </Pressable>
+            <Pressable style={styles.saveBtn} onPress={handleSave}>
+              <Text style={styles.saveText}>Save</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  box: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 10,
+    padding: 20,
+    width: '92%',
+    maxHeight: '85%',
+    gap: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    color: '#aaa',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#2a2a2a',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    color: '#fff',
+    fontSize: 14,
+  },
+  alertRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 6,
+  },
+  atInput: {
+    width: 64,
+  },
+  labelInput: {
+    flex: 1,
+  },
+  soundBtn: {
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 8,
+    maxWidth: 96,
+  },
+  soundText: {
+    fontSize: 12,
+    color: '#aaa',
+  },
+  removeText: {
+    color: '#f87171',
+    fontSize: 16,
+    paddingHorizontal: 4,
+  },
+  addBtn: {
+    alignSelf: 'flex-start',
+    paddingVertical: 6,
+  },
+  addText: {
+    color: '#60a5fa',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  error: {
+    color: '#f87171',
+    fontSize: 13,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 4,
+  },
+  cancelBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  cancelText: {
+    color: '#aaa',
+    fontSize: 15,
+  },
+  saveBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  saveText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
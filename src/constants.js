@@ -1,14 +1,57 @@
-// App-wide constants — match points, tiebreaker floors, and seed player list.
+// App-wide constants — storage keys and scoring presets (match points, bye score, tiebreaker floors).
 
 export const STORAGE_KEY = 'tournament_organizer_state';
 
-export const POINTS = {
-  WIN: 3,
-  DRAW: 1,
-  LOSS: 0,
-};
+// Saved state the app could not read (corrupted, or from a newer app version)
+export const QUARANTINE_KEY = 'tournament_organizer_quarantine';
 
-/** MTG Swiss tiebreaker floor values (never count below 33%) */
-export const MIN_MATCH_WIN_PCT = 0.33;
-export const MIN_GAME_WIN_PCT  = 0.33;
+/**
+ * Scoring presets. A copy of the chosen preset is stored on each tournament as
+ * `tournament.scoring`, so custom values travel with the tournament.
+ *
+ *   win / draw / loss               - Match points per result
+ *   bye                             - Game score credited to the bye recipient (a match win)
+ *   bestOf                          - Games per match
+ *   minMatchWinPct / minGameWinPct  - Tiebreaker floors (MTG: never count below 33%)
+ *   doubleLoss                      - Whether a match may end with both players taking a loss
+ */
+export const SCORING_PRESETS = {
+  mtg: {
+    id:             'mtg',
+    label:          'Magic: The Gathering',
+    win:            3,
+    draw:           1,
+    loss:           0,
+    bye:            { player1Wins: 2, player2Wins: 0, draws: 0 },
+    bestOf:         3,
+    minMatchWinPct: 0.33,
+    minGameWinPct:  0.33,
+    doubleLoss:     false,
+  },
+  pokemon: {
+    id:             'pokemon',
+    label:          'Pokémon TCG',
+    win:            3,
+    draw:           1,
+    loss:           0,
+    bye:            { player1Wins: 2, player2Wins: 0, draws: 0 },
+    bestOf:         3,
+    minMatchWinPct: 0.25,
+    minGameWinPct:  0.25,
+    doubleLoss:     true,
+  },
+  chess: {
+    id:             'chess',
+    label:          'Chess',
+    win:            1,
+    draw:           0.5,
+    loss:           0,
+    bye:            { player1Wins: 1, player2Wins: 0, draws: 0 },
+    bestOf:         1,
+    minMatchWinPct: 0,
+    minGameWinPct:  0,
+    doubleLoss:     false,
+  },
+};
 
+export const DEFAULT_SCORING = SCORING_PRESETS.mtg;
@@ -1,22 +1,46 @@
 // useTimer — countdown timer with notification-based background audio.
 //
 // OS-scheduled notifications are the PRIMARY mechanism for lock-screen /
-// background alerts. Each alert (40 min, 20 min, time-up) has its own
-// Android notification channel with a custom sound file, so the OS plays
-// the correct sound even when the JS thread is suspended.
+// background alerts. Alerts come from the round's preset (logic/timerAlerts.js);
+// each sound has its own Android notification channel with a custom sound
+// file, so the OS plays the correct sound even when the JS thread is suspended.
 //
 // In-app expo-audio playback is a SUPPLEMENT for when the app is in the
 // foreground. A foreground service keeps the process alive as a bonus.
 //
 // An AppState listener re-syncs timer state when the app returns to foreground.
+//
+// The clock itself lives on the active round (round.timer, see logic/roundTimer.js),
+// so it survives the app being killed. The hook follows the store: on boot it
+// picks the clock back up, replaces notifications left over from the last run
+// and skips warnings whose time has already passed. Controls write to the store.
+//
+// A silent timer (display mode) only shows the clock: no sounds, notifications
+// or foreground service, which stay with the scorekeeping screen's timer.
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { AppState, Platform } from 'react-native';
 import { useAudioPlayer, setAudioModeAsync } from 'expo-audio';
 import * as Notifications from 'expo-notifications';
 import ForegroundService from '@supersami/rn-foreground-service';
+import { getState, subscribe } from '../state/store.js';
+import { startRoundTimer, pauseRoundTimer, resumeRoundTimer, stopRoundTimer } from '../state/tournament.js';
+import { timeLeft as timerTimeLeft } from '../logic/roundTimer.js';
+import { roundBestOf } from '../logic/format.js';
+import {
+  ALERT_SOUNDS, DEFAULT_PRESET, loadTimerAlerts, presetFor, alertChannelId,
+} from '../logic/timerAlerts.js';
+
+const WARNING_MS = 10 * 60 * 1000; // Clock turns amber
 
-const DEFAULT_DURATION_MS = 65 * 60 * 1000; // 1:05:00
+// Fixed-cue channels used before alerts were configurable
+const LEGACY_CHANNELS = ['timer-40min', 'timer-20min', 'timer-alarm'];
+
+const CHANNEL_OPTS = {
+  importance: Notifications.AndroidImportance.MAX,
+  enableVibrate: true,
+  lockscreenVisibility: 1, // VISIBILITY_PUBLIC
+};
 
 const FG_NOTIF_ID = 1001;
 
@@ -55,258 +79,272 @@ async function _fgStop() {
 
 // ─────────────────────────────────────────────────────────────────────────────
 
-export default function useTimer({
-  sound40min = null,
-  sound20min = null,
-  alarmSound = null,
-} = {}) {
-  const [duration, _setDuration] = useState(DEFAULT_DURATION_MS);
-  const [timeLeft, setTimeLeft]   = useState(DEFAULT_DURATION_MS);
+export default function useTimer({ sounds = {}, silent = false } = {}) {
+  const [duration, setDuration]   = useState(DEFAULT_PRESET.durationMs);
+  const [timeLeft, setTimeLeft]   = useState(DEFAULT_PRESET.durationMs);
   const [isRunning, setIsRunning] = useState(false);
+  const [isPaused, setIsPaused]   = useState(false);
   const [isExpired, setIsExpired] = useState(false);
   const [isWarning, setIsWarning] = useState(false);
   const [showAlarm, setShowAlarm] = useState(false);
+  const [alarmLabel, setAlarmLabel] = useState(null);
 
   const endTimeRef    = useRef(null);
   const intervalRef   = useRef(null);
-  const beeped40Ref   = useRef(false);
-  const beeped20Ref   = useRef(false);
-  const durationRef   = useRef(DEFAULT_DURATION_MS);
+  const alertsRef     = useRef([]);          // the running clock's alerts
+  const firedRef      = useRef(new Set());   // ids of alerts already sounded
+  const durationRef   = useRef(DEFAULT_PRESET.durationMs);
   const isRunningRef  = useRef(false);
   const notifIdsRef   = useRef([]);
-
-  // ── Audio players ─────────────────────────────────────────────────────────
-  const player40 = useAudioPlayer(sound40min);
-  const player20 = useAudioPlayer(sound20min);
-  const alarm    = useAudioPlayer(alarmSound);
+  const notifGenRef   = useRef(0);         // bumped on every cancel; stale schedules drop their IDs
+  const channelsRef   = useRef(new Set());
+  const bootRef       = useRef(true);
+
+  // The active round's clock, followed from the store
+  const [roundTimer, setRoundTimer] = useState(() => _activeTimer(getState()));
+  useEffect(() => subscribe(state => setRoundTimer(_activeTimer(state))), []);
+
+  // ── Audio players (one per sound) ─────────────────────────────────────────
+  const players = {
+    voice40: useAudioPlayer(sounds.voice40 ?? null),
+    voice20: useAudioPlayer(sounds.voice20 ?? null),
+    alarm:   useAudioPlayer(sounds.alarm ?? null),
+  };
+  const playersRef = useRef(players);
+  playersRef.current = players;
 
   useEffect(() => {
     setAudioModeAsync({ playsInSilentModeIOS: true, staysActiveInBackground: true }).catch(() => {});
   }, []);
 
+  // ── Notification permission; channels are created per sound when scheduling ──
   useEffect(() => {
-    if (alarmSound) {
-      try { alarm.loop = true; } catch {}
-    }
-  }, [alarm, alarmSound]);
-
-  // ── Notification channels (one per sound, new IDs so Android picks up custom sounds) ──
-  useEffect(() => {
+    if (silent) return;
     Notifications.requestPermissionsAsync().catch(() => {});
-
-    const channelOpts = {
-      importance: Notifications.AndroidImportance.MAX,
-      enableVibrate: true,
-      lockscreenVisibility: 1, // VISIBILITY_PUBLIC
-    };
-
-    Notifications.setNotificationChannelAsync('timer-40min', {
-      name: 'Timer — 40 min warning',
-      sound: 'alert_40min.mp3',
-      ...channelOpts,
-    }).catch(() => {});
-
-    Notifications.setNotificationChannelAsync('timer-20min', {
-      name: 'Timer — 20 min warning',
-      sound: 'alert_20min.mp3',
-      ...channelOpts,
-    }).catch(() => {});
-
-    Notifications.setNotificationChannelAsync('timer-alarm', {
-      name: 'Timer — Time Up',
-      sound: 'alarm.wav',
-      ...channelOpts,
-    }).catch(() => {});
+    LEGACY_CHANNELS.forEach(id => Notifications.deleteNotificationChannelAsync(id).catch(() => {}));
   }, []);
 
   // ── Internal audio helpers ────────────────────────────────────────────────
 
-  const _play40 = useCallback(() => {
-    if (!sound40min) return;
-    try { player40.seekTo(0); player40.play(); } catch {}
-  }, [player40, sound40min]);
+  const _play = useCallback((sound, loop = false) => {
+    const player = playersRef.current[sound];
+    if (silent || !player || !sounds[sound]) return;
+    try { player.loop = loop; player.seekTo(0); player.play(); } catch {}
+  }, [sounds]);
 
-  const _play20 = useCallback(() => {
-    if (!sound20min) return;
-    try { player20.seekTo(0); player20.play(); } catch {}
-  }, [player20, sound20min]);
+  const _silence = useCallback(() => {
+    Object.values(playersRef.current).forEach(player => {
+      try { player.pause(); player.seekTo(0); player.loop = false; } catch {}
+    });
+  }, []);
 
   // ── Notification helpers ──────────────────────────────────────────────────
 
   const _cancelNotifications = useCallback(() => {
+    notifGenRef.current += 1;
     const ids = notifIdsRef.current;
     notifIdsRef.current = [];
     ids.forEach(id => Notifications.cancelScheduledNotificationAsync(id).catch(() => {}));
   }, []);
 
-  const _scheduleNotifications = useCallback((durationMs) => {
+  const _ensureChannels = useCallback(async (alerts) => {
+    for (const sound of new Set(alerts.map(a => a.sound))) {
+      const id = alertChannelId(sound);
+      if (channelsRef.current.has(id)) continue;
+      channelsRef.current.add(id);
+      await Notifications.setNotificationChannelAsync(id, {
+        name: `Timer — ${ALERT_SOUNDS[sound]?.label ?? sound}`,
+        sound: ALERT_SOUNDS[sound]?.file ?? null,
+        ...CHANNEL_OPTS,
+      }).catch(() => {});
+    }
+  }, []);
+
+  const _scheduleNotifications = useCallback((alerts, remainingMs) => {
     _cancelNotifications();
-    const ids = [];
+    const gen = notifGenRef.current;
 
+    // Each ID is kept as soon as it exists, so a cancel while later ones are
+    // still being scheduled reaches it; anything scheduled after a cancel is
+    // cancelled straight away.
     const schedule = async () => {
-      if (durationMs > 40 * 60 * 1000) {
-        const secs = Math.max(1, Math.round((durationMs - 40 * 60 * 1000) / 1000));
+      await _staleCleared;
+      await _ensureChannels(alerts);
+      for (const alert of alerts.filter(a => a.atMs < remainingMs)) {
+        if (gen !== notifGenRef.current) return;
+        const file = ALERT_SOUNDS[alert.sound]?.file;
         const id = await Notifications.scheduleNotificationAsync({
           content: {
-            title: '40 Minutes Remaining',
-            body: 'Round time check',
-            sound: 'alert_40min.mp3',
+            title: alert.label,
+            body: alert.atMs > 0 ? 'Round time check' : 'Round has ended',
+            ...(file ? { sound: file } : {}),
+            ...(alert.atMs === 0 ? { sticky: true } : {}),
           },
-          trigger: { seconds: secs, repeats: false, channelId: 'timer-40min' },
-        }).catch(() => null);
-        if (id) ids.push(id);
-      }
-
-      if (durationMs > 20 * 60 * 1000) {
-        const secs = Math.max(1, Math.round((durationMs - 20 * 60 * 1000) / 1000));
-        const id = await Notifications.scheduleNotificationAsync({
-          content: {
-            title: '20 Minutes Remaining',
-            body: 'Round time check',
-            sound: 'alert_20min.mp3',
+          trigger: {
+            seconds: Math.max(1, Math.round((remainingMs - alert.atMs) / 1000)),
+            repeats: false,
+            channelId: alertChannelId(alert.sound),
           },
-          trigger: { seconds: secs, repeats: false, channelId: 'timer-20min' },
         }).catch(() => null);
-        if (id) ids.push(id);
+        if (!id) continue;
+        if (gen === notifGenRef.current) notifIdsRef.current = [...notifIdsRef.current, id];
+        else Notifications.cancelScheduledNotificationAsync(id).catch(() => {});
       }
-
-      const endSecs = Math.max(1, Math.round(durationMs / 1000));
-      const id = await Notifications.scheduleNotificationAsync({
-        content: {
-          title: "Time's Up!",
-          body: 'Round has ended',
-          sound: 'alarm.wav',
-          sticky: true,
-        },
-        trigger: { seconds: endSecs, repeats: false, channelId: 'timer-alarm' },
-      }).catch(() => null);
-      if (id) ids.push(id);
-
-      notifIdsRef.current = ids;
     };
 
     schedule();
-  }, [_cancelNotifications]);
+  }, [_cancelNotifications, _ensureChannels]);
 
   // ── Alarm ─────────────────────────────────────────────────────────────────
 
   const _startAlarm = useCallback(() => {
-    if (alarmSound) {
-      try { alarm.seekTo(0); alarm.play(); } catch {}
-    }
+    if (silent) return;
+    const end = alertsRef.current.find(a => a.atMs === 0);
+    if (end) _play(end.sound, true);
+    setAlarmLabel(end?.label ?? null);
     setShowAlarm(true);
     _cancelNotifications();
-  }, [alarm, alarmSound, _cancelNotifications]);
+  }, [_play, _cancelNotifications]);
 
   const _stopAlarm = useCallback(() => {
-    if (alarmSound) {
-      try { alarm.pause(); alarm.seekTo(0); } catch {}
-    }
+    _silence();
     setShowAlarm(false);
-    _fgStop();
-  }, [alarm, alarmSound]);
+    if (!silent) _fgStop();
+  }, [_silence]);
 
   // ── Tick ──────────────────────────────────────────────────────────────────
 
+  const _expire = useCallback(() => {
+    clearInterval(intervalRef.current);
+    intervalRef.current = null;
+    setTimeLeft(0);
+    setIsRunning(false);
+    isRunningRef.current = false;
+    setIsExpired(true);
+    _startAlarm();
+  }, [_startAlarm]);
+
   const _tick = useCallback(() => {
     const remaining = endTimeRef.current - Date.now();
-
     if (remaining <= 0) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
-      setTimeLeft(0);
-      setIsRunning(false);
-      isRunningRef.current = false;
-      setIsExpired(true);
-      _startAlarm();
+      _expire();
       return;
     }
 
     setTimeLeft(remaining);
-    setIsWarning(remaining < 10 * 60 * 1000);
+    setIsWarning(remaining < WARNING_MS);
 
-    if (!beeped40Ref.current && remaining <= 40 * 60 * 1000) {
-      beeped40Ref.current = true;
-      _play40();
-    }
-    if (!beeped20Ref.current && remaining <= 20 * 60 * 1000) {
-      beeped20Ref.current = true;
-      _play20();
-    }
-  }, [_play40, _play20, _startAlarm]);
+    // After a stall (app in background) several alerts may be due; sound the latest
+    const due = alertsRef.current.filter(a => a.atMs > 0 && remaining <= a.atMs && !firedRef.current.has(a.id));
+    due.forEach(a => firedRef.current.add(a.id));
+    if (due.length > 0) _play(due[due.length - 1].sound);
+  }, [_expire, _play]);
 
   // ── AppState sync: re-check timer when app returns to foreground ──────────
 
   useEffect(() => {
     const sub = AppState.addEventListener('change', nextState => {
-      if (nextState === 'active' && isRunningRef.current && endTimeRef.current) {
-        const remaining = endTimeRef.current - Date.now();
-        if (remaining <= 0) {
-          clearInterval(intervalRef.current);
-          intervalRef.current = null;
-          setTimeLeft(0);
-          setIsRunning(false);
-          isRunningRef.current = false;
-          setIsExpired(true);
-          _startAlarm();
-        } else {
-          setTimeLeft(remaining);
-          setIsWarning(remaining < 10 * 60 * 1000);
-        }
-      }
+      if (nextState === 'active' && isRunningRef.current && endTimeRef.current) _tick();
     });
     return () => sub.remove();
-  }, [_startAlarm]);
+  }, [_tick]);
 
-  // ── Public controls ───────────────────────────────────────────────────────
-
-  const start = useCallback(() => {
-    if (intervalRef.current) clearInterval(intervalRef.current);
-    endTimeRef.current   = Date.now() + durationRef.current;
-    beeped40Ref.current  = false;
-    beeped20Ref.current  = false;
-    setTimeLeft(durationRef.current);
-    setIsRunning(true);
-    isRunningRef.current = true;
-    setIsExpired(false);
-    setShowAlarm(false);
-    intervalRef.current  = setInterval(_tick, 1000);
-    _scheduleNotifications(durationRef.current);
-    _fgStart();
-  }, [_tick, _scheduleNotifications]);
+  // ── Follow the round's clock ──────────────────────────────────────────────
 
-  const stop = useCallback(() => {
+  const _halt = useCallback(() => {
     if (intervalRef.current) {
       clearInterval(intervalRef.current);
       intervalRef.current = null;
     }
-    _stopAlarm();
     _cancelNotifications();
     endTimeRef.current   = null;
     setIsRunning(false);
     isRunningRef.current = false;
+  }, [_cancelNotifications]);
+
+  const timerKey = roundTimer && `${roundTimer.roundNumber}|${roundTimer.endsAt}|${roundTimer.pausedAt}`;
+
+  useEffect(() => {
+    const booting = bootRef.current;
+    bootRef.current = false;
+    _halt();
+
+    if (!roundTimer?.endsAt) {
+      // No clock on the active round (stopped, or the round is over)
+      _stopAlarm();
+      setIsPaused(false);
+      setIsExpired(false);
+      setIsWarning(false);
+      setTimeLeft(durationRef.current);
+      alertsRef.current = [];
+      return;
+    }
+
+    durationRef.current = roundTimer.durationMs;
+    setDuration(roundTimer.durationMs);
+    // Clocks started before alerts were configurable used the standard cues
+    const alerts = roundTimer.alerts ?? DEFAULT_PRESET.alerts;
+    const remaining = timerTimeLeft(roundTimer);
+    alertsRef.current = alerts;
+    // Alerts already behind us were heard (or missed) before; don't replay them
+    firedRef.current = new Set(alerts.filter(a => a.atMs >= remaining).map(a => a.id));
+    setIsPaused(!!roundTimer.pausedAt);
+    setShowAlarm(false);
+
+    if (remaining <= 0) {
+      // Time ran out while the app was closed; the notification already sounded
+      setTimeLeft(0);
+      setIsExpired(true);
+      setIsWarning(false);
+      if (!booting) _startAlarm();
+      if (!silent) _fgStop();
+      return;
+    }
+
+    setTimeLeft(remaining);
     setIsExpired(false);
-    setTimeLeft(durationRef.current);
-    beeped40Ref.current  = false;
-    beeped20Ref.current  = false;
-    _fgStop();
-  }, [_stopAlarm, _cancelNotifications]);
-
-  const setDuration = useCallback((ms) => {
-    durationRef.current = ms;
-    _setDuration(ms);
-    if (!isRunning) setTimeLeft(ms);
-  }, [isRunning]);
+    setIsWarning(remaining < WARNING_MS);
+    if (roundTimer.pausedAt) {
+      if (!silent) _fgStop();
+      return;
+    }
+
+    endTimeRef.current   = Date.parse(roundTimer.endsAt);
+    setIsRunning(true);
+    isRunningRef.current = true;
+    intervalRef.current  = setInterval(_tick, 1000);
+    if (silent) return;
+    _scheduleNotifications(alerts, remaining);
+    _fgStart();
+  }, [timerKey]);
+
+  // ── Public controls ───────────────────────────────────────────────────────
+
+  // Starts the active round's clock with the preset for its match format.
+  // durationMs overrides the preset's length (alerts past it are left out).
+  const start = useCallback(async (durationMs) => {
+    const { tournament } = getState();
+    const round = tournament?.rounds.find(r => r.status === 'active');
+    if (!round) return;
+    const preset = presetFor(await loadTimerAlerts(), roundBestOf(tournament, round));
+    const ms = durationMs ?? preset.durationMs;
+    startRoundTimer(ms, preset.alerts.filter(a => a.atMs < ms));
+  }, []);
+
+  const pause  = useCallback(() => pauseRoundTimer(), []);
+  const resume = useCallback(() => resumeRoundTimer(), []);
+  const stop   = useCallback(() => stopRoundTimer(), []);
 
   // ── Cleanup on unmount ────────────────────────────────────────────────────
 
   useEffect(() => {
     return () => {
       if (intervalRef.current) clearInterval(intervalRef.current);
+      notifGenRef.current += 1;
       notifIdsRef.current.forEach(id =>
         Notifications.cancelScheduledNotificationAsync(id).catch(() => {})
       );
-      _fgStop();
+      if (!silent) _fgStop();
     };
   }, []);
 
@@ -315,17 +353,29 @@ export default function useTimer({
   return {
     display:      _formatTime(Math.ceil(timeLeft / 1000)),
     isRunning,
+    isPaused,
     isExpired,
     isWarning,
     showAlarm,
+    alarmLabel,
     start,
+    pause,
+    resume,
     stop,
     dismissAlarm: _stopAlarm,
     duration,
-    setDuration,
   };
 }
 
+// Notifications scheduled by an earlier run of the app can't be matched to this
+// run's ids; clear them all once, before the first round clock is scheduled.
+const _staleCleared = Notifications.cancelAllScheduledNotificationsAsync().catch(() => {});
+
+function _activeTimer(state) {
+  const round = state.tournament?.rounds.find(r => r.status === 'active');
+  return round?.timer ? { ...round.timer, roundNumber: round.roundNumber } : null;
+}
+
 function _formatTime(totalSec) {
   const h = Math.floor(totalSec / 3600);
   const m = Math.floor((totalSec % 3600) / 60);
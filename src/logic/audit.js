@@ -0,0 +1,120 @@
+// Match audit log — every change to a match, kept on the tournament for disputes.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Defines the logged actions and the shape of a log entry
+//   2. Formats entries for the audit log viewer
+//   3. Keeps the log across undo/redo, which restore the rest of the tournament
+//
+// tournament.auditLog holds entries oldest first:
+//   { at, action, round, matchId, players, playerId?, before, after, device }
+// players is the match's { player1Id, player2Id } after the change. before/after
+// are results for submit/correct, the match's players for swap/bye (one entry
+// per match changed), the table's total extra { minutes, reason? } for extend,
+// null for drop, and { label } of the action for undo/redo. device is null for
+// changes made on the scorekeeping device itself.
+
+/** Logged actions and their labels. */
+export const AUDIT_ACTIONS = {
+  submit:  'Result entered',
+  correct: 'Result corrected',
+  swap:    'Players swapped',
+  bye:     'Bye reassigned',
+  drop:    'Player dropped',
+  extend:  'Time extended',
+  undo:    'Undone',
+  redo:    'Redone',
+};
+
+/**
+ * Build a log entry.
+ * @param {string} action - Key of AUDIT_ACTIONS.
+ * @param {object} round  - The round the match belongs to.
+ * @param {object|null} match
+ * @param {{ before?: object|null, after?: object|null, playerId?: string, device?: string|null, at?: string }} [details]
+ * @returns {object}
+ */
+export function auditEntry(action, round, match, { before = null, after = null, playerId, device = null, at } = {}) {
+  return {
+    at:      at ?? new Date().toISOString(),
+    action,
+    round:   round ? (round.label ?? round.roundNumber) : null,
+    matchId: match?.id ?? null,
+    players: match ? { player1Id: match.player1Id, player2Id: match.player2Id } : null,
+    ...(playerId ? { playerId } : {}),
+    before,
+    after,
+    device,
+  };
+}
+
+/**
+ * Score as shown on match cards: "2-1", "1-1-1" with draws, or "DL".
+ * @param {object|null} result
+ * @returns {string}
+ */
+export function formatScore(result) {
+  if (!result) return '—';
+  if (result.doubleLoss) return 'DL';
+  const { player1Wins, player2Wins, draws } = result;
+  return draws > 0 ? `${player1Wins}-${player2Wins}-${draws}` : `${player1Wins}-${player2Wins}`;
+}
+
+/**
+ * One-line description of what an entry changed.
+ * @param {object} entry
+ * @param {(playerId: string) => string} name - Player name lookup.
+ * @returns {string} e.g. "Anna vs Ben: 2-0 → 2-1"
+ */
+export function describeAuditEntry(entry, name) {
+  const pairing = p => (p ? `${name(p.player1Id)} vs ${p.player2Id ? name(p.player2Id) : 'BYE'}` : '—');
+  switch (entry.action) {
+    case 'submit':
+    case 'correct': {
+      const score = entry.before
+        ? `${formatScore(entry.before)} → ${formatScore(entry.after)}`
+        : formatScore(entry.after);
+      return `${pairing(entry.players)}: ${score}`;
+    }
+    case 'swap':
+    case 'bye':
+      return `${pairing(entry.before)} → ${pairing(entry.after)}`;
+    case 'extend': {
+      const reason = entry.after.reason ? ` (${entry.after.reason})` : '';
+      return `${pairing(entry.players)}: +${entry.after.minutes - entry.before.minutes} min${reason}, ` +
+        `${entry.after.minutes} min in total`;
+    }
+    case 'undo':
+    case 'redo':
+      return entry.after.label;
+    case 'drop':
+      return entry.players ? `${name(entry.playerId)} (was in ${pairing(entry.players)})` : name(entry.playerId);
+    default:
+      return entry.action;
+  }
+}
+
+/**
+ * Log entries, newest first, optionally only those for one match.
+ * @param {object} tournament
+ * @param {string} [matchId]
+ * @returns {object[]}
+ */
+export function auditLogFor(tournament, matchId) {
+  const log = tournament?.auditLog ?? [];
+  return log.filter(e => !matchId || e.matchId === matchId).reverse();
+}
+
+/**
+ * Put the live audit log back onto a tournament restored by undo/redo, with an
+ * entry recording the undo or redo itself, so the log is never rewound.
+ * @param {object|null} restored
+ * @param {object|null} live
+ * @param {'undo'|'redo'} action
+ * @param {string} label - Label of the undone or redone action.
+ * @returns {object|null}
+ */
+export function carryAuditLog(restored, live, action, label) {
+  if (!restored || !live || restored.id !== live.id) return restored;
+  return { ...restored, auditLog: [...(live.auditLog ?? []), auditEntry(action, null, null, { after: { label } })] };
+}
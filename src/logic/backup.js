@@ -0,0 +1,132 @@
+// Backup — the complete app state as a versioned JSON file.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Wraps the state (players, tournament, history, leagues) in a backup file
+//   2. Reads a backup file back, rejecting other files and newer backup versions
+//   3. Merges a backup into the current state, de-duplicating by ID
+//
+// Migrating old state shapes is the job of logic/migrations.js; restoring goes
+// through store.restoreState so backups get the same treatment as storage.
+
+import { SCHEMA_VERSION } from './migrations.js';
+
+const BACKUP_APP = 'tournament-organizer';
+
+// Bump when the backup wrapper changes shape (not when state does — that is SCHEMA_VERSION)
+export const BACKUP_VERSION = 1;
+
+/**
+ * Build the backup file contents for a state. The state is stamped with
+ * SCHEMA_VERSION so a restore only runs the migrations it needs.
+ * @param {object} state - Current (fully migrated) state.
+ * @param {Date}   [now]
+ * @returns {string} JSON text.
+ */
+export function makeBackup(state, now = new Date()) {
+  const { players, tournament, pastTournaments, leagues } = state;
+  return JSON.stringify({
+    app:           BACKUP_APP,
+    backupVersion: BACKUP_VERSION,
+    exportedAt:    now.toISOString(),
+    state:         { schemaVersion: SCHEMA_VERSION, players, tournament, pastTournaments, leagues },
+  }, null, 2);
+}
+
+/**
+ * Backup filename for a date, e.g. "2026_02_18_backup.json".
+ * @param {Date} [now]
+ */
+export function backupFilename(now = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${now.getFullYear()}_${pad(now.getMonth() + 1)}_${pad(now.getDate())}_backup.json`;
+}
+
+/**
+ * Parse backup file text.
+ * @param {string} text
+ * @returns {{ ok: true, state: object, exportedAt: string|null } | { ok: false, message: string }}
+ *   state is the raw saved state, still to be migrated.
+ */
+export function readBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { ok: false, message: 'The file is not valid JSON.' };
+  }
+  if (data?.app !== BACKUP_APP || typeof data.state !== 'object' || data.state === null) {
+    return { ok: false, message: 'The file is not a tournament backup.' };
+  }
+  if (!(data.backupVersion <= BACKUP_VERSION)) {
+    return { ok: false, message: 'The backup was made by a newer version of the app. Update the app first.' };
+  }
+  return { ok: true, state: data.state, exportedAt: data.exportedAt ?? null };
+}
+
+/**
+ * Short description of a backup's contents for the restore prompt.
+ * @param {object} state - Migrated backup state.
+ * @returns {string} e.g. "24 players, 12 past tournaments, 1 league"
+ */
+export function describeBackup(state) {
+  const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const parts = [
+    count(state.players.length, 'player'),
+    count(state.pastTournaments.length, 'past tournament'),
+    count(state.leagues.length, 'league'),
+  ];
+  if (state.tournament) parts.push(`a ${state.tournament.status} tournament (${state.tournament.dateStr})`);
+  return parts.join(', ');
+}
+
+/**
+ * Merge a (migrated) backup into the current state. Anything whose ID already
+ * exists locally is kept as it is here. The current tournament stays; the
+ * backup's tournament is only used if there is none, and otherwise goes to
+ * history when it is finished. An unfinished one is left out and returned as
+ * `skipped` so the caller can say so.
+ *
+ * @param {object} local
+ * @param {object} incoming
+ * @returns {{
+ *   state: object,
+ *   added: { players: number, tournaments: number, leagues: number },
+ *   skipped: object|null,
+ * }}
+ */
+export function mergeStates(local, incoming) {
+  const players = _mergeById(local.players, incoming.players);
+  const leagues = _mergeById(local.leagues, incoming.leagues);
+
+  const localIds = new Set([local.tournament?.id, ...local.pastTournaments.map(t => t.id)]);
+  let tournament = local.tournament;
+  let incomingPast = incoming.pastTournaments;
+  let skipped = null;
+  if (incoming.tournament && !localIds.has(incoming.tournament.id)) {
+    if (!local.tournament) tournament = incoming.tournament;
+    else if (incoming.tournament.status === 'complete') incomingPast = [incoming.tournament, ...incomingPast];
+    else skipped = incoming.tournament;
+  }
+  const taken = new Set([...localIds, tournament?.id]);
+  const newPast = incomingPast.filter(t => !taken.has(t.id));
+  const pastTournaments = [...local.pastTournaments, ...newPast]
+    .sort((a, b) => b.dateStr.localeCompare(a.dateStr));
+
+  return {
+    state: { ...local, players, tournament, pastTournaments, leagues },
+    added: {
+      players:     players.length - local.players.length,
+      tournaments: newPast.length + (tournament !== local.tournament ? 1 : 0),
+      leagues:     leagues.length - local.leagues.length,
+    },
+    skipped,
+  };
+}
+
+// Internal helpers
+
+function _mergeById(local, incoming) {
+  const ids = new Set(local.map(x => x.id));
+  return [...local, ...incoming.filter(x => !ids.has(x.id))];
+}
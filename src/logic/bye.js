@@ -5,6 +5,24 @@
 //   1. Scans completed rounds to find who has already received a bye
 //   2. Assigns the bye to the lowest-ranked player who hasn't had one yet
 //   3. If everyone has had a bye, assigns to the lowest-ranked player again
+//   4. Builds the bye's automatic result from the scoring preset and match format
+
+import { DEFAULT_SCORING } from '../constants.js';
+import { gamesToWin } from './format.js';
+
+/**
+ * The automatic result recorded for a bye match (e.g. 2-0 for MTG, 1-0 for chess).
+ * The preset's bye score applies in the preset's own format; in any other format
+ * the bye is a clean match win (1-0 in Bo1, 3-0 in Bo5).
+ *
+ * @param {object} [scoring] - Tournament scoring preset.
+ * @param {number} [bestOf]  - Format of the round the bye is in.
+ * @returns {{ player1Wins: number, player2Wins: number, draws: number }}
+ */
+export function byeResult(scoring = DEFAULT_SCORING, bestOf = scoring.bestOf) {
+  if (bestOf === scoring.bestOf) return { ...scoring.bye };
+  return { player1Wins: gamesToWin(bestOf), player2Wins: 0, draws: 0 };
+}
 
 /**
  * Select which player receives a bye this round.
@@ -6,8 +6,12 @@
 //      CET (UTC+1): T23:00:00Z | CEST (UTC+2): T22:00:00Z
 //   2. Iterates completed rounds and formats each match into CSV columns:
 //      draws, player1, player1Wins, player2, player2Wins, round, tournamentDate
+//      Playoff rounds use their bracket label ("QF", "SF", "F") as the round value;
+//      draws is 1 only for a drawn match (a double loss is not a draw)
 //   3. Returns the full CSV string and a suggested filename
 
+import { matchOutcome } from './standings.js';
+
 /**
  * Convert a local Swiss date string "YYYY-MM-DD" to a UTC ISO string
  * representing midnight Swiss local time.
@@ -44,6 +48,21 @@ export function swissDateToUTC(dateStr) {
   return midnightUTC.toISOString().replace('.000Z', 'Z');
 }
 
+/**
+ * Inverse of swissDateToUTC: the Swiss local date of a UTC timestamp.
+ *
+ * @param {string} iso - e.g. "2026-02-18T23:00:00Z"
+ * @returns {string|null} "YYYY-MM-DD", or null if the timestamp is invalid.
+ */
+export function swissDateFromUTC(iso) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return null;
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Europe/Zurich', year: 'numeric', month: '2-digit', day: '2-digit',
+  }).format(date);
+}
+
 /**
  * Generate CSV content from completed tournament rounds.
  * Bye matches are excluded per spec.
@@ -66,7 +85,7 @@ export function generateCSV(tournament, players, dateStr) {
       if (match.isBye || !match.result) continue;
 
       const { player1Wins, player2Wins } = match.result;
-      const draws = player1Wins === player2Wins ? 1 : 0;
+      const draws = matchOutcome(match.result) === 'D' ? 1 : 0;
       const player1 = playerMap[match.player1Id] ?? match.player1Id;
       const player2 = playerMap[match.player2Id] ?? match.player2Id;
 
@@ -76,7 +95,7 @@ export function generateCSV(tournament, players, dateStr) {
         player1Wins,
         _csvField(player2),
         player2Wins,
-        round.roundNumber,
+        round.label ?? round.roundNumber,
         tournamentDate,
       ].join(','));
     }
@@ -0,0 +1,223 @@
+// CSV import — rebuilds tournaments from results files written by generateCSV.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Parses the results CSV format:
+//      draws, player1, player1Wins, player2, player2Wins, round, tournamentDate
+//   2. Matches player names to the player list (case-insensitive)
+//   3. Groups rows into one tournament per date, with Swiss rounds by number and
+//      playoff rounds by bracket label ("QF", "SF", "F")
+//   4. Previews an import: tournaments found, unmatched names, dates already in history
+//
+// The CSV has no byes, seating or settings, so imported tournaments use the
+// default scoring and tiebreakers, and bye points are not restored.
+// A 0-0 style tie with draws = 0 is a double loss (see generateCSV).
+
+import { swissDateFromUTC } from './csv.js';
+import { DEFAULT_TIEBREAKERS } from './standings.js';
+import { MATCH_FORMATS, gamesToWin } from './format.js';
+import { PLAYOFF_SIZES } from './playoff.js';
+import { DEFAULT_SCORING } from '../constants.js';
+
+const COLUMNS = ['draws', 'player1', 'player1Wins', 'player2', 'player2Wins', 'round', 'tournamentDate'];
+
+/**
+ * Parse results CSV text.
+ * @param {string} text
+ * @returns {{ rows: object[], errors: string[] }} Rows have the CSV column names;
+ *   numbers are parsed. Errors name the line that could not be read.
+ */
+export function parseResultsCSV(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').filter(l => l.trim());
+  if (lines.length === 0) return { rows: [], errors: ['The file is empty.'] };
+
+  const header = _splitLine(lines[0]).map(h => h.trim());
+  const index = Object.fromEntries(COLUMNS.map(c => [c, header.indexOf(c)]));
+  const missing = COLUMNS.filter(c => index[c] === -1);
+  if (missing.length > 0) return { rows: [], errors: [`Missing columns: ${missing.join(', ')}`] };
+
+  const rows = [];
+  const errors = [];
+  lines.slice(1).forEach((line, i) => {
+    const cells = _splitLine(line);
+    const get = c => (cells[index[c]] ?? '').trim();
+    const row = {
+      draws:          Number(get('draws')),
+      player1:        get('player1'),
+      player1Wins:    Number(get('player1Wins')),
+      player2:        get('player2'),
+      player2Wins:    Number(get('player2Wins')),
+      round:          get('round'),
+      tournamentDate: swissDateFromUTC(get('tournamentDate')),
+    };
+    const counts = [row.draws, row.player1Wins, row.player2Wins];
+    if (!row.player1 || !row.player2 || !row.round || !row.tournamentDate ||
+        !counts.every(n => Number.isInteger(n) && n >= 0)) {
+      errors.push(`Line ${i + 2}: could not read "${line}"`);
+      return;
+    }
+    rows.push(row);
+  });
+  return { rows, errors };
+}
+
+/**
+ * Map each name in the rows to a player ID from the list (case-insensitive).
+ * Unmatched names are listed once, however they are capitalised.
+ * @param {object[]} rows
+ * @param {object[]} players
+ * @returns {{ ids: { [name: string]: string }, unmatched: string[] }}
+ */
+export function matchPlayerNames(rows, players) {
+  const byName = Object.fromEntries(players.map(p => [p.name.trim().toLowerCase(), p.id]));
+  const ids = {};
+  const unmatched = new Map(); // lower-case name -> first spelling seen
+  for (const name of new Set(rows.flatMap(r => [r.player1, r.player2]))) {
+    const id = byName[name.toLowerCase()];
+    if (id) ids[name] = id;
+    else if (!unmatched.has(name.toLowerCase())) unmatched.set(name.toLowerCase(), name);
+  }
+  return { ids, unmatched: [...unmatched.values()].sort((a, b) => a.localeCompare(b)) };
+}
+
+/**
+ * Preview an import without changing anything.
+ * @param {object[]} rows           - From parseResultsCSV.
+ * @param {object[]} players
+ * @param {object[]} pastTournaments
+ * @returns {{ dates: { dateStr: string, rounds: number, matches: number, players: number, duplicate: boolean }[],
+ *             unmatched: string[] }}
+ *   duplicate is true when history already has a tournament on that date.
+ */
+export function previewImport(rows, players, pastTournaments) {
+  const known = new Set(pastTournaments.map(t => t.dateStr));
+  const dates = Object.entries(_groupBy(rows, r => r.tournamentDate))
+    .map(([dateStr, dateRows]) => ({
+      dateStr,
+      rounds:    new Set(dateRows.map(r => r.round)).size,
+      matches:   dateRows.length,
+      players:   new Set(dateRows.flatMap(r => [r.player1, r.player2])).size,
+      duplicate: known.has(dateStr),
+    }))
+    .sort((a, b) => b.dateStr.localeCompare(a.dateStr));
+  return { dates, unmatched: matchPlayerNames(rows, players).unmatched };
+}
+
+/**
+ * Build finished tournament objects (newest first) from parsed rows.
+ * @param {object[]} rows
+ * @param {{ [name: string]: string }} ids - Player ID for every name in the rows.
+ * @param {() => string} newId             - ID generator for tournaments and matches.
+ * @returns {object[]}
+ */
+export function buildTournaments(rows, ids, newId) {
+  return Object.entries(_groupBy(rows, r => r.tournamentDate))
+    .sort(([a], [b]) => b.localeCompare(a))
+    .map(([dateStr, dateRows]) => _buildTournament(dateStr, dateRows, ids, newId));
+}
+
+// Internal helpers
+
+function _buildTournament(dateStr, rows, ids, newId) {
+  const byRound = _groupBy(rows, r => r.round);
+  const swissKeys = Object.keys(byRound).filter(k => /^\d+$/.test(k)).sort((a, b) => a - b);
+  // Playoff labels, largest bracket round first ("QF" has more matches than "SF")
+  const playoffKeys = Object.keys(byRound).filter(k => !/^\d+$/.test(k))
+    .sort((a, b) => byRound[b].length - byRound[a].length);
+
+  const toMatch = r => {
+    const tied = r.player1Wins === r.player2Wins;
+    return {
+      id:           newId(),
+      player1Id:    ids[r.player1],
+      player2Id:    ids[r.player2],
+      isBye:        false,
+      pairedDownId: null,
+      result: {
+        player1Wins: r.player1Wins,
+        player2Wins: r.player2Wins,
+        draws:       0,
+        ...(tied && r.draws === 0 ? { doubleLoss: true } : {}),
+        submittedAt: null,
+        correctedAt: null,
+      },
+    };
+  };
+
+  const swissRounds = swissKeys.map(k => ({
+    roundNumber: Number(k),
+    status:      'complete',
+    bestOf:      _inferBestOf(byRound[k]),
+    matches:     byRound[k].map(toMatch),
+  }));
+  const playoffRounds = playoffKeys.map((k, i) => ({
+    roundNumber: swissRounds.length + i + 1,
+    status:      'complete',
+    phase:       'playoff',
+    label:       k,
+    bestOf:      _inferBestOf(byRound[k]),
+    matches:     byRound[k].map(toMatch),
+  }));
+
+  const playerIds = [...new Set(rows.flatMap(r => [ids[r.player1], ids[r.player2]]))];
+  const firstPlayoff = playoffRounds[0];
+  const playoffSize = firstPlayoff ? firstPlayoff.matches.length * 2 : null;
+
+  return {
+    id:             newId(),
+    dateStr,
+    status:         'complete',
+    currentRound:   swissRounds.length + playoffRounds.length,
+    plannedRounds:  swissRounds.length,
+    tiebreakers:    [...DEFAULT_TIEBREAKERS],
+    scoring:        { ...DEFAULT_SCORING, bye: { ...DEFAULT_SCORING.bye } },
+    bestOf:         _inferBestOf(swissKeys.length > 0 ? swissKeys.flatMap(k => byRound[k]) : rows),
+    activePlayers:  playerIds,
+    droppedPlayers: [],
+    dropRounds:     {},
+    rounds:         [...swissRounds, ...playoffRounds],
+    seatingOrder:   [...playerIds],
+    playoff: firstPlayoff && PLAYOFF_SIZES.includes(playoffSize)
+      ? { size: playoffSize, seeds: firstPlayoff.matches.flatMap(m => [m.player1Id, m.player2Id]) }
+      : null,
+    reopenedRound:  null,
+    auditLog:       [],
+    imported:       true,
+  };
+}
+
+// Smallest match format that fits the most games anyone won (a final won 3-2 was Bo5)
+function _inferBestOf(rows) {
+  const maxWins = Math.max(...rows.map(r => Math.max(r.player1Wins, r.player2Wins)));
+  return MATCH_FORMATS.find(n => gamesToWin(n) >= maxWins) ?? MATCH_FORMATS[MATCH_FORMATS.length - 1];
+}
+
+function _groupBy(items, keyFn) {
+  const groups = {};
+  for (const item of items) (groups[keyFn(item)] ??= []).push(item);
+  return groups;
+}
+
+// Split one CSV line, honouring double-quoted fields ("a, b" and "" escapes)
+function _splitLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
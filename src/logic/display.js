@@ -0,0 +1,28 @@
+// Display mode — what the projector / large-screen view lists.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Lists a round's pairings once per player, alphabetically, so players can
+//      find their own name instead of scanning tables
+
+import { tableNumber } from './sync.js';
+
+/**
+ * One row per player in the round, sorted by name.
+ * @param {object} round
+ * @param {Object<string, string>} playerMap - Player ID → name.
+ * @returns {{ playerId: string, name: string, table: number|null, opponent: string|null, isBye: boolean }[]}
+ *   table and opponent are null for a bye.
+ */
+export function pairingsByName(round, playerMap) {
+  const name = id => playerMap[id] ?? id;
+  const rows = round.matches.flatMap(m => {
+    if (m.isBye) return [{ playerId: m.player1Id, name: name(m.player1Id), table: null, opponent: null, isBye: true }];
+    const table = tableNumber(round, m.id);
+    return [
+      { playerId: m.player1Id, name: name(m.player1Id), table, opponent: name(m.player2Id), isBye: false },
+      { playerId: m.player2Id, name: name(m.player2Id), table, opponent: name(m.player1Id), isBye: false },
+    ];
+  });
+  return rows.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
@@ -0,0 +1,153 @@
+// Export targets — where "Upload results" sends the tournament CSV.
+// Target settings (including credentials) are kept in AsyncStorage under their
+// own key, like the GitHub token used to be, not in the tournament state.
+//
+// What it does:
+//   1. Defines the target types: GitHub repository, WebDAV / HTTP PUT, local files
+//   2. Loads and saves the configured targets and the default one
+//   3. Uploads a CSV to a target, returning { ok, message, authFailed?, retryable? }.
+//      retryable marks failures worth trying again later (network, server errors)
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { pushResultsToGitHub, takeLegacyToken, LEGACY_GITHUB_CONFIG } from './github.js';
+import { uuid } from './id.js';
+
+const TARGETS_KEY = 'export_targets';
+
+/**
+ * Target types. Each has a label, the settings fields the Settings screen shows
+ * ({ key, label, placeholder, secure? }), default settings, a one-line
+ * description and an upload function.
+ */
+export const EXPORT_TARGET_TYPES = {
+  github: {
+    label: 'GitHub repository',
+    fields: [
+      { key: 'owner',  label: 'Owner',        placeholder: 'user or organisation' },
+      { key: 'repo',   label: 'Repository',   placeholder: 'repository name' },
+      { key: 'branch', label: 'Branch',       placeholder: 'blank = default branch' },
+      { key: 'dir',    label: 'Folder',       placeholder: 'results' },
+      { key: 'token',  label: 'Access token', placeholder: 'ghp_...', secure: true },
+    ],
+    defaults: { owner: '', repo: '', branch: '', dir: 'results', token: '' },
+    describe: c => (c.owner && c.repo ? `${c.owner}/${c.repo}${c.dir ? '/' + c.dir : ''}` : 'No repository set'),
+    upload: pushResultsToGitHub,
+  },
+  webdav: {
+    label: 'WebDAV / HTTP PUT',
+    fields: [
+      { key: 'url',      label: 'Folder URL', placeholder: 'https://cloud.example.org/remote.php/dav/files/me/results' },
+      { key: 'username', label: 'Username',   placeholder: 'blank = no login' },
+      { key: 'password', label: 'Password',   placeholder: '', secure: true },
+    ],
+    defaults: { url: '', username: '', password: '' },
+    describe: c => c.url || 'No URL set',
+    upload: _putToUrl,
+  },
+  local: {
+    label: 'This device',
+    fields: [
+      { key: 'dir', label: 'Folder', placeholder: 'results' },
+    ],
+    defaults: { dir: 'results' },
+    describe: c => `App documents/${c.dir || ''}`,
+    upload: _saveLocally,
+  },
+};
+
+/**
+ * Load the configured targets. New installs start with none. An install that
+ * still has the token saved by older versions gets a GitHub target for the
+ * repository those versions uploaded to, so its uploads keep working.
+ * @returns {Promise<{ targets: { id: string, type: string, name: string, config: object }[], defaultId: string|null }>}
+ */
+export async function loadExportTargets() {
+  try {
+    const raw = await AsyncStorage.getItem(TARGETS_KEY);
+    if (raw) return JSON.parse(raw);
+  } catch {
+    // Fall through to the initial setup
+  }
+  const token = await takeLegacyToken().catch(() => null);
+  if (!token) return { targets: [], defaultId: null };
+  const github = newExportTarget('github', 'GitHub');
+  github.config = { ...LEGACY_GITHUB_CONFIG, token };
+  const data = { targets: [github], defaultId: github.id };
+  await saveExportTargets(data);
+  return data;
+}
+
+/** Save the target list. */
+export async function saveExportTargets(data) {
+  await AsyncStorage.setItem(TARGETS_KEY, JSON.stringify(data));
+}
+
+/**
+ * A new, unsaved target with the type's default settings.
+ * @param {string} type - Key of EXPORT_TARGET_TYPES.
+ * @param {string} [name]
+ */
+export function newExportTarget(type, name) {
+  return {
+    id: uuid(),
+    type,
+    name: name ?? EXPORT_TARGET_TYPES[type].label,
+    config: { ...EXPORT_TARGET_TYPES[type].defaults },
+  };
+}
+
+/** One-line description of a target, e.g. "club/results-archive/results". */
+export function describeTarget(target) {
+  return EXPORT_TARGET_TYPES[target.type]?.describe(target.config) ?? target.type;
+}
+
+/**
+ * Upload a CSV to a target.
+ * @param {object} target
+ * @param {string} filename
+ * @param {string} csv
+ * @returns {Promise<{ok: boolean, message: string, authFailed?: boolean, retryable?: boolean}>}
+ */
+export async function uploadToTarget(target, filename, csv) {
+  const type = EXPORT_TARGET_TYPES[target?.type];
+  if (!type) return { ok: false, message: 'Unknown export target.' };
+  return type.upload(filename, csv, target.config);
+}
+
+// Internal helpers
+
+async function _putToUrl(filename, csv, { url, username, password }) {
+  if (!url?.trim()) return { ok: false, message: 'Set the folder URL in Settings.' };
+  const target = `${url.trim().replace(/\/+$/, '')}/${encodeURIComponent(filename)}`;
+  const headers = { 'Content-Type': 'text/csv' };
+  try {
+    if (username?.trim()) headers.Authorization = 'Basic ' + _base64(`${username.trim()}:${password ?? ''}`);
+    const res = await fetch(target, { method: 'PUT', headers, body: csv });
+    if (res.status === 401 || res.status === 403) {
+      return { ok: false, authFailed: true, message: 'The server rejected the login. Check it in Settings.' };
+    }
+    if (!res.ok) return { ok: false, retryable: res.status >= 500, message: `Server error ${res.status}` };
+    return { ok: true, message: `Saved to ${target}` };
+  } catch {
+    return { ok: false, retryable: true, message: 'Network error while uploading.' };
+  }
+}
+
+/** Base64 of the UTF-8 bytes of text (btoa alone only takes Latin-1). */
+function _base64(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+async function _saveLocally(filename, csv, { dir }) {
+  try {
+    const folder = FileSystem.documentDirectory + (dir?.trim() ? dir.trim().replace(/^\/+|\/+$/g, '') + '/' : '');
+    await FileSystem.makeDirectoryAsync(folder, { intermediates: true }).catch(() => {});
+    await FileSystem.writeAsStringAsync(folder + filename, csv, { encoding: 'utf8' });
+    return { ok: true, message: `Saved to ${folder + filename}` };
+  } catch (e) {
+    return { ok: false, message: `Could not save file: ${e.message}` };
+  }
+}
@@ -0,0 +1,92 @@
+// Match format — best-of-N game counts for result entry and validation.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Resolves the format of a round (round override → tournament → scoring preset)
+//   2. Lists the game scores that can be entered for a format
+//   3. Validates a result object against a format
+//   4. Validates a result for a round: playoff matches need a winner, and a
+//      double loss needs a scoring preset that allows it
+
+/** Supported match formats (games per match). */
+export const MATCH_FORMATS = [1, 3, 5];
+
+/**
+ * Games a player needs to win the match (Bo1 → 1, Bo3 → 2, Bo5 → 3).
+ * @param {number} bestOf
+ * @returns {number}
+ */
+export function gamesToWin(bestOf) {
+  return Math.ceil(bestOf / 2);
+}
+
+/**
+ * Best-of length for a round. Rounds store the format they were paired with;
+ * older rounds fall back to the tournament format, then to the scoring preset.
+ *
+ * @param {object} tournament
+ * @param {object} [round]
+ * @returns {number}
+ */
+export function roundBestOf(tournament, round) {
+  return round?.bestOf ?? tournament?.bestOf ?? tournament?.scoring?.bestOf ?? 3;
+}
+
+/**
+ * Game scores that can be entered for a format, as result buttons.
+ * Player 1 wins first (most decisive first), then draws, then player 2 wins.
+ * Scores short of a full win (e.g. 1-0 in Bo3) cover matches ended by time.
+ *
+ * @param {number} bestOf
+ * @returns {{ label: string, p1: number, p2: number, d: number }[]}
+ */
+export function resultOptions(bestOf) {
+  const need = gamesToWin(bestOf);
+  const scores = [];
+  for (let a = 0; a <= need; a++) {
+    for (let b = 0; b <= need; b++) {
+      if (isValidResult({ player1Wins: a, player2Wins: b, draws: 0 }, bestOf)) scores.push([a, b]);
+    }
+  }
+  const p1Wins = scores.filter(([a, b]) => a > b).sort((x, y) => y[0] - x[0] || x[1] - y[1]);
+  const ties   = scores.filter(([a, b]) => a === b).sort((x, y) => y[0] - x[0]);
+  const p2Wins = p1Wins.map(([a, b]) => [b, a]).reverse();
+  return [...p1Wins, ...ties, ...p2Wins].map(([p1, p2]) => ({ label: `${p1}-${p2}`, p1, p2, d: 0 }));
+}
+
+/**
+ * True if a result is possible in the given format: no player above the games
+ * needed to win, not both at it, and no more games than the format allows.
+ * Double losses are always valid.
+ *
+ * @param {{ player1Wins: number, player2Wins: number, draws: number, doubleLoss?: boolean }} result
+ * @param {number} bestOf
+ * @returns {boolean}
+ */
+export function isValidResult(result, bestOf) {
+  if (result.doubleLoss) return true;
+  const { player1Wins, player2Wins, draws = 0 } = result;
+  const need = gamesToWin(bestOf);
+  if (![player1Wins, player2Wins, draws].every(n => Number.isInteger(n) && n >= 0)) return false;
+  if (player1Wins > need || player2Wins > need) return false;
+  if (player1Wins === need && player2Wins === need) return false;
+  return player1Wins + player2Wins + draws <= bestOf;
+}
+
+/**
+ * True if a result may be recorded for a match of this round: valid for the
+ * round's format, decisive in playoff rounds, and a double loss only in Swiss
+ * rounds of a tournament whose scoring preset enables it.
+ *
+ * @param {object} result
+ * @param {object} tournament
+ * @param {object} round
+ * @returns {boolean}
+ */
+export function isAllowedResult(result, tournament, round) {
+  if (!result || typeof result !== 'object') return false;
+  const playoff = round?.phase === 'playoff';
+  if (result.doubleLoss) return !playoff && !!tournament?.scoring?.doubleLoss;
+  if (!isValidResult(result, roundBestOf(tournament, round))) return false;
+  return !playoff || result.player1Wins !== result.player2Wins;
+}
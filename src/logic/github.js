@@ -1,45 +1,51 @@
-// GitHub export — pushes a CSV file to DimlasZ/TournamentOrganizer/results/
-// Uses the GitHub Contents API with a stored PAT.
+// GitHub export — pushes a CSV file to a folder in any GitHub repository.
+// Uses the GitHub Contents API with a personal access token (PAT).
 //
-// Token storage is handled here via AsyncStorage.
-// Token prompting (UI) is handled by the calling screen.
+// The repository, branch, folder and token come from an export target
+// (see exportTargets.js); this module only talks to the API.
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
-const REPO_OWNER  = 'DimlasZ';
-const REPO_NAME   = 'TournamentOrganizer-NativeReact';
-const RESULTS_DIR = 'results';
-const TOKEN_KEY   = 'gh_pat';
+// The repository older versions uploaded to; only used to carry their saved token
+// over into a GitHub target (see loadExportTargets)
+export const LEGACY_GITHUB_CONFIG = {
+  owner:  'DimlasZ',
+  repo:   'TournamentOrganizer-NativeReact',
+  branch: '',          // blank = the repository's default branch
+  dir:    'results',
+  token:  '',
+};
 
-/** Returns the stored PAT, or null if none is saved. */
-export async function getStoredToken() {
-  return await AsyncStorage.getItem(TOKEN_KEY);
-}
-
-/** Save a PAT to storage. */
-export async function setStoredToken(token) {
-  await AsyncStorage.setItem(TOKEN_KEY, token.trim());
-}
+const LEGACY_TOKEN_KEY = 'gh_pat';
 
-/** Clear the stored PAT (e.g. after auth failure). */
-export async function clearStoredToken() {
-  await AsyncStorage.removeItem(TOKEN_KEY);
+/**
+ * The PAT saved by older versions of the app, then removed from storage.
+ * Used once to set up a GitHub export target for LEGACY_GITHUB_CONFIG.
+ * @returns {Promise<string|null>}
+ */
+export async function takeLegacyToken() {
+  const token = await AsyncStorage.getItem(LEGACY_TOKEN_KEY);
+  if (token) await AsyncStorage.removeItem(LEGACY_TOKEN_KEY);
+  return token;
 }
 
 /**
- * Push csvContent to results/{filename} in the repo.
- * The caller is responsible for providing a valid token.
+ * Push csvContent to {dir}/{filename} in the configured repository.
  *
  * @param {string} filename   - e.g. "2026_02_18_matches.csv"
  * @param {string} csvContent
- * @param {string} token      - GitHub PAT with repo write access
- * @returns {Promise<{ok: boolean, message: string}>}
+ * @param {{ owner: string, repo: string, branch?: string, dir?: string, token: string }} config
+ * @returns {Promise<{ok: boolean, message: string, authFailed?: boolean, retryable?: boolean}>}
  */
-export async function pushResultsToGitHub(filename, csvContent, token) {
-  if (!token?.trim()) return { ok: false, message: 'No token provided.' };
+export async function pushResultsToGitHub(filename, csvContent, config) {
+  const { owner, repo, branch, dir, token } = config;
+  if (!token?.trim()) return { ok: false, authFailed: true, message: 'No GitHub token set.' };
+  if (!owner?.trim() || !repo?.trim()) return { ok: false, message: 'Set the repository owner and name.' };
 
-  const path   = `${RESULTS_DIR}/${filename}`;
-  const apiUrl = `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/contents/${path}`;
+  const path   = [_trimSlashes(dir ?? ''), filename].filter(Boolean).join('/');
+  const apiUrl = `https://api.github.com/repos/${owner.trim()}/${repo.trim()}/contents/${path}`;
+  const ref    = branch?.trim() ? `?ref=${encodeURIComponent(branch.trim())}` : '';
+  const headers = { Authorization: `Bearer ${token.trim()}`, Accept: 'application/vnd.github+json' };
   const bytes = new TextEncoder().encode(csvContent);
   let binary = '';
   bytes.forEach(b => { binary += String.fromCharCode(b); });
@@ -48,46 +54,43 @@ export async function pushResultsToGitHub(filename, csvContent, token) {
   // Check if file already exists (need its SHA to update)
   let sha;
   try {
-    const check = await fetch(apiUrl, {
-      headers: { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json' },
-    });
+    const check = await fetch(apiUrl + ref, { headers });
     if (check.ok) {
       const data = await check.json();
       sha = data.sha;
     } else if (check.status === 401) {
-      await clearStoredToken();
-      return { ok: false, message: 'Invalid token — cleared. Enter it again.' };
+      return { ok: false, authFailed: true, message: 'GitHub rejected the token. Update it in Settings.' };
     }
   } catch {
-    return { ok: false, message: 'Network error while checking file.' };
+    return { ok: false, retryable: true, message: 'Network error while checking file.' };
   }
 
   // Create or update the file
   try {
     const res = await fetch(apiUrl, {
       method: 'PUT',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: 'application/vnd.github+json',
-        'Content-Type': 'application/json',
-      },
+      headers: { ...headers, 'Content-Type': 'application/json' },
       body: JSON.stringify({
         message: `Add results ${filename}`,
         content,
+        ...(branch?.trim() ? { branch: branch.trim() } : {}),
         ...(sha ? { sha } : {}),
       }),
     });
 
     if (res.status === 401) {
-      await clearStoredToken();
-      return { ok: false, message: 'Invalid token — cleared. Enter it again.' };
+      return { ok: false, authFailed: true, message: 'GitHub rejected the token. Update it in Settings.' };
     }
     if (!res.ok) {
       const err = await res.json().catch(() => ({}));
-      return { ok: false, message: err.message ?? `GitHub error ${res.status}` };
+      return { ok: false, retryable: res.status >= 500, message: err.message ?? `GitHub error ${res.status}` };
     }
-    return { ok: true, message: `Saved to results/${filename}` };
+    return { ok: true, message: `Saved to ${owner}/${repo}/${path}` };
   } catch {
-    return { ok: false, message: 'Network error while uploading.' };
+    return { ok: false, retryable: true, message: 'Network error while uploading.' };
   }
 }
+
+function _trimSlashes(s) {
+  return s.trim().replace(/^\/+|\/+$/g, '');
+}
@@ -0,0 +1,16 @@
+// IDs — random identifiers for players, tournaments, matches and settings entries.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Generates version-4-style UUID strings
+
+/**
+ * A random UUID (RFC 4122 version 4 layout, from Math.random).
+ * @returns {string} e.g. "3f2b8c1e-9a4d-4e7f-b2c1-0d9e8f7a6b5c"
+ */
+export function uuid() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  });
+}
@@ -0,0 +1,75 @@
+// League standings — aggregates points across a season of tournaments.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Scores each player per event: Swiss match points plus participation points
+//   2. Counts only each player's best N events when the league sets a limit
+//   3. Ranks players by counted total, then by events played, then by all points
+
+import { computeStandings, standingsOptions, standingsPlayerIds } from './standings.js';
+
+/** Rules used for a new league: every event counts, no participation bonus. */
+export const DEFAULT_LEAGUE_RULES = {
+  bestOf:              null, // count only each player's best N events (null = all)
+  participationPoints: 0,    // added for every event a player took part in
+};
+
+/**
+ * Points each player earned in one tournament, including participation points.
+ * Dropped players keep the points they scored before dropping; players who
+ * dropped before playing a match were not in the event and get nothing.
+ *
+ * @param {object} tournament
+ * @param {object} rules - League rules (see DEFAULT_LEAGUE_RULES).
+ * @returns {{ [playerId: string]: number }}
+ */
+export function eventPoints(tournament, rules) {
+  const standings = computeStandings(standingsPlayerIds(tournament), tournament.rounds ?? [], standingsOptions(tournament));
+  return Object.fromEntries(
+    standings.map(s => [s.playerId, s.matchPoints + (rules.participationPoints ?? 0)])
+  );
+}
+
+/**
+ * Compute season standings for a league.
+ *
+ * @param {object}   league      - { tournamentIds, rules }
+ * @param {object[]} tournaments - Finished tournaments to look league events up in.
+ *                                 Events that are no longer found are skipped.
+ * @returns {object[]} Sorted best first. Each entry:
+ *   playerId, total (counted points), allPoints, eventsPlayed,
+ *   events: [{ tournamentId, points, counted }] in league event order
+ */
+export function computeLeagueStandings(league, tournaments) {
+  const rules = { ...DEFAULT_LEAGUE_RULES, ...league.rules };
+  const byId = Object.fromEntries(tournaments.map(t => [t.id, t]));
+  const events = league.tournamentIds.map(id => byId[id]).filter(Boolean);
+
+  const perPlayer = {};
+  for (const t of events) {
+    for (const [playerId, points] of Object.entries(eventPoints(t, rules))) {
+      (perPlayer[playerId] ??= []).push({ tournamentId: t.id, points, counted: false });
+    }
+  }
+
+  const result = Object.entries(perPlayer).map(([playerId, playerEvents]) => {
+    const best = [...playerEvents].sort((a, b) => b.points - a.points);
+    const counted = rules.bestOf ? best.slice(0, rules.bestOf) : best;
+    for (const e of counted) e.counted = true;
+    return {
+      playerId,
+      total:        _sum(counted.map(e => e.points)),
+      allPoints:    _sum(playerEvents.map(e => e.points)),
+      eventsPlayed: playerEvents.length,
+      events:       playerEvents,
+    };
+  });
+
+  return result.sort((a, b) =>
+    b.total - a.total || b.eventsPlayed - a.eventsPlayed || b.allPoints - a.allPoints
+  );
+}
+
+function _sum(values) {
+  return values.reduce((sum, v) => sum + v, 0);
+}
@@ -0,0 +1,468 @@
+// Weighted matching — maximum-weight matching on a general graph.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Implements Edmonds' blossom algorithm with dual variables (O(n³))
+//   2. Optionally restricts the result to maximum-cardinality matchings
+//   3. Is used by swiss.js to find the lowest-cost pairing for a round
+//
+// Port of Joris van Rantwijk's reference implementation (mwmatching.py).
+// Vertices are integers 0..n-1; edges are [i, j, weight] with i !== j.
+// Integer weights keep every intermediate value exact.
+
+/**
+ * Compute a maximum-weight matching.
+ *
+ * @param {[number, number, number][]} edges - Undirected weighted edges.
+ * @param {boolean} [maxCardinality=false]   - Only consider matchings of maximum size.
+ * @returns {number[]} mate[v] = vertex matched to v, or -1 if v is unmatched.
+ */
+export function maxWeightMatching(edges, maxCardinality = false) {
+  if (edges.length === 0) return [];
+
+  const nedge = edges.length;
+  let nvertex = 0;
+  for (const [i, j] of edges) {
+    if (i >= nvertex) nvertex = i + 1;
+    if (j >= nvertex) nvertex = j + 1;
+  }
+  const maxWeight = Math.max(0, ...edges.map(e => e[2]));
+
+  // endpoint[p] is the vertex at end p of edge p >> 1
+  const endpoint = [];
+  for (let p = 0; p < 2 * nedge; p++) endpoint.push(edges[p >> 1][p & 1]);
+
+  // neighbend[v] lists the remote endpoints of edges incident to v
+  const neighbend = Array.from({ length: nvertex }, () => []);
+  edges.forEach(([i, j], k) => {
+    neighbend[i].push(2 * k + 1);
+    neighbend[j].push(2 * k);
+  });
+
+  const mate             = _fill(nvertex, -1);
+  const label            = _fill(2 * nvertex, 0);   // 0 free, 1 S, 2 T
+  const labelend         = _fill(2 * nvertex, -1);
+  const inblossom        = Array.from({ length: nvertex }, (_, v) => v);
+  const blossomparent    = _fill(2 * nvertex, -1);
+  const blossomchilds    = _fill(2 * nvertex, null);
+  const blossombase      = [...inblossom, ..._fill(nvertex, -1)];
+  const blossomendps     = _fill(2 * nvertex, null);
+  const bestedge         = _fill(2 * nvertex, -1);
+  const blossombestedges = _fill(2 * nvertex, null);
+  const unusedblossoms   = Array.from({ length: nvertex }, (_, i) => nvertex + i);
+  const dualvar          = [..._fill(nvertex, maxWeight), ..._fill(nvertex, 0)];
+  let allowedge          = _fill(nedge, false);
+  let queue              = [];
+
+  const slack = k => {
+    const [i, j, wt] = edges[k];
+    return dualvar[i] + dualvar[j] - 2 * wt;
+  };
+
+  const blossomLeaves = b => {
+    if (b < nvertex) return [b];
+    const leaves = [];
+    for (const t of blossomchilds[b]) {
+      if (t < nvertex) leaves.push(t);
+      else leaves.push(...blossomLeaves(t));
+    }
+    return leaves;
+  };
+
+  // Label the top-level blossom containing w and, for T-labels, its mate
+  const assignLabel = (w, t, p) => {
+    const b = inblossom[w];
+    label[w] = label[b] = t;
+    labelend[w] = labelend[b] = p;
+    bestedge[w] = bestedge[b] = -1;
+    if (t === 1) {
+      queue.push(...blossomLeaves(b));
+    } else if (t === 2) {
+      const base = blossombase[b];
+      assignLabel(endpoint[mate[base]], 1, mate[base] ^ 1);
+    }
+  };
+
+  // Trace back from v and w to find a new blossom base, or -1 for an augmenting path
+  const scanBlossom = (v, w) => {
+    const path = [];
+    let base = -1;
+    while (v !== -1 || w !== -1) {
+      let b = inblossom[v];
+      if (label[b] & 4) {
+        base = blossombase[b];
+        break;
+      }
+      path.push(b);
+      label[b] = 5;
+      if (labelend[b] === -1) {
+        v = -1;
+      } else {
+        v = endpoint[labelend[b]];
+        b = inblossom[v];
+        v = endpoint[labelend[b]];
+      }
+      if (w !== -1) [v, w] = [w, v];
+    }
+    for (const b of path) label[b] = 1;
+    return base;
+  };
+
+  // Construct a new blossom with the given base through S-vertices joined by edge k
+  const addBlossom = (base, k) => {
+    let [v, w] = edges[k];
+    const bb = inblossom[base];
+    let bv = inblossom[v];
+    let bw = inblossom[w];
+    const b = unusedblossoms.pop();
+    blossombase[b] = base;
+    blossomparent[b] = -1;
+    blossomparent[bb] = b;
+    const path = [];
+    const endps = [];
+    while (bv !== bb) {
+      blossomparent[bv] = b;
+      path.push(bv);
+      endps.push(labelend[bv]);
+      v = endpoint[labelend[bv]];
+      bv = inblossom[v];
+    }
+    path.push(bb);
+    path.reverse();
+    endps.reverse();
+    endps.push(2 * k);
+    while (bw !== bb) {
+      blossomparent[bw] = b;
+      path.push(bw);
+      endps.push(labelend[bw] ^ 1);
+      w = endpoint[labelend[bw]];
+      bw = inblossom[w];
+    }
+    blossomchilds[b] = path;
+    blossomendps[b] = endps;
+    label[b] = 1;
+    labelend[b] = labelend[bb];
+    dualvar[b] = 0;
+    for (const leaf of blossomLeaves(b)) {
+      if (label[inblossom[leaf]] === 2) queue.push(leaf);
+      inblossom[leaf] = b;
+    }
+
+    // Compute the least-slack edges from the new blossom to every other S-blossom
+    const bestedgeto = _fill(2 * nvertex, -1);
+    for (const sub of path) {
+      const nblists = blossombestedges[sub] === null
+        ? blossomLeaves(sub).map(leaf => neighbend[leaf].map(p => p >> 1))
+        : [blossombestedges[sub]];
+      for (const nblist of nblists) {
+        for (const e of nblist) {
+          let [i, j] = edges[e];
+          if (inblossom[j] === b) [i, j] = [j, i];
+          const bj = inblossom[j];
+          if (bj !== b && label[bj] === 1 &&
+              (bestedgeto[bj] === -1 || slack(e) < slack(bestedgeto[bj]))) {
+            bestedgeto[bj] = e;
+          }
+        }
+      }
+      blossombestedges[sub] = null;
+      bestedge[sub] = -1;
+    }
+    blossombestedges[b] = bestedgeto.filter(e => e !== -1);
+    bestedge[b] = -1;
+    for (const e of blossombestedges[b]) {
+      if (bestedge[b] === -1 || slack(e) < slack(bestedge[b])) bestedge[b] = e;
+    }
+  };
+
+  // Expand a blossom into its sub-blossoms, relabelling as needed mid-stage
+  const expandBlossom = (b, endstage) => {
+    for (const s of blossomchilds[b]) {
+      blossomparent[s] = -1;
+      if (s < nvertex) {
+        inblossom[s] = s;
+      } else if (endstage && dualvar[s] === 0) {
+        expandBlossom(s, endstage);
+      } else {
+        for (const leaf of blossomLeaves(s)) inblossom[leaf] = s;
+      }
+    }
+
+    if (!endstage && label[b] === 2) {
+      const childs = blossomchilds[b];
+      const endps = blossomendps[b];
+      const entrychild = inblossom[endpoint[labelend[b] ^ 1]];
+      let j = childs.indexOf(entrychild);
+      let jstep;
+      let endptrick;
+      if (j & 1) {
+        j -= childs.length;
+        jstep = 1;
+        endptrick = 0;
+      } else {
+        jstep = -1;
+        endptrick = 1;
+      }
+      let p = labelend[b];
+      while (j !== 0) {
+        label[endpoint[p ^ 1]] = 0;
+        label[endpoint[_at(endps, j - endptrick) ^ endptrick ^ 1]] = 0;
+        assignLabel(endpoint[p ^ 1], 2, p);
+        allowedge[_at(endps, j - endptrick) >> 1] = true;
+        j += jstep;
+        p = _at(endps, j - endptrick) ^ endptrick;
+        allowedge[p >> 1] = true;
+        j += jstep;
+      }
+      let bv = _at(childs, j);
+      label[endpoint[p ^ 1]] = label[bv] = 2;
+      labelend[endpoint[p ^ 1]] = labelend[bv] = p;
+      bestedge[bv] = -1;
+      j += jstep;
+      while (_at(childs, j) !== entrychild) {
+        bv = _at(childs, j);
+        if (label[bv] === 1) {
+          j += jstep;
+          continue;
+        }
+        const labelled = blossomLeaves(bv).find(leaf => label[leaf] !== 0);
+        if (labelled !== undefined) {
+          label[labelled] = 0;
+          label[endpoint[mate[blossombase[bv]]]] = 0;
+          assignLabel(labelled, 2, labelend[labelled]);
+        }
+        j += jstep;
+      }
+    }
+
+    label[b] = labelend[b] = -1;
+    blossomchilds[b] = blossomendps[b] = null;
+    blossombase[b] = -1;
+    blossombestedges[b] = null;
+    bestedge[b] = -1;
+    unusedblossoms.push(b);
+  };
+
+  // Swap matched/unmatched edges along the path from v to the base of blossom b
+  const augmentBlossom = (b, v) => {
+    let t = v;
+    while (blossomparent[t] !== b) t = blossomparent[t];
+    if (t >= nvertex) augmentBlossom(t, v);
+
+    const childs = blossomchilds[b];
+    const endps = blossomendps[b];
+    const i = childs.indexOf(t);
+    let j = i;
+    let jstep;
+    let endptrick;
+    if (i & 1) {
+      j -= childs.length;
+      jstep = 1;
+      endptrick = 0;
+    } else {
+      jstep = -1;
+      endptrick = 1;
+    }
+    while (j !== 0) {
+      j += jstep;
+      t = _at(childs, j);
+      const p = _at(endps, j - endptrick) ^ endptrick;
+      if (t >= nvertex) augmentBlossom(t, endpoint[p]);
+      j += jstep;
+      t = _at(childs, j);
+      if (t >= nvertex) augmentBlossom(t, endpoint[p ^ 1]);
+      mate[endpoint[p]] = p ^ 1;
+      mate[endpoint[p ^ 1]] = p;
+    }
+    blossomchilds[b] = [...childs.slice(i), ...childs.slice(0, i)];
+    blossomendps[b] = [...endps.slice(i), ...endps.slice(0, i)];
+    blossombase[b] = blossombase[blossomchilds[b][0]];
+  };
+
+  // Swap matched/unmatched edges along the augmenting path through edge k
+  const augmentMatching = k => {
+    const [v, w] = edges[k];
+    for (let [s, p] of [[v, 2 * k + 1], [w, 2 * k]]) {
+      for (;;) {
+        const bs = inblossom[s];
+        if (bs >= nvertex) augmentBlossom(bs, s);
+        mate[s] = p;
+        if (labelend[bs] === -1) break;
+        const t = endpoint[labelend[bs]];
+        const bt = inblossom[t];
+        s = endpoint[labelend[bt]];
+        const j = endpoint[labelend[bt] ^ 1];
+        if (bt >= nvertex) augmentBlossom(bt, j);
+        mate[j] = labelend[bt];
+        p = labelend[bt] ^ 1;
+      }
+    }
+  };
+
+  // Main loop: each stage either augments the matching by one edge or ends
+  for (let stage = 0; stage < nvertex; stage++) {
+    label.fill(0);
+    bestedge.fill(-1);
+    blossombestedges.fill(null, nvertex);
+    allowedge = _fill(nedge, false);
+    queue = [];
+
+    for (let v = 0; v < nvertex; v++) {
+      if (mate[v] === -1 && label[inblossom[v]] === 0) assignLabel(v, 1, -1);
+    }
+
+    let augmented = false;
+    for (;;) {
+      while (queue.length > 0 && !augmented) {
+        const v = queue.pop();
+        for (const p of neighbend[v]) {
+          const k = p >> 1;
+          const w = endpoint[p];
+          if (inblossom[v] === inblossom[w]) continue;
+          let kslack = 0;
+          if (!allowedge[k]) {
+            kslack = slack(k);
+            if (kslack <= 0) allowedge[k] = true;
+          }
+          if (allowedge[k]) {
+            if (label[inblossom[w]] === 0) {
+              assignLabel(w, 2, p ^ 1);
+            } else if (label[inblossom[w]] === 1) {
+              const base = scanBlossom(v, w);
+              if (base >= 0) {
+                addBlossom(base, k);
+              } else {
+                augmentMatching(k);
+                augmented = true;
+                break;
+              }
+            } else if (label[w] === 0) {
+              label[w] = 2;
+              labelend[w] = p ^ 1;
+            }
+          } else if (label[inblossom[w]] === 1) {
+            const b = inblossom[v];
+            if (bestedge[b] === -1 || kslack < slack(bestedge[b])) bestedge[b] = k;
+          } else if (label[w] === 0) {
+            if (bestedge[w] === -1 || kslack < slack(bestedge[w])) bestedge[w] = k;
+          }
+        }
+      }
+      if (augmented) break;
+
+      // No augmenting path yet: pick the smallest dual adjustment that makes progress
+      let deltatype = -1;
+      let delta = 0;
+      let deltaedge = -1;
+      let deltablossom = -1;
+
+      if (!maxCardinality) {
+        deltatype = 1;
+        delta = Math.min(...dualvar.slice(0, nvertex));
+      }
+      for (let v = 0; v < nvertex; v++) {
+        if (label[inblossom[v]] === 0 && bestedge[v] !== -1) {
+          const d = slack(bestedge[v]);
+          if (deltatype === -1 || d < delta) {
+            delta = d;
+            deltatype = 2;
+            deltaedge = bestedge[v];
+          }
+        }
+      }
+      for (let b = 0; b < 2 * nvertex; b++) {
+        if (blossomparent[b] === -1 && label[b] === 1 && bestedge[b] !== -1) {
+          const d = slack(bestedge[b]) / 2;
+          if (deltatype === -1 || d < delta) {
+            delta = d;
+            deltatype = 3;
+            deltaedge = bestedge[b];
+          }
+        }
+      }
+      for (let b = nvertex; b < 2 * nvertex; b++) {
+        if (blossombase[b] >= 0 && blossomparent[b] === -1 && label[b] === 2 &&
+            (deltatype === -1 || dualvar[b] < delta)) {
+          delta = dualvar[b];
+          deltatype = 4;
+          deltablossom = b;
+        }
+      }
+      if (deltatype === -1) {
+        // Max-cardinality mode with no further improvement possible
+        deltatype = 1;
+        delta = Math.max(0, Math.min(...dualvar.slice(0, nvertex)));
+      }
+
+      for (let v = 0; v < nvertex; v++) {
+        if (label[inblossom[v]] === 1) dualvar[v] -= delta;
+        else if (label[inblossom[v]] === 2) dualvar[v] += delta;
+      }
+      for (let b = nvertex; b < 2 * nvertex; b++) {
+        if (blossombase[b] >= 0 && blossomparent[b] === -1) {
+          if (label[b] === 1) dualvar[b] += delta;
+          else if (label[b] === 2) dualvar[b] -= delta;
+        }
+      }
+
+      if (deltatype === 1) {
+        break;
+      } else if (deltatype === 2) {
+        allowedge[deltaedge] = true;
+        let [i, j] = edges[deltaedge];
+        if (label[inblossom[i]] === 0) [i, j] = [j, i];
+        queue.push(i);
+      } else if (deltatype === 3) {
+        allowedge[deltaedge] = true;
+        queue.push(edges[deltaedge][0]);
+      } else {
+        expandBlossom(deltablossom, false);
+      }
+    }
+
+    if (!augmented) break;
+
+    // End of stage: expand S-blossoms whose dual variable dropped to zero
+    for (let b = nvertex; b < 2 * nvertex; b++) {
+      if (blossomparent[b] === -1 && blossombase[b] >= 0 && label[b] === 1 && dualvar[b] === 0) {
+        expandBlossom(b, true);
+      }
+    }
+  }
+
+  return mate.map(p => (p >= 0 ? endpoint[p] : -1));
+}
+
+/**
+ * Compute a minimum-cost perfect matching on a complete graph.
+ * Every vertex is matched as long as the vertex count is even.
+ *
+ * @param {number}   n             - Number of vertices.
+ * @param {(i: number, j: number) => number} cost - Non-negative integer cost of pairing i with j.
+ * @returns {number[]} mate[v] = vertex matched to v.
+ */
+export function minCostPerfectMatching(n, cost) {
+  const costs = [];
+  let maxCost = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const c = cost(i, j);
+      costs.push([i, j, c]);
+      if (c > maxCost) maxCost = c;
+    }
+  }
+  // Maximum weight over maximum-cardinality matchings = minimum total cost
+  const edges = costs.map(([i, j, c]) => [i, j, maxCost + 1 - c]);
+  return maxWeightMatching(edges, true);
+}
+
+// Internal helpers
+
+function _fill(n, value) {
+  return new Array(n).fill(value);
+}
+
+// Python-style indexing: negative indices count from the end
+function _at(arr, i) {
+  return arr[i < 0 ? arr.length + i : i];
+}
@@ -0,0 +1,115 @@
+// State migrations — upgrades saved state to the current schema, one version at a time.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Defines SCHEMA_VERSION, the shape of state this version of the app writes
+//   2. Runs every migration step between a saved state's schemaVersion and
+//      SCHEMA_VERSION, in order (state saved before versioning counts as 0)
+//   3. Refuses state it cannot read: not an object, a step that throws, or a
+//      schemaVersion newer than this app knows (the store quarantines those)
+//
+// Adding a field to state, tournaments or matches: append a step that fills it
+// in for old data and bump SCHEMA_VERSION. Never edit a step that has shipped.
+
+import { DEFAULT_TIEBREAKERS } from './standings.js';
+import { DEFAULT_SCORING } from '../constants.js';
+
+/**
+ * Ordered migration steps. Step `to: n` upgrades state at version n - 1 to n.
+ * Each step receives a copy it may modify and returns the upgraded state.
+ */
+export const MIGRATIONS = [
+  {
+    to: 1,
+    description: 'Top-level players, tournament and history',
+    up: data => ({
+      ...data,
+      players:         Array.isArray(data.players) ? data.players : [],
+      tournament:      data.tournament ?? null,
+      pastTournaments: Array.isArray(data.pastTournaments) ? data.pastTournaments : [],
+    }),
+  },
+  {
+    to: 2,
+    description: 'Leagues',
+    up: data => ({
+      ...data,
+      leagues: Array.isArray(data.leagues) ? data.leagues : [],
+    }),
+  },
+  {
+    to: 3,
+    description: 'Tournament settings and drop tracking on every tournament',
+    up: data => ({
+      ...data,
+      tournament:      data.tournament && _tournamentDefaults(data.tournament),
+      pastTournaments: data.pastTournaments.map(_tournamentDefaults),
+    }),
+  },
+  {
+    to: 4,
+    description: 'Match audit log on every tournament',
+    up: data => {
+      const withLog = t => ({ ...t, auditLog: t.auditLog ?? [] });
+      return {
+        ...data,
+        tournament:      data.tournament && withLog(data.tournament),
+        pastTournaments: data.pastTournaments.map(withLog),
+      };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].to;
+
+/**
+ * Upgrade saved state to SCHEMA_VERSION.
+ * @param {object} data - Parsed saved state (not modified).
+ * @returns {{ ok: true, state: object } | { ok: false, reason: string }}
+ */
+export function runMigrations(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, reason: 'The saved data is not a state object.' };
+  }
+  const from = data.schemaVersion ?? 0;
+  if (!Number.isInteger(from) || from < 0) {
+    return { ok: false, reason: `The saved data has an unknown schema version (${from}).` };
+  }
+  if (from > SCHEMA_VERSION) {
+    return {
+      ok: false,
+      reason: `The saved data is from a newer version of the app (schema ${from}, this app reads up to ${SCHEMA_VERSION}).`,
+    };
+  }
+
+  let state = JSON.parse(JSON.stringify(data));
+  for (const step of MIGRATIONS.filter(m => m.to > from)) {
+    try {
+      state = { ...step.up(state), schemaVersion: step.to };
+    } catch (e) {
+      return { ok: false, reason: `Migration to schema ${step.to} (${step.description}) failed: ${e.message}` };
+    }
+  }
+  return { ok: true, state };
+}
+
+// Internal helpers
+
+// Fields older tournaments may lack. Every reader falls back to these same
+// defaults, so filling them in does not change any standings.
+function _tournamentDefaults(t) {
+  const scoring = t.scoring ?? DEFAULT_SCORING;
+  return {
+    ...t,
+    tiebreakers:    t.tiebreakers ?? [...DEFAULT_TIEBREAKERS],
+    scoring:        { ...scoring, bye: { ...scoring.bye } },
+    bestOf:         t.bestOf ?? scoring.bestOf,
+    activePlayers:  t.activePlayers ?? [],
+    droppedPlayers: t.droppedPlayers ?? [],
+    dropRounds:     t.dropRounds ?? {},
+    rounds:         t.rounds ?? [],
+    seatingOrder:   t.seatingOrder ?? [...(t.activePlayers ?? [])],
+    playoff:        t.playoff ?? null,
+    reopenedRound:  t.reopenedRound ?? null,
+  };
+}
@@ -0,0 +1,104 @@
+// Migration tests — each step on its own, then the runner.
+// Run with `npm test` (node:test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, SCHEMA_VERSION, runMigrations } from './migrations.js';
+import { makeBackup, readBackup } from './backup.js';
+import { DEFAULT_TIEBREAKERS } from './standings.js';
+import { DEFAULT_SCORING, SCORING_PRESETS } from '../constants.js';
+
+const step = to => MIGRATIONS.find(m => m.to === to).up;
+
+test('steps are numbered 1..SCHEMA_VERSION in order', () => {
+  assert.deepEqual(MIGRATIONS.map(m => m.to), Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+});
+
+test('step 1 adds players, tournament and history', () => {
+  assert.deepEqual(step(1)({}), { players: [], tournament: null, pastTournaments: [] });
+  const players = [{ id: 'a', name: 'Anna' }];
+  const tournament = { id: 't1' };
+  assert.deepEqual(
+    step(1)({ players, tournament, pastTournaments: 'broken' }),
+    { players, tournament, pastTournaments: [] },
+  );
+});
+
+test('step 2 adds leagues', () => {
+  assert.deepEqual(step(2)({ players: [] }).leagues, []);
+  const leagues = [{ id: 'l1' }];
+  assert.equal(step(2)({ leagues }).leagues, leagues);
+});
+
+test('step 3 fills in tournament settings without changing set ones', () => {
+  const old = { id: 't1', activePlayers: ['a', 'b'], rounds: [{ roundNumber: 1 }] };
+  const out = step(3)({ tournament: old, pastTournaments: [{ id: 't0' }] });
+
+  assert.deepEqual(out.tournament.tiebreakers, DEFAULT_TIEBREAKERS);
+  assert.deepEqual(out.tournament.scoring, DEFAULT_SCORING);
+  assert.notEqual(out.tournament.scoring.bye, DEFAULT_SCORING.bye, 'the preset is copied, not shared');
+  assert.equal(out.tournament.bestOf, DEFAULT_SCORING.bestOf);
+  assert.deepEqual(out.tournament.seatingOrder, ['a', 'b']);
+  assert.deepEqual(out.tournament.rounds, old.rounds);
+  assert.deepEqual(out.tournament.droppedPlayers, []);
+  assert.deepEqual(out.tournament.dropRounds, {});
+  assert.equal(out.tournament.playoff, null);
+  assert.equal(out.tournament.reopenedRound, null);
+  assert.deepEqual(out.pastTournaments[0].activePlayers, []);
+
+  const chess = { id: 't2', scoring: SCORING_PRESETS.chess, tiebreakers: ['buchholz'] };
+  const kept = step(3)({ tournament: chess, pastTournaments: [] }).tournament;
+  assert.deepEqual(kept.scoring, SCORING_PRESETS.chess);
+  assert.equal(kept.bestOf, SCORING_PRESETS.chess.bestOf);
+  assert.deepEqual(kept.tiebreakers, ['buchholz']);
+
+  assert.equal(step(3)({ tournament: null, pastTournaments: [] }).tournament, null);
+});
+
+test('step 4 adds an audit log to every tournament', () => {
+  const log = [{ action: 'submit' }];
+  const out = step(4)({ tournament: { id: 't1' }, pastTournaments: [{ id: 't0', auditLog: log }] });
+  assert.deepEqual(out.tournament.auditLog, []);
+  assert.equal(out.pastTournaments[0].auditLog, log);
+  assert.equal(step(4)({ tournament: null, pastTournaments: [] }).tournament, null);
+});
+
+test('runMigrations upgrades unversioned state to SCHEMA_VERSION', () => {
+  const saved = { players: [{ id: 'a', name: 'Anna' }], tournament: { id: 't1', activePlayers: ['a'] } };
+  const before = JSON.stringify(saved);
+  const result = runMigrations(saved);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.state.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(result.state.leagues, []);
+  assert.deepEqual(result.state.tournament.auditLog, []);
+  assert.equal(JSON.stringify(saved), before, 'the input is not modified');
+});
+
+test('runMigrations only runs the steps after the saved version', () => {
+  const result = runMigrations({ schemaVersion: 3, players: [], tournament: { id: 't1' }, pastTournaments: [], leagues: [] });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.state.tournament, { id: 't1', auditLog: [] });
+  assert.deepEqual(runMigrations({ ...result.state }).state, result.state);
+});
+
+test('runMigrations refuses state it cannot read', () => {
+  assert.equal(runMigrations(null).ok, false);
+  assert.equal(runMigrations([]).ok, false);
+  assert.equal(runMigrations({ schemaVersion: -1 }).ok, false);
+  assert.equal(runMigrations({ schemaVersion: 1.5 }).ok, false);
+  const newer = runMigrations({ schemaVersion: SCHEMA_VERSION + 1 });
+  assert.equal(newer.ok, false);
+  assert.match(newer.reason, /newer version/);
+  const broken = runMigrations({ schemaVersion: 2, players: [], tournament: null, pastTournaments: null });
+  assert.equal(broken.ok, false);
+  assert.match(broken.reason, /schema 3/);
+});
+
+test('backups carry the schema version and restore to the same state', () => {
+  const state = runMigrations({ players: [{ id: 'a', name: 'Anna' }] }).state;
+  const read = readBackup(makeBackup(state, new Date('2026-02-18T12:00:00Z')));
+  assert.equal(read.ok, true);
+  assert.equal(read.state.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(runMigrations(read.state).state, state);
+});
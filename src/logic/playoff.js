@@ -0,0 +1,94 @@
+// Single-elimination playoff — seeds the top cut and advances winners.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Seeds the top N from Swiss standings into bracket order (1v8, 4v5, 2v7, 3v6)
+//   2. Pairs each following bracket round from the winners of the previous one
+//   3. Labels playoff rounds by size (QF / SF / F) and finds the champion
+
+/** Supported top-cut sizes, largest first. */
+export const PLAYOFF_SIZES = [8, 4, 2];
+
+/**
+ * Seed order for a bracket of the given size, so that the top seeds can only
+ * meet in the latest possible round. e.g. 8 → [1, 8, 4, 5, 2, 7, 3, 6]
+ *
+ * @param {number} size - Power of two (2, 4, 8, …).
+ * @returns {number[]} 1-based seeds, consecutive entries play each other.
+ */
+export function bracketSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(seed => [seed, n + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Round label for a playoff round by the number of matches it contains.
+ * @param {number} matchCount
+ * @returns {string} "F", "SF", "QF", or "R16" etc.
+ */
+export function playoffRoundLabel(matchCount) {
+  if (matchCount === 1) return 'F';
+  if (matchCount === 2) return 'SF';
+  if (matchCount === 4) return 'QF';
+  return `R${matchCount * 2}`;
+}
+
+/**
+ * Pair the first playoff round from the seed list.
+ *
+ * @param {string[]} seeds - Player IDs in seed order (seeds[0] = 1st seed).
+ * @returns {{ player1Id: string, player2Id: string }[]}
+ */
+export function pairFirstPlayoffRound(seeds) {
+  const order = bracketSeedOrder(seeds.length);
+  const pairs = [];
+  for (let i = 0; i < order.length; i += 2) {
+    pairs.push({ player1Id: seeds[order[i] - 1], player2Id: seeds[order[i + 1] - 1] });
+  }
+  return pairs;
+}
+
+/**
+ * Pair the next playoff round from the winners of the previous one.
+ * Adjacent matches feed the same next-round match, so bracket order is kept.
+ *
+ * @param {object} prevRound - Completed playoff round object.
+ * @returns {{ player1Id: string, player2Id: string }[]}
+ */
+export function pairNextPlayoffRound(prevRound) {
+  const winners = prevRound.matches.map(matchWinner);
+  const pairs = [];
+  for (let i = 0; i < winners.length - 1; i += 2) {
+    pairs.push({ player1Id: winners[i], player2Id: winners[i + 1] });
+  }
+  return pairs;
+}
+
+/**
+ * Winner of a playoff match, or null if no decisive result is entered yet.
+ * @param {object} match
+ * @returns {string|null}
+ */
+export function matchWinner(match) {
+  if (!match.result) return null;
+  const { player1Wins, player2Wins } = match.result;
+  if (player1Wins > player2Wins) return match.player1Id;
+  if (player2Wins > player1Wins) return match.player2Id;
+  return null;
+}
+
+/**
+ * Champion of a tournament's playoff, or null if there is no finished final.
+ * @param {object} tournament
+ * @returns {string|null}
+ */
+export function playoffChampion(tournament) {
+  const final = (tournament.rounds ?? []).find(r =>
+    r.phase === 'playoff' && r.status === 'complete' && r.matches.length === 1
+  );
+  return final ? matchWinner(final.matches[0]) : null;
+}
@@ -0,0 +1,163 @@
+// Print sheets — HTML for paper pairings, result slips and standings.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Builds a pairings sheet for the wall, one line per player, alphabetical
+//   2. Builds result slips, one per table, with game boxes and signature lines
+//   3. Builds a standings sheet with the tournament's tiebreakers
+//   4. Suggests filenames; the caller prints the HTML to PDF or shares it as is
+
+import { pairingsByName } from './display.js';
+import { tableNumber } from './sync.js';
+import { roundBestOf } from './format.js';
+import {
+  computeStandings, standingsOptions, standingsPlayerIds, formatTiebreaker, dropLabel, TIEBREAKERS,
+} from './standings.js';
+
+/** Printable sheets, by kind. */
+export const PRINT_SHEETS = {
+  pairings:  { label: 'Pairings',     needsRound: true },
+  slips:     { label: 'Result slips', needsRound: true },
+  standings: { label: 'Standings',    needsRound: false },
+};
+
+/**
+ * Pairings for the wall: every player alphabetically with their table and opponent.
+ * @param {object} tournament
+ * @param {object} round - The active round.
+ * @param {Object<string, string>} playerMap - Player ID → name.
+ * @returns {string} HTML document
+ */
+export function pairingsSheetHTML(tournament, round, playerMap) {
+  const rows = pairingsByName(round, playerMap).map(r => `
+    <tr>
+      <td>${_esc(r.name)}</td>
+      <td class="num">${r.isBye ? 'BYE' : r.table}</td>
+      <td>${r.isBye ? '' : _esc(r.opponent)}</td>
+    </tr>`).join('');
+  return _document(`Pairings · ${_roundTitle(round)}`, tournament, `
+    <table>
+      <thead><tr><th>Player</th><th class="num">Table</th><th>Opponent</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`);
+}
+
+/**
+ * One slip per table (byes have none): both players, a box per game and draws,
+ * and signature lines.
+ * @param {object} tournament
+ * @param {object} round - The active round.
+ * @param {Object<string, string>} playerMap
+ * @returns {string} HTML document
+ */
+export function resultSlipsHTML(tournament, round, playerMap) {
+  const bestOf = roundBestOf(tournament, round);
+  const slips = round.matches.filter(m => !m.isBye).map(m => `
+    <div class="slip">
+      <div class="slip-head">
+        <strong>Table ${tableNumber(round, m.id)}</strong>
+        <span>${_esc(tournament.dateStr)} · ${_esc(_roundTitle(round))} · Best of ${bestOf}</span>
+      </div>
+      <table>
+        <thead><tr><th>Player</th><th class="box">Games won</th><th class="sign">Signature</th></tr></thead>
+        <tbody>
+          <tr><td>${_esc(playerMap[m.player1Id] ?? m.player1Id)}</td><td class="box"></td><td class="sign"></td></tr>
+          <tr><td>${_esc(playerMap[m.player2Id] ?? m.player2Id)}</td><td class="box"></td><td class="sign"></td></tr>
+        </tbody>
+      </table>
+      <div class="slip-foot">Drawn games: ____ &nbsp;&nbsp; Drop after this round: ________________</div>
+    </div>`).join('');
+  return _document(`Result slips · ${_roundTitle(round)}`, tournament, slips);
+}
+
+/**
+ * Standings after the completed rounds, with the tournament's tiebreakers.
+ * @param {object} tournament
+ * @param {Object<string, string>} playerMap
+ * @returns {string} HTML document
+ */
+export function standingsSheetHTML(tournament, playerMap) {
+  const completed = tournament.rounds.filter(r => r.status === 'complete');
+  const swissRounds = completed.filter(r => r.phase !== 'playoff').length; // playoff rounds aren't numbered
+  const options = standingsOptions(tournament);
+  const standings = computeStandings(standingsPlayerIds(tournament), completed, options);
+  const rows = standings.map((s, i) => {
+    const drop = dropLabel(tournament, s.playerId);
+    return `
+    <tr>
+      <td class="num">${i + 1}</td>
+      <td>${_esc(playerMap[s.playerId] ?? s.playerId)}${drop ? ` <small>${drop}</small>` : ''}</td>
+      <td class="num">${s.matchPoints}</td>
+      <td class="num">${s.matchWins}-${s.matchLosses}-${s.matchDraws}</td>
+      ${options.tiebreakers.map(id => `<td class="num">${formatTiebreaker(id, s.tiebreakers[id])}</td>`).join('')}
+    </tr>`;
+  }).join('');
+  const head = options.tiebreakers.map(id => `<th class="num">${TIEBREAKERS[id].short}</th>`).join('');
+  return _document(`Standings after round ${swissRounds}`, tournament, `
+    <table>
+      <thead><tr><th class="num">#</th><th>Player</th><th class="num">Pts</th><th class="num">Record</th>${head}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`);
+}
+
+/**
+ * Filename for a sheet.
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @param {string} kind - Key of PRINT_SHEETS.
+ * @param {object|null} round
+ * @param {'pdf'|'html'} ext
+ * @returns {string} e.g. "2026_02_18_round3_pairings.pdf"
+ */
+export function printFilename(dateStr, kind, round, ext) {
+  const roundPart = round ? `_${(round.label ?? `round${round.roundNumber}`).toLowerCase()}` : '';
+  return `${dateStr.replace(/-/g, '_')}${roundPart}_${kind}.${ext}`;
+}
+
+// Internal helpers
+
+function _roundTitle(round) {
+  return round.label ?? `Round ${round.roundNumber}`;
+}
+
+function _document(title, tournament, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${_esc(title)}</title>
+<style>
+  body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; margin: 24px; color: #000; }
+  h1 { font-size: 22px; margin: 0; }
+  .date { color: #555; margin: 2px 0 16px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ccc; font-size: 14px; }
+  th { border-bottom: 2px solid #000; }
+  tbody tr:nth-child(even) { background: #f2f2f2; }
+  .num { text-align: right; white-space: nowrap; }
+  small { color: #777; }
+  .slip { border: 1px dashed #000; padding: 10px 12px; margin-bottom: 14px; page-break-inside: avoid; }
+  .slip-head { display: flex; justify-content: space-between; margin-bottom: 6px; }
+  .slip tbody tr { background: none; }
+  .slip td { height: 32px; }
+  .slip .box { width: 90px; border-left: 1px solid #ccc; }
+  .slip .sign { width: 40%; border-left: 1px solid #ccc; }
+  .slip-foot { margin-top: 8px; font-size: 13px; }
+</style>
+</head>
+<body>
+<h1>${_esc(title)}</h1>
+<div class="date">${_esc(tournament.dateStr)}</div>
+${body}
+</body>
+</html>
+`;
+}
+
+function _esc(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
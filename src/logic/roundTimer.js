@@ -0,0 +1,146 @@
+// Round timer — the round clock as timestamps stored on the round, so it
+// survives the app being killed. Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Starts, pauses and resumes a round's countdown
+//   2. Works out the time left at any moment from the stored timestamps
+//   3. Measures how long a round actually ran (pauses excluded)
+//   4. Works out a table's own end time from its extensions
+//   5. Keeps the live clock when undo restores an older tournament
+//
+// round.timer:
+//   { durationMs, alerts, startedAt, endsAt, pausedAt, pauses: [{ from, to }] }
+// alerts are the checkpoints the clock was started with (see timerAlerts.js).
+// Timestamps are ISO strings. endsAt is when time runs out if nothing is paused
+// from now on; pausedAt is set while paused. round.startedAt is the first start,
+// kept when the clock is restarted.
+//
+// match.extensions: [{ minutes, reason, at }] — extra time a judge gave one table.
+
+/**
+ * Start (or restart) the countdown. Pauses so far are kept for the round's
+ * actual duration.
+ * @param {object|null} timer - The round's current timer, if any.
+ * @param {number} durationMs
+ * @param {object[]} [alerts]
+ * @param {number} [now]
+ * @returns {object} New timer.
+ */
+export function startTimer(timer, durationMs, alerts = [], now = Date.now()) {
+  return {
+    durationMs,
+    alerts,
+    startedAt: new Date(now).toISOString(),
+    endsAt:    new Date(now + durationMs).toISOString(),
+    pausedAt:  null,
+    pauses:    timer?.pauses ?? [],
+  };
+}
+
+/** Pause a running countdown. Returns the timer unchanged if it is not running. */
+export function pauseTimer(timer, now = Date.now()) {
+  if (!timer?.endsAt || timer.pausedAt) return timer;
+  return { ...timer, pausedAt: new Date(now).toISOString() };
+}
+
+/** Resume a paused countdown, pushing the end back by the time spent paused. */
+export function resumeTimer(timer, now = Date.now()) {
+  if (!timer?.pausedAt) return timer;
+  const pausedFor = now - Date.parse(timer.pausedAt);
+  return {
+    ...timer,
+    endsAt:   new Date(Date.parse(timer.endsAt) + pausedFor).toISOString(),
+    pausedAt: null,
+    pauses:   [...timer.pauses, { from: timer.pausedAt, to: new Date(now).toISOString() }],
+  };
+}
+
+/**
+ * Time left on the clock (negative once time is up).
+ * @param {object|null} timer
+ * @param {number} [now]
+ * @returns {number|null} Milliseconds, or null if the timer was never started.
+ */
+export function timeLeft(timer, now = Date.now()) {
+  if (!timer?.endsAt) return null;
+  const at = timer.pausedAt ? Date.parse(timer.pausedAt) : now;
+  return Date.parse(timer.endsAt) - at;
+}
+
+/** Total extra minutes a match has been given. */
+export function extensionMinutes(match) {
+  return (match.extensions ?? []).reduce((sum, e) => sum + e.minutes, 0);
+}
+
+/**
+ * When a table's time runs out: the round's end plus the match's extensions.
+ * While the clock is paused this moves with it, as endsAt does.
+ * @param {object|null} timer - The round's timer.
+ * @param {object} match
+ * @returns {number|null} Epoch milliseconds, or null if the clock isn't running.
+ */
+export function matchEndsAt(timer, match) {
+  if (!timer?.endsAt) return null;
+  return Date.parse(timer.endsAt) + extensionMinutes(match) * 60 * 1000;
+}
+
+/**
+ * Time left at a table (negative once its time is up).
+ * @param {object|null} timer
+ * @param {object} match
+ * @param {number} [now]
+ * @returns {number|null} Milliseconds, or null if the clock isn't running.
+ */
+export function matchTimeLeft(timer, match, now = Date.now()) {
+  const left = timeLeft(timer, now);
+  return left === null ? null : left + extensionMinutes(match) * 60 * 1000;
+}
+
+/**
+ * How long a round ran from its first start, not counting pauses.
+ * @param {object} round
+ * @param {number} [now] - When the round ended.
+ * @returns {number|null} Milliseconds, or null if the clock never ran.
+ */
+export function actualDuration(round, now = Date.now()) {
+  const { timer, startedAt } = round;
+  if (!startedAt || !timer) return null;
+  const pauses = [
+    ...timer.pauses,
+    ...(timer.pausedAt ? [{ from: timer.pausedAt, to: new Date(now).toISOString() }] : []),
+  ];
+  const paused = pauses.reduce((sum, p) => sum + (Date.parse(p.to) - Date.parse(p.from)), 0);
+  return Math.max(0, now - Date.parse(startedAt) - paused);
+}
+
+/**
+ * Round length for display.
+ * @param {number} ms
+ * @returns {string} e.g. "52 min", "1 h 05 min"
+ */
+export function formatDuration(ms) {
+  const totalMin = Math.round(ms / 60000);
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  return h > 0 ? `${h} h ${String(m).padStart(2, '0')} min` : `${m} min`;
+}
+
+/**
+ * Copy each round's clock from `live` onto `restored`. Undo restores the
+ * tournament as it was, but time kept running meanwhile.
+ * @param {object|null} restored
+ * @param {object|null} live
+ * @returns {object|null}
+ */
+export function carryTimers(restored, live) {
+  if (!restored || !live || restored.id !== live.id) return restored;
+  const byNumber = Object.fromEntries(live.rounds.map(r => [r.roundNumber, r]));
+  return {
+    ...restored,
+    rounds: restored.rounds.map(r => {
+      const current = byNumber[r.roundNumber];
+      if (!current || (current.timer === r.timer && current.startedAt === r.startedAt)) return r;
+      return { ...r, timer: current.timer, startedAt: current.startedAt };
+    }),
+  };
+}
@@ -0,0 +1,133 @@
+// Player self-reporting — seat codes and two-player confirmation.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Gives each player of a match their own random code to report with; the
+//      host hands codes out and keeps them out of the synced and public state
+//   2. Decides whether the two players' reports agree, are pending, or conflict
+//   3. Builds the public "report board" the relay page shows to players
+
+import { roundBestOf, resultOptions } from './format.js';
+import { tableNumber } from './sync.js';
+
+const CODE_CHARS  = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CODE_LENGTH = 5;
+
+/**
+ * Secret report codes for both seats of every match of a round. Codes already
+ * in `current` are kept so the slips handed out stay valid; new matches get
+ * fresh random codes. The host keeps the result to itself — codes are never put
+ * in the tournament, so syncing or publishing it cannot give them away. Byes
+ * get no codes.
+ * @param {object}   round
+ * @param {{ [matchId: string]: { 1: string, 2: string } }} [current]
+ * @param {() => number} [random] - Math.random by default.
+ * @returns {{ [matchId: string]: { 1: string, 2: string } }}
+ */
+export function assignSeatCodes(round, current = {}, random = Math.random) {
+  const codes = {};
+  const used = new Set();
+  for (const match of round.matches) {
+    if (match.isBye || !current[match.id]) continue;
+    codes[match.id] = current[match.id];
+    used.add(codes[match.id][1]);
+    used.add(codes[match.id][2]);
+  }
+  const next = () => {
+    let code;
+    do code = _randomCode(CODE_LENGTH, random); while (used.has(code));
+    used.add(code);
+    return code;
+  };
+  for (const match of round.matches) {
+    if (match.isBye || codes[match.id]) continue;
+    codes[match.id] = { 1: next(), 2: next() };
+  }
+  return codes;
+}
+
+/**
+ * The match and seat a report code belongs to.
+ * @param {{ [matchId: string]: { 1: string, 2: string } }} codes - From assignSeatCodes.
+ * @param {string} code
+ * @returns {{ matchId: string, seat: 1|2 }|null}
+ */
+export function findSeatCode(codes, code) {
+  for (const [matchId, seats] of Object.entries(codes)) {
+    if (seats[1] === code) return { matchId, seat: 1 };
+    if (seats[2] === code) return { matchId, seat: 2 };
+  }
+  return null;
+}
+
+/**
+ * True if two results record the same score.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function sameResult(a, b) {
+  if (!a || !b) return false;
+  if (a.doubleLoss || b.doubleLoss) return !!a.doubleLoss && !!b.doubleLoss;
+  return a.player1Wins === b.player1Wins && a.player2Wins === b.player2Wins && (a.draws ?? 0) === (b.draws ?? 0);
+}
+
+/**
+ * Self-report state of a match.
+ *   'none'     — nobody has reported
+ *   'waiting'  — one player reported, the other has not confirmed yet
+ *   'agreed'   — both reported the same result
+ *   'disputed' — the players reported different results; the scorekeeper decides
+ * @param {object} match
+ * @returns {'none'|'waiting'|'agreed'|'disputed'}
+ */
+export function reportStatus(match) {
+  const r1 = match.reports?.player1?.result;
+  const r2 = match.reports?.player2?.result;
+  if (!r1 && !r2) return 'none';
+  if (!r1 || !r2) return 'waiting';
+  return sameResult(r1, r2) ? 'agreed' : 'disputed';
+}
+
+/**
+ * What the relay's report page shows: the active round's matches by table, with
+ * player names, result buttons and report progress. No seat codes and nothing
+ * from earlier rounds is included. Playoff matches need a winner, so their
+ * result buttons have no draws.
+ *
+ * @param {object|null} tournament
+ * @param {object[]}    players
+ * @returns {{ round: number|null, matches: object[] }}
+ */
+export function reportBoard(tournament, players) {
+  const round = tournament?.rounds.find(r => r.status === 'active');
+  if (!round) return { round: null, matches: [] };
+
+  const names = Object.fromEntries(players.map(p => [p.id, p.name]));
+  const options = resultOptions(roundBestOf(tournament, round))
+    .filter(o => round.phase !== 'playoff' || o.p1 !== o.p2)
+    .map(o => o.label);
+  const label = result => result && (result.doubleLoss ? 'DL' : `${result.player1Wins}-${result.player2Wins}`);
+
+  return {
+    round: round.roundNumber,
+    matches: round.matches.filter(m => !m.isBye).map(m => ({
+      table:     tableNumber(round, m.id),
+      player1:   names[m.player1Id] ?? '?',
+      player2:   names[m.player2Id] ?? '?',
+      options,
+      reported1: label(m.reports?.player1?.result) ?? null,
+      reported2: label(m.reports?.player2?.result) ?? null,
+      result:    label(m.result) ?? null,
+      status:    reportStatus(m),
+    })),
+  };
+}
+
+// Internal helpers
+
+function _randomCode(length, random) {
+  let code = '';
+  for (let i = 0; i < length; i++) code += CODE_CHARS[random() * CODE_CHARS.length | 0];
+  return code;
+}
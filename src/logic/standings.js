@@ -2,30 +2,177 @@
 // Pure functions; no DOM, no localStorage, no side effects.
 //
 // What it does:
-//   1. Aggregates match/game results per player from completed rounds
+//   1. Aggregates match/game results per player from completed Swiss rounds
+//      (playoff rounds never affect standings)
 //   2. Computes match win %, game win %, and opponent-based tiebreakers (OMW%, OGW%)
-//   3. Returns players sorted by: Match Points → OMW% → GW% → OGW%
-//      All percentages have a 33% floor (MTG rule).
+//   3. Ranks players by Match Points, then by the tournament's tiebreaker chain
+//      (default: OMW% → GW% → OGW%)
+//   4. Provides the tiebreaker registry that the setup and standings screens render
+//   5. Keeps dropped players in the standings so they still count toward their
+//      opponents' tiebreakers (MTG rules), and labels them with the round they dropped
+//
+// Match points, bye credit and percentage floors come from the tournament's
+// scoring preset (constants.js); MTG scoring is used when none is given.
+
+import { DEFAULT_SCORING } from '../constants.js';
+
+/** Tiebreaker chain used when a tournament doesn't specify one (MTG order). */
+export const DEFAULT_TIEBREAKERS = ['omw', 'gw', 'ogw'];
+
+/**
+ * Tiebreaker registry, keyed by the ID stored in `tournament.tiebreakers`.
+ *
+ * Each entry:
+ *   label   - Full name shown at setup
+ *   short   - Column header on the standings table
+ *   pct     - True if the value is a fraction to show as a percentage
+ *   value   - (s, ctx) => number, higher ranks first. ctx = { byId, scoring, group },
+ *             where `group` is the Set of player IDs still tied when this tiebreaker
+ *             is reached (only set for grouped tiebreakers).
+ *   grouped - True if the value depends on `group` rather than on the player alone
+ */
+export const TIEBREAKERS = {
+  omw: {
+    label: "Opponents' match-win %",
+    short: 'OMW%',
+    pct:   true,
+    value: s => s.omwPct,
+  },
+  gw: {
+    label: 'Game-win %',
+    short: 'GW%',
+    pct:   true,
+    value: s => s.gwPct,
+  },
+  ogw: {
+    label: "Opponents' game-win %",
+    short: 'OGW%',
+    pct:   true,
+    value: s => s.ogwPct,
+  },
+  buchholz: {
+    label: 'Buchholz',
+    short: 'Buch',
+    value: (s, { byId }) => _sum(_opponentPoints(s, byId)),
+  },
+  medianBuchholz: {
+    label: 'Median Buchholz',
+    short: 'M-Buch',
+    // Buchholz without the best and worst opponent (only once there are 3+)
+    value: (s, { byId }) => {
+      const pts = _opponentPoints(s, byId).sort((a, b) => a - b);
+      return _sum(pts.length >= 3 ? pts.slice(1, -1) : pts);
+    },
+  },
+  sonnebornBerger: {
+    label: 'Sonneborn-Berger',
+    short: 'SB',
+    // Points of beaten opponents, plus half the points of drawn opponents
+    value: (s, { byId }) => _sum(s.matchLog
+      .filter(m => byId[m.opponentId])
+      .map(m => byId[m.opponentId].matchPoints * _outcomeShare(m.outcome))),
+  },
+  headToHead: {
+    label: 'Head-to-head',
+    short: 'H2H',
+    grouped: true,
+    // Match points scored against the other players in the same tie
+    value: (s, { group, scoring }) => _sum(s.matchLog
+      .filter(m => group.has(m.opponentId))
+      .map(m => _outcomePoints(m.outcome, scoring))),
+  },
+};
+
+/**
+ * Options for computeStandings taken from a tournament object.
+ * Older tournaments without a saved chain or preset fall back to the defaults.
+ * @param {object} tournament
+ * @returns {{ tiebreakers: string[], scoring: object }}
+ */
+export function standingsOptions(tournament) {
+  const chain = tournament?.tiebreakers ?? DEFAULT_TIEBREAKERS;
+  return {
+    tiebreakers: chain.filter(id => TIEBREAKERS[id]),
+    scoring:     tournament?.scoring ?? DEFAULT_SCORING,
+  };
+}
+
+/**
+ * Every player who belongs in a tournament's standings: active players plus
+ * dropped players who played at least one match.
+ * @param {object} tournament
+ * @returns {string[]}
+ */
+export function standingsPlayerIds(tournament) {
+  const played = new Set(
+    (tournament.rounds ?? []).flatMap(r => r.matches.flatMap(m => [m.player1Id, m.player2Id]))
+  );
+  const dropped = (tournament.droppedPlayers ?? []).filter(id => played.has(id));
+  return [...new Set([...(tournament.activePlayers ?? []), ...dropped])];
+}
+
+/**
+ * Badge for a dropped player, e.g. "DROP (R3)" after dropping following Round 3.
+ * @param {object} tournament
+ * @param {string} playerId
+ * @returns {string|null} Null for players still in the tournament.
+ */
+export function dropLabel(tournament, playerId) {
+  if (!(tournament.droppedPlayers ?? []).includes(playerId)) return null;
+  const round = tournament.dropRounds?.[playerId];
+  return round ? `DROP (R${round})` : 'DROP';
+}
+
+/**
+ * Outcome of a match result from player 1's point of view.
+ * @param {{ player1Wins: number, player2Wins: number, doubleLoss?: boolean }} result
+ * @returns {'W' | 'L' | 'D' | 'DL'} DL = both players take a loss
+ */
+export function matchOutcome(result) {
+  if (result.doubleLoss) return 'DL';
+  if (result.player1Wins > result.player2Wins) return 'W';
+  if (result.player2Wins > result.player1Wins) return 'L';
+  return 'D';
+}
 
-import { POINTS, MIN_MATCH_WIN_PCT, MIN_GAME_WIN_PCT } from '../constants.js';
+/**
+ * Format a tiebreaker value for display ("54%", "12", "7.5", or "—" if not computed).
+ * @param {string} id - Tiebreaker ID.
+ * @param {number|null} value
+ * @returns {string}
+ */
+export function formatTiebreaker(id, value) {
+  if (value === null || value === undefined) return '—';
+  if (TIEBREAKERS[id]?.pct) return `${(value * 100).toFixed(0)}%`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
 
 /**
- * Compute standings for all active players.
+ * Compute standings for the given players (see standingsPlayerIds).
+ * Opponents missing from `playerIds` are left out of the opponent tiebreakers.
  *
- * @param {string[]} activePlayers - Array of active player IDs.
- * @param {object[]} rounds        - All round objects (completed or active).
+ * @param {string[]} playerIds     - Player IDs to rank.
+ * @param {object[]} rounds        - All round objects (completed or active, Swiss or playoff).
+ * @param {object}   [options]
+ * @param {string[]} [options.tiebreakers] - Ordered tiebreaker IDs from TIEBREAKERS.
+ * @param {object}   [options.scoring]     - Scoring preset (see SCORING_PRESETS).
  * @returns {object[]} Sorted standings array, best player first.
  *
  * Each entry:
  *   playerId, matchPoints, matchWins, matchLosses, matchDraws,
- *   gamesWon, gamesPlayed, hasBye, mwPct, gwPct, omwPct, ogwPct
+ *   gamesWon, gamesPlayed, hasBye, mwPct, gwPct, omwPct, ogwPct,
+ *   tiebreakers: { [id]: number|null }  (one value per tiebreaker in the chain)
  */
-export function computeStandings(activePlayers, rounds) {
-  const completedRounds = rounds.filter(r => r.status === 'complete');
+export function computeStandings(playerIds, rounds, {
+  tiebreakers = DEFAULT_TIEBREAKERS,
+  scoring = DEFAULT_SCORING,
+} = {}) {
+  const completedRounds = rounds.filter(r => r.status === 'complete' && r.phase !== 'playoff');
+  const chain = tiebreakers.filter(id => TIEBREAKERS[id]);
 
   // Initialise stats per player
   const stats = {};
-  for (const id of activePlayers) {
+  for (const id of playerIds) {
     stats[id] = {
       playerId:     id,
       matchesPlayed: 0,
@@ -37,6 +184,7 @@ export function computeStandings(activePlayers, rounds) {
       gamesLost:    0,
       gamesPlayed:  0,
       opponents:    [],   // excludes bye opponents
+      matchLog:     [],   // { opponentId, outcome: 'W' | 'D' | 'L' }, excludes byes
       hasBye:       false,
     };
   }
@@ -45,14 +193,16 @@ export function computeStandings(activePlayers, rounds) {
   for (const round of completedRounds) {
     for (const match of round.matches) {
       if (match.isBye) {
-        // Bye counts as 2-0 win; excluded from OMW% opponent list
+        // Bye counts as a match win with the preset's game score; excluded from OMW% opponent list
         const s = stats[match.player1Id];
         if (!s) continue;
+        const bye = match.result ?? scoring.bye;
         s.matchesPlayed += 1;
         s.matchWins     += 1;
-        s.matchPoints   += POINTS.WIN;
-        s.gamesWon      += 2;
-        s.gamesPlayed   += 2;
+        s.matchPoints   += scoring.win;
+        s.gamesWon      += bye.player1Wins;
+        s.gamesLost     += bye.player2Wins;
+        s.gamesPlayed   += bye.player1Wins + bye.player2Wins + bye.draws;
         s.hasBye         = true;
         continue;
       }
@@ -80,15 +230,17 @@ export function computeStandings(activePlayers, rounds) {
       p2.opponents.push(match.player1Id);
 
       // Match outcome
-      if (player1Wins > player2Wins) {
-        p1.matchWins   += 1; p1.matchPoints += POINTS.WIN;
-        p2.matchLosses += 1;
-      } else if (player2Wins > player1Wins) {
-        p2.matchWins   += 1; p2.matchPoints += POINTS.WIN;
-        p1.matchLosses += 1;
-      } else {
-        p1.matchDraws  += 1; p1.matchPoints += POINTS.DRAW;
-        p2.matchDraws  += 1; p2.matchPoints += POINTS.DRAW;
+      const outcome = matchOutcome(match.result);
+      const p1Outcome = outcome === 'DL' ? 'L' : outcome;
+      const p2Outcome = outcome === 'W' ? 'L' : outcome === 'L' ? 'W' : p1Outcome;
+      p1.matchLog.push({ opponentId: match.player2Id, outcome: p1Outcome });
+      p2.matchLog.push({ opponentId: match.player1Id, outcome: p2Outcome });
+
+      for (const [s, o] of [[p1, p1Outcome], [p2, p2Outcome]]) {
+        if (o === 'W') s.matchWins += 1;
+        else if (o === 'L') s.matchLosses += 1;
+        else s.matchDraws += 1;
+        s.matchPoints += _outcomePoints(o, scoring);
       }
     }
   }
@@ -96,10 +248,11 @@ export function computeStandings(activePlayers, rounds) {
   // First pass: compute individual win percentages
   const result = Object.values(stats).map(s => ({
     ...s,
-    mwPct: _matchWinPct(s),
-    gwPct: _gameWinPct(s),
+    mwPct: _matchWinPct(s, scoring),
+    gwPct: _gameWinPct(s, scoring),
     omwPct: 0,
     ogwPct: 0,
+    tiebreakers: {},
   }));
 
   // Build lookup by player ID for second pass
@@ -107,46 +260,96 @@ export function computeStandings(activePlayers, rounds) {
 
   // Second pass: compute opponent-based tiebreakers
   for (const s of result) {
-    s.omwPct = _omwPct(s, byId);
-    s.ogwPct = _ogwPct(s, byId);
+    s.omwPct = _omwPct(s, byId, scoring);
+    s.ogwPct = _ogwPct(s, byId, scoring);
   }
 
-  // Sort: matchPoints → OMW% → GW% → OGW%
-  result.sort((a, b) => {
-    if (b.matchPoints !== a.matchPoints) return b.matchPoints - a.matchPoints;
-    if (Math.abs(b.omwPct - a.omwPct) > 1e-9) return b.omwPct - a.omwPct;
-    if (Math.abs(b.gwPct  - a.gwPct)  > 1e-9) return b.gwPct  - a.gwPct;
-    return b.ogwPct - a.ogwPct;
-  });
+  // Third pass: chain values that don't depend on who else is tied
+  for (const s of result) {
+    for (const id of chain) {
+      s.tiebreakers[id] = TIEBREAKERS[id].grouped ? null : TIEBREAKERS[id].value(s, { byId, scoring });
+    }
+  }
 
-  return result;
+  // Sort: matchPoints → each tiebreaker in the chain
+  return _rankGroup(result, ['matchPoints', ...chain], { byId, scoring });
 }
 
 // Internal helpers
 
-function _matchWinPct(s) {
-  if (s.matchesPlayed === 0) return MIN_MATCH_WIN_PCT;
-  return Math.max(s.matchPoints / (3 * s.matchesPlayed), MIN_MATCH_WIN_PCT);
+/**
+ * Sort a group of players by the first key, then split it into runs of equal
+ * value and rank each run by the remaining keys. Grouped tiebreakers (head-to-head)
+ * are evaluated against the run they are applied to.
+ */
+function _rankGroup(group, keys, ctx) {
+  if (group.length <= 1 || keys.length === 0) return group;
+  const [key, ...rest] = keys;
+
+  let valueOf;
+  if (key === 'matchPoints') {
+    valueOf = s => s.matchPoints;
+  } else if (TIEBREAKERS[key].grouped) {
+    const ids = new Set(group.map(s => s.playerId));
+    for (const s of group) s.tiebreakers[key] = TIEBREAKERS[key].value(s, { ...ctx, group: ids });
+    valueOf = s => s.tiebreakers[key];
+  } else {
+    valueOf = s => s.tiebreakers[key];
+  }
+
+  const sorted = [...group].sort((a, b) => valueOf(b) - valueOf(a));
+  const ranked = [];
+  let run = [sorted[0]];
+  for (let i = 1; i < sorted.length; i++) {
+    if (Math.abs(valueOf(sorted[i]) - valueOf(run[0])) > 1e-9) {
+      ranked.push(..._rankGroup(run, rest, ctx));
+      run = [];
+    }
+    run.push(sorted[i]);
+  }
+  ranked.push(..._rankGroup(run, rest, ctx));
+  return ranked;
+}
+
+function _matchWinPct(s, scoring) {
+  if (s.matchesPlayed === 0) return scoring.minMatchWinPct;
+  return Math.max(s.matchPoints / (scoring.win * s.matchesPlayed), scoring.minMatchWinPct);
 }
 
-function _gameWinPct(s) {
-  if (s.gamesPlayed === 0) return MIN_GAME_WIN_PCT;
-  return Math.max(s.gamesWon / s.gamesPlayed, MIN_GAME_WIN_PCT);
+function _gameWinPct(s, scoring) {
+  if (s.gamesPlayed === 0) return scoring.minGameWinPct;
+  return Math.max(s.gamesWon / s.gamesPlayed, scoring.minGameWinPct);
 }
 
-function _omwPct(s, byId) {
+function _omwPct(s, byId, scoring) {
   // Byes are excluded from the opponent list, so they never factor into OMW%
   const pcts = s.opponents
     .filter(id => byId[id])
     .map(id => byId[id].mwPct);
-  if (pcts.length === 0) return MIN_MATCH_WIN_PCT;
+  if (pcts.length === 0) return scoring.minMatchWinPct;
   return pcts.reduce((sum, v) => sum + v, 0) / pcts.length;
 }
 
-function _ogwPct(s, byId) {
+function _ogwPct(s, byId, scoring) {
   const pcts = s.opponents
     .filter(id => byId[id])
     .map(id => byId[id].gwPct);
-  if (pcts.length === 0) return MIN_GAME_WIN_PCT;
+  if (pcts.length === 0) return scoring.minGameWinPct;
   return pcts.reduce((sum, v) => sum + v, 0) / pcts.length;
 }
+
+function _opponentPoints(s, byId) {
+  return s.opponents.filter(id => byId[id]).map(id => byId[id].matchPoints);
+}
+
+function _outcomeShare(outcome) {
+  return outcome === 'W' ? 1 : outcome === 'D' ? 0.5 : 0;
+}
+
+function _outcomePoints(outcome, scoring) {
+  return outcome === 'W' ? scoring.win : outcome === 'D' ? scoring.draw : scoring.loss;
+}
+
+function _sum(values) {
+  return values.reduce((sum, v) => sum + v, 0);
+}
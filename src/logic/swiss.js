@@ -3,9 +3,42 @@
 //
 // What it does:
 //   1. Tracks prior matchups to avoid rematches
-//   2. Uses backtracking to find a valid pairing (no rematches)
-//   3. Falls back to greedy pairing if all options would be rematches
+//   2. Solves each round as a minimum-cost matching (matching.js) that keeps
+//      players inside their match-point bracket, floating as few as possible down
+//   3. Records who was paired down and avoids pairing anyone down twice
 //   4. Provides Fisher-Yates shuffle for Round 1 random seating
+//   5. Recommends the number of Swiss rounds for a player count
+//   6. Replays later rounds after a correction to show which pairings would differ
+
+import { computeStandings } from './standings.js';
+import { selectByePlayer } from './bye.js';
+import { minCostPerfectMatching } from './matching.js';
+import { DEFAULT_SCORING } from '../constants.js';
+
+// Pairing cost tiers — each is far larger than anything the tiers below can add
+// up to in one round. Floats are measured in wins, not points, so the bound does
+// not depend on the scoring preset: with up to 256 players and a 20-win spread
+// the float tier is at most 128 pairs × FLOAT_COST × 20² ≈ 5e8 < PAIR_DOWN_COST.
+// Standings distance (at most the player count per pair) only orders pairings
+// of equal float cost; in large events it can outweigh a single drawn game.
+const REMATCH_COST          = 1e15;
+const REPEAT_BYE_COST       = 1e13;
+const REPEAT_PAIR_DOWN_COST = 1e11; // paired-down player was already paired down before
+const PAIR_DOWN_COST        = 1e9;  // per pairing across match-point brackets
+const FLOAT_COST            = 1e4;  // × squared match-point difference, in wins
+
+// Standard Swiss round table: [max players, rounds]
+const ROUNDS_BY_PLAYER_COUNT = [
+  [2, 1],
+  [4, 2],
+  [8, 3],
+  [16, 4],
+  [32, 5],
+  [64, 6],
+  [128, 7],
+  [226, 8],
+  [409, 9],
+];
 
 /**
  * Build a Set of prior matchup keys like "idA|idB" (IDs sorted so order doesn't matter).
@@ -36,61 +69,187 @@ export function hasPlayed(idA, idB, priorMatchups) {
   return priorMatchups.has([idA, idB].sort().join('|'));
 }
 
+/**
+ * The player paired down in a pairing: the one with more match points,
+ * or null when both are in the same match-point bracket.
+ *
+ * @param {string} idA
+ * @param {string} idB
+ * @param {Object<string, number>} points - Match points by player ID.
+ * @returns {string|null}
+ */
+export function pairedDownPlayer(idA, idB, points) {
+  const a = points[idA] ?? 0;
+  const b = points[idB] ?? 0;
+  if (a === b) return null;
+  return a > b ? idA : idB;
+}
+
 /**
  * Generate pairings for the next round.
  *
+ * Round 1 uses fold pairing. Later rounds are solved as a minimum-cost perfect
+ * matching over every possible pairing, so the result is always the cheapest
+ * pairing available — never a rematch unless every pairing needs one, and
+ * never more players paired down out of their match-point bracket than needed.
+ *
  * @param {string[]} playerIds  - Active player IDs sorted by standings (best first).
  *                                For round 1, pass in a pre-shuffled order.
  * @param {object[]} completedRounds - Array of completed round objects (for rematch avoidance).
- * @param {string|null} byePlayerId  - Player already assigned a bye this round (excluded).
- * @returns {{ player1Id: string, player2Id: string }[]}
+ * @param {string|null} byePlayerId  - Preferred bye recipient (see bye.js), or null when
+ *                                     the player count is even.
+ * @param {object} [standingsOpts]   - computeStandings options (scoring preset), used to
+ *                                     place players in match-point brackets.
+ * @returns {{ player1Id: string, player2Id: string|null, pairedDownId: string|null }[]}
+ *   Pairs ordered by the better-ranked player. pairedDownId is the player who was
+ *   floated down to a lower bracket, if any. The bye, if any, is the last entry
+ *   with player2Id null — usually byePlayerId, unless giving it elsewhere is cheaper.
  */
-export function pairRound(playerIds, completedRounds, byePlayerId) {
-  const priorMatchups = buildPriorMatchups(completedRounds);
-  const playersToSchedule = byePlayerId
-    ? playerIds.filter(id => id !== byePlayerId)
-    : [...playerIds];
-
+export function pairRound(playerIds, completedRounds, byePlayerId, standingsOpts) {
   // Round 1: fold pairing — seat 1 vs seat 5, 2 vs 6, etc.
   if (completedRounds.length === 0) {
-    return _foldPair(playersToSchedule);
+    const playersToSchedule = byePlayerId
+      ? playerIds.filter(id => id !== byePlayerId)
+      : [...playerIds];
+    const pairs = _foldPair(playersToSchedule).map(p => ({ ...p, pairedDownId: null }));
+    return byePlayerId
+      ? [...pairs, { player1Id: byePlayerId, player2Id: null, pairedDownId: null }]
+      : pairs;
   }
 
-  const pairs = _backtrackPair(playersToSchedule, priorMatchups);
+  return _matchPair(playerIds, completedRounds, byePlayerId, standingsOpts);
+}
 
-  if (pairs === null) {
-    // All possible pairings result in rematches — pair greedily as last resort.
-    return _greedyPair(playersToSchedule);
-  }
-  return pairs;
+/**
+ * Pair a Round 2+ Swiss round from scratch: rank players by the standings after
+ * `completedRounds`, pick the preferred bye recipient, then run pairRound.
+ * Standings include everyone who played in `completedRounds` (dropped players
+ * still count toward tiebreakers), but only `playerIds` are paired.
+ *
+ * @param {string[]} playerIds       - Players to pair (any order).
+ * @param {object[]} completedRounds - Completed Swiss rounds before this one.
+ * @param {object} [standingsOpts]   - computeStandings options for the tournament.
+ * @returns {{ player1Id: string, player2Id: string|null, pairedDownId: string|null }[]}
+ */
+export function pairFromStandings(playerIds, completedRounds, standingsOpts) {
+  const pairing = new Set(playerIds);
+  const everyone = new Set([
+    ...playerIds,
+    ...completedRounds.flatMap(r => r.matches.flatMap(m => [m.player1Id, m.player2Id])).filter(Boolean),
+  ]);
+  const sortedPlayerIds = computeStandings([...everyone], completedRounds, standingsOpts)
+    .map(s => s.playerId)
+    .filter(id => pairing.has(id));
+  const byePlayerId = sortedPlayerIds.length % 2 !== 0
+    ? selectByePlayer(sortedPlayerIds, completedRounds)
+    : null;
+  return pairRound(sortedPlayerIds, completedRounds, byePlayerId, standingsOpts);
 }
 
 /**
- * Recursive backtracking pairer.
- * Tries to pair the first unmatched player with each subsequent player,
- * skipping known rematches, backtracking if a downstream pairing fails.
+ * Re-pair every Swiss round after `fromRoundNumber` from the current results and
+ * compare with the pairings actually used. Each round is paired with the same
+ * players it really had; Round 1 (seating order) is never replayed.
  *
- * @param {string[]} players
- * @param {Set<string>} priorMatchups
- * @returns {{ player1Id, player2Id }[] | null}  null = no valid solution found
+ * @param {object[]} rounds          - All tournament rounds.
+ * @param {number}   fromRoundNumber - The corrected round.
+ * @param {object}   [standingsOpts]
+ * @returns {{ roundNumber: number, played: boolean,
+ *             changes: { playerId: string, actualOpponentId: string|null, pairedOpponentId: string|null }[] }[]}
+ *   One entry per later round. `played` is true once the round has any result;
+ *   opponent IDs are null for a bye. Players listed in `changes` would have faced
+ *   a different opponent if the round were paired now.
  */
-function _backtrackPair(players, priorMatchups) {
-  if (players.length === 0) return [];
-
-  const [first, ...rest] = players;
-
-  for (let i = 0; i < rest.length; i++) {
-    const opponent = rest[i];
-    if (!hasPlayed(first, opponent, priorMatchups)) {
-      const remaining = rest.filter((_, idx) => idx !== i);
-      const result = _backtrackPair(remaining, priorMatchups);
-      if (result !== null) {
-        return [{ player1Id: first, player2Id: opponent }, ...result];
-      }
+export function laterPairingChanges(rounds, fromRoundNumber, standingsOpts) {
+  const swissRounds = rounds.filter(r => r.phase !== 'playoff');
+  return swissRounds
+    .filter(r => r.roundNumber > fromRoundNumber && r.roundNumber > 1)
+    .map(round => {
+      const before = swissRounds.filter(r => r.roundNumber < round.roundNumber && r.status === 'complete');
+      const playerIds = round.matches.flatMap(m => [m.player1Id, m.player2Id]).filter(Boolean);
+      const actual = _opponentMap(round.matches);
+      const paired = _opponentMap(pairFromStandings(playerIds, before, standingsOpts));
+      const changes = playerIds
+        .filter(id => actual[id] !== paired[id])
+        .map(id => ({ playerId: id, actualOpponentId: actual[id], pairedOpponentId: paired[id] }));
+      const played = round.status === 'complete' || round.matches.some(m => !m.isBye && m.result);
+      return { roundNumber: round.roundNumber, played, changes };
+    });
+}
+
+/**
+ * Minimum-cost matching pairer.
+ * Builds a complete graph of players (plus a bye vertex for odd counts) where
+ * each edge costs, in dominating tiers (see the bounds above the constants):
+ *   rematch → repeat bye → repeat pair-down → pair-down count
+ *     → squared match-point float (in wins) → standings distance
+ * and lets matching.js pick the cheapest perfect matching in O(n³).
+ * Pairing inside a bracket costs nothing beyond standings distance, so players
+ * only leave their bracket when the bracket cannot be paired on its own.
+ *
+ * @param {string[]} players        - Sorted by standings (best first).
+ * @param {object[]} completedRounds
+ * @param {string|null} byePlayerId - Preferred bye recipient, or null.
+ * @param {object} [standingsOpts]
+ * @returns {{ player1Id, player2Id, pairedDownId }[]}
+ */
+function _matchPair(players, completedRounds, byePlayerId, standingsOpts) {
+  const priorMatchups = buildPriorMatchups(completedRounds);
+  const priorByes = new Set();
+  const priorPairDowns = new Set();
+  for (const round of completedRounds) {
+    for (const match of round.matches) {
+      if (match.isBye) priorByes.add(match.player1Id);
+      if (match.pairedDownId) priorPairDowns.add(match.pairedDownId);
     }
   }
+  const points = Object.fromEntries(
+    computeStandings(players, completedRounds, standingsOpts).map(s => [s.playerId, s.matchPoints])
+  );
 
-  return null; // No valid pairing found from this branch
+  const winPoints = (standingsOpts?.scoring ?? DEFAULT_SCORING).win || 1;
+  const floatCost = (idA, idB) => Math.round(FLOAT_COST * ((points[idA] - points[idB]) / winPoints) ** 2);
+
+  // Vertex i < players.length is players[i]; the extra vertex (odd counts) is the bye
+  const byeIdx = players.length % 2 === 1 ? players.length : -1;
+  const preferredIdx = byePlayerId ? players.indexOf(byePlayerId) : players.length - 1;
+  const n = byeIdx === -1 ? players.length : players.length + 1;
+
+  const cost = (i, j) => {
+    if (j === byeIdx) {
+      // Bye "opponent" sits where the preferred recipient is ranked
+      const id = players[i];
+      return (priorByes.has(id) && i !== preferredIdx ? REPEAT_BYE_COST : 0)
+        + floatCost(id, players[preferredIdx])
+        + Math.abs(i - preferredIdx);
+    }
+    const idA = players[i];
+    const idB = players[j];
+    const downId = pairedDownPlayer(idA, idB, points);
+    return (hasPlayed(idA, idB, priorMatchups) ? REMATCH_COST : 0)
+      + (downId && priorPairDowns.has(downId) ? REPEAT_PAIR_DOWN_COST : 0)
+      + (downId ? PAIR_DOWN_COST : 0)
+      + floatCost(idA, idB)
+      + (j - i);
+  };
+
+  const mate = minCostPerfectMatching(n, cost);
+
+  const pairs = [];
+  let byePair = null;
+  for (let i = 0; i < players.length; i++) {
+    const j = mate[i];
+    if (j === byeIdx) {
+      byePair = { player1Id: players[i], player2Id: null, pairedDownId: null };
+    } else if (j > i) {
+      pairs.push({
+        player1Id:    players[i],
+        player2Id:    players[j],
+        pairedDownId: pairedDownPlayer(players[i], players[j], points),
+      });
+    }
+  }
+  return byePair ? [...pairs, byePair] : pairs;
 }
 
 /**
@@ -106,16 +265,14 @@ function _foldPair(players) {
   return pairs;
 }
 
-/**
- * Greedy fallback: pair sequentially, ignoring rematches.
- * Used only when every possible pairing would be a rematch.
- */
-function _greedyPair(players) {
-  const pairs = [];
-  for (let i = 0; i < players.length - 1; i += 2) {
-    pairs.push({ player1Id: players[i], player2Id: players[i + 1] });
+/** Opponent (or null for a bye) by player ID, from matches or pairs. */
+function _opponentMap(pairs) {
+  const map = {};
+  for (const { player1Id, player2Id } of pairs) {
+    map[player1Id] = player2Id ?? null;
+    if (player2Id) map[player2Id] = player1Id;
   }
-  return pairs;
+  return map;
 }
 
 /**
@@ -131,3 +288,16 @@ export function shuffle(arr) {
   }
   return arr;
 }
+
+/**
+ * Recommended number of Swiss rounds for a player count (standard table,
+ * e.g. 9–16 players → 4 rounds).
+ * @param {number} playerCount
+ * @returns {number}
+ */
+export function recommendedRounds(playerCount) {
+  for (const [maxPlayers, rounds] of ROUNDS_BY_PLAYER_COUNT) {
+    if (playerCount <= maxPlayers) return rounds;
+  }
+  return 10;
+}
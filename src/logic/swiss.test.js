@@ -0,0 +1,132 @@
+// Swiss pairer tests, including the 128 players × 8 rounds benchmark.
+// Run with `npm test` (node:test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pairRound, pairFromStandings, buildPriorMatchups, hasPlayed } from './swiss.js';
+import { standingsOptions } from './standings.js';
+
+const PLAYERS = 128;
+const ROUNDS = 8;
+const ROUND_BUDGET_MS = 20000; // generous; one round takes well under a second on a laptop
+
+test(`pairs ${PLAYERS} players × ${ROUNDS} rounds without rematches`, t => {
+  const random = _seededRandom(20260218);
+  const players = Array.from({ length: PLAYERS }, (_, i) => `p${i + 1}`);
+  const options = standingsOptions(null);
+  const rounds = [];
+
+  for (let roundNumber = 1; roundNumber <= ROUNDS; roundNumber++) {
+    const started = Date.now();
+    const pairs = rounds.length === 0
+      ? pairRound(players, [], null)
+      : pairFromStandings(players, rounds, options);
+    const elapsed = Date.now() - started;
+    t.diagnostic(`round ${roundNumber}: ${elapsed} ms`);
+    assert.ok(elapsed < ROUND_BUDGET_MS, `round ${roundNumber} took ${elapsed} ms`);
+
+    const seated = pairs.flatMap(p => [p.player1Id, p.player2Id]);
+    assert.equal(pairs.length, PLAYERS / 2);
+    assert.deepEqual([...seated].sort(), [...players].sort(), 'every player is paired exactly once');
+
+    const prior = buildPriorMatchups(rounds);
+    for (const p of pairs) {
+      assert.ok(!hasPlayed(p.player1Id, p.player2Id, prior), `rematch ${p.player1Id} vs ${p.player2Id}`);
+    }
+
+    rounds.push({
+      roundNumber,
+      status: 'complete',
+      bestOf: 3,
+      matches: pairs.map((p, i) => ({
+        id: `r${roundNumber}m${i}`,
+        player1Id: p.player1Id,
+        player2Id: p.player2Id,
+        pairedDownId: p.pairedDownId,
+        isBye: false,
+        result: _randomResult(random),
+      })),
+    });
+  }
+});
+
+test('floats at most one player out of each odd match-point bracket', () => {
+  const random = _seededRandom(7);
+  const players = Array.from({ length: PLAYERS }, (_, i) => `p${i + 1}`);
+  const options = standingsOptions(null);
+  const rounds = [];
+  for (let roundNumber = 1; roundNumber <= 4; roundNumber++) {
+    const pairs = rounds.length === 0 ? pairRound(players, [], null) : pairFromStandings(players, rounds, options);
+    rounds.push({
+      roundNumber,
+      status: 'complete',
+      bestOf: 3,
+      matches: pairs.map((p, i) => ({
+        id: `r${roundNumber}m${i}`, ...p, isBye: false, result: _randomResult(random),
+      })),
+    });
+  }
+  // With 128 players and 4 rounds no bracket is exhausted, so only odd brackets float
+  const last = rounds[rounds.length - 1];
+  const points = _matchPoints(rounds.slice(0, -1));
+  const bracketSizes = {};
+  for (const id of players) bracketSizes[points[id]] = (bracketSizes[points[id]] ?? 0) + 1;
+  const oddBrackets = Object.values(bracketSizes).filter(size => size % 2 === 1).length;
+  const pairedDown = last.matches.filter(m => m.pairedDownId).length;
+  assert.ok(pairedDown <= oddBrackets, `${pairedDown} pair-downs for ${oddBrackets} odd brackets`);
+});
+
+test('pairs the same whatever the points per win', () => {
+  // Large win points used to push float costs past the pair-down tier
+  const options = standingsOptions(null);
+  const scaled = { ...options, scoring: { ...options.scoring, win: 300, draw: 100 } };
+  for (let seed = 1; seed <= 20; seed++) {
+    const random = _seededRandom(seed);
+    const players = Array.from({ length: 8 + 2 * (seed % 4) }, (_, i) => `p${i + 1}`);
+    const rounds = [];
+    for (let roundNumber = 1; roundNumber <= 4; roundNumber++) {
+      const pairs = rounds.length === 0 ? pairRound(players, [], null) : pairFromStandings(players, rounds, options);
+      if (rounds.length > 0) assert.deepEqual(pairFromStandings(players, rounds, scaled), pairs, `seed ${seed}`);
+      rounds.push({
+        roundNumber,
+        status: 'complete',
+        bestOf: 3,
+        matches: pairs.map((p, i) => ({
+          id: `r${roundNumber}m${i}`, ...p, isBye: false, result: _randomResult(random),
+        })),
+      });
+    }
+  }
+});
+
+// Internal helpers
+
+function _seededRandom(seed) {
+  // mulberry32
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let x = Math.imul(a ^ (a >>> 15), a | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function _randomResult(random) {
+  const r = random();
+  if (r < 0.05) return { player1Wins: 1, player2Wins: 1, draws: 0 };
+  const loserWins = random() < 0.5 ? 0 : 1;
+  return r < 0.525
+    ? { player1Wins: 2, player2Wins: loserWins, draws: 0 }
+    : { player1Wins: loserWins, player2Wins: 2, draws: 0 };
+}
+
+function _matchPoints(rounds) {
+  const points = {};
+  for (const m of rounds.flatMap(r => r.matches)) {
+    const { player1Wins: a, player2Wins: b } = m.result;
+    points[m.player1Id] = (points[m.player1Id] ?? 0) + (a > b ? 3 : a === b ? 1 : 0);
+    points[m.player2Id] = (points[m.player2Id] ?? 0) + (b > a ? 3 : a === b ? 1 : 0);
+  }
+  return points;
+}
@@ -0,0 +1,115 @@
+// Multi-device sync — table assignments and result conflict rules.
+// Pure functions; no DOM, no localStorage, no side effects.
+//
+// What it does:
+//   1. Parses and formats table assignments ("1-4, 7")
+//   2. Numbers the tables of a round the same way the Pairings screen does
+//   3. Decides whether the host accepts a result sent by a client device
+//   4. Merges the host's players into a client device's own roster
+
+import { isAllowedResult } from './format.js';
+
+/**
+ * Parse a table list typed by the host, e.g. "1-4, 7" → [1, 2, 3, 4, 7].
+ * Invalid parts are ignored.
+ * @param {string} text
+ * @returns {number[]} Sorted, without duplicates.
+ */
+export function parseTables(text) {
+  const tables = new Set();
+  for (const part of text.split(',')) {
+    const m = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!m) continue;
+    const from = Number(m[1]);
+    const to = Math.min(Number(m[2] ?? m[1]), from + 500);
+    for (let n = from; n <= to; n++) if (n > 0) tables.add(n);
+  }
+  return [...tables].sort((a, b) => a - b);
+}
+
+/**
+ * Format a table list compactly, e.g. [1, 2, 3, 4, 7] → "1-4, 7".
+ * @param {number[]} tables
+ * @returns {string}
+ */
+export function formatTables(tables) {
+  const parts = [];
+  const sorted = [...tables].sort((a, b) => a - b);
+  for (let i = 0; i < sorted.length; i++) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    parts.push(i === j ? `${sorted[i]}` : `${sorted[i]}-${sorted[j]}`);
+    i = j;
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Table number of a match: its 1-based position in the round (byes included),
+ * as shown on the Pairings screen.
+ * @param {object} round
+ * @param {string} matchId
+ * @returns {number|null}
+ */
+export function tableNumber(round, matchId) {
+  const idx = round.matches.findIndex(m => m.id === matchId);
+  return idx === -1 ? null : idx + 1;
+}
+
+/**
+ * Decide whether the host accepts a result sent by a client.
+ *
+ * A client sends the result together with the `submittedAt` it last saw on the
+ * match. If the match has changed since (another device or the host entered a
+ * result first), the host's copy wins and the client's result is rejected.
+ *
+ * @param {object|null} tournament - The host's tournament.
+ * @param {{ matchId: string, result: object, seenSubmittedAt: string|null }} intent
+ * @param {number[]} tables - Tables assigned to the sending client.
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+export function checkClientResult(tournament, intent, tables) {
+  const round = tournament?.rounds.find(r => r.status === 'active');
+  if (!round) return { ok: false, reason: 'No round is in progress.' };
+
+  const match = round.matches.find(m => m.id === intent.matchId);
+  if (!match || match.isBye) return { ok: false, reason: 'That match is not in the current round.' };
+
+  const table = tableNumber(round, match.id);
+  if (!tables.includes(table)) return { ok: false, reason: `Table ${table} is not assigned to this device.` };
+
+  if (!isAllowedResult(intent.result, tournament, round)) {
+    return { ok: false, reason: `Table ${table}: result is not allowed in this round.` };
+  }
+
+  if (resultStamp(match) !== (intent.seenSubmittedAt ?? null)) {
+    return { ok: false, reason: `Table ${table} was already updated on another device.` };
+  }
+  return { ok: true };
+}
+
+/**
+ * Timestamp a client sends as `seenSubmittedAt` for a match (see checkClientResult).
+ * @param {object} match
+ * @returns {string|null}
+ */
+export function resultStamp(match) {
+  return match.result?.correctedAt ?? match.result?.submittedAt ?? null;
+}
+
+/**
+ * A client's roster with the host's players merged in by ID. The host's copy
+ * wins for players both have, so names match the host's pairings; players only
+ * this device knows are kept.
+ * @param {object[]} local
+ * @param {object[]} remote - The host's players.
+ * @returns {object[]}
+ */
+export function mergeRoster(local, remote) {
+  const remoteById = new Map(remote.map(p => [p.id, p]));
+  const localIds = new Set(local.map(p => p.id));
+  return [
+    ...local.map(p => remoteById.get(p.id) ?? p),
+    ...remote.filter(p => !localIds.has(p.id)),
+  ];
+}
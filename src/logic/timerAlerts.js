@@ -0,0 +1,165 @@
+// Timer alerts — the round clock's checkpoints, as presets chosen per match format.
+// Presets are kept in AsyncStorage under their own key, like the export targets,
+// not in the tournament state.
+//
+// What it does:
+//   1. Defines the alert sounds (each bundled for notifications, see app.json)
+//   2. Loads and saves the presets and which preset each match format uses
+//   3. Picks the preset for a round's format and describes presets for display
+//
+// Preset: { id, name, durationMs, alerts: [{ id, atMs, label, sound }] }
+// atMs is the time left when the alert fires; an alert at 0 sounds at time-up
+// and keeps ringing until dismissed. Alerts are kept latest-first.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { uuid } from './id.js';
+
+const ALERTS_KEY = 'timer_alerts';
+
+/**
+ * Alert sounds. file is the notification sound bundled with the app (null for
+ * a silent notification); the in-app sound is passed to useTimer by id.
+ * Voice cues announce a time, so they only fit an alert at that time (atMs).
+ */
+export const ALERT_SOUNDS = {
+  voice40: { label: '"40 minutes" voice', file: 'alert_40min.mp3', atMs: 40 * 60 * 1000 },
+  voice20: { label: '"20 minutes" voice', file: 'alert_20min.mp3', atMs: 20 * 60 * 1000 },
+  alarm:   { label: 'Alarm',              file: 'alarm.wav' },
+  none:    { label: 'Silent',             file: null },
+};
+
+/** The app's original timer: 65 minutes with voice cues at 40 and 20. */
+export const DEFAULT_PRESET = {
+  id: 'standard',
+  name: 'Standard',
+  durationMs: 65 * 60 * 1000,
+  alerts: [
+    { id: 'standard-40', atMs: 40 * 60 * 1000, label: '40 Minutes Remaining', sound: 'voice40' },
+    { id: 'standard-20', atMs: 20 * 60 * 1000, label: '20 Minutes Remaining', sound: 'voice20' },
+    { id: 'standard-0',  atMs: 0,              label: "Time's Up!",           sound: 'alarm' },
+  ],
+};
+
+/**
+ * Load the presets. Without saved settings this is the default preset for every format.
+ * @returns {Promise<{ presets: object[], byFormat: Object<string, string> }>}
+ *   byFormat maps a match format (best-of count) to a preset id.
+ */
+export async function loadTimerAlerts() {
+  try {
+    const raw = await AsyncStorage.getItem(ALERTS_KEY);
+    const data = raw && JSON.parse(raw);
+    if (data?.presets?.length) {
+      // Presets saved by older versions may pair a voice cue with another time
+      const presets = data.presets.map(p => ({ ...p, alerts: normalizeAlerts(p.alerts, p.durationMs) }));
+      return { byFormat: {}, ...data, presets };
+    }
+  } catch {
+    // Fall back to the default preset
+  }
+  return { presets: [DEFAULT_PRESET], byFormat: {} };
+}
+
+/** Save the presets and format choices. */
+export async function saveTimerAlerts(data) {
+  await AsyncStorage.setItem(ALERTS_KEY, JSON.stringify(data));
+}
+
+/**
+ * The preset a round of the given format uses: the one chosen for the format,
+ * else the first.
+ * @param {{ presets: object[], byFormat: object }} data
+ * @param {number} bestOf
+ * @returns {object}
+ */
+export function presetFor(data, bestOf) {
+  return data.presets.find(p => p.id === data.byFormat[bestOf]) ?? data.presets[0] ?? DEFAULT_PRESET;
+}
+
+/** A new, unsaved preset, copied from `from` if given. */
+export function newPreset(from) {
+  const base = from ?? DEFAULT_PRESET;
+  return {
+    ...base,
+    id: uuid(),
+    name: from ? `${from.name} copy` : 'New preset',
+    alerts: base.alerts.map(a => ({ ...a, id: uuid() })),
+  };
+}
+
+/** A new alert at `atMs` with a default label and sound. */
+export function newAlert(atMs = 0) {
+  return {
+    id: uuid(),
+    atMs,
+    label: atMs > 0 ? `${Math.round(atMs / 60000)} Minutes Remaining` : "Time's Up!",
+    sound: Object.keys(ALERT_SOUNDS).find(id => ALERT_SOUNDS[id].atMs === atMs) ?? 'alarm',
+  };
+}
+
+/**
+ * Sounds that fit an alert at the given time left: every sound except voice
+ * cues announcing another time.
+ * @param {number|null} atMs
+ * @returns {string[]} Keys of ALERT_SOUNDS.
+ */
+export function alertSoundsFor(atMs) {
+  return Object.keys(ALERT_SOUNDS).filter(id => ALERT_SOUNDS[id].atMs === undefined || ALERT_SOUNDS[id].atMs === atMs);
+}
+
+/**
+ * Clean up an edited alert list: latest first, one alert per time, none past
+ * the round's duration, unknown sounds made silent, and voice cues for another
+ * time replaced by the time's default sound.
+ * @param {object[]} alerts
+ * @param {number} durationMs
+ * @returns {object[]}
+ */
+export function normalizeAlerts(alerts, durationMs) {
+  const seen = new Set();
+  return [...alerts]
+    .filter(a => Number.isFinite(a.atMs) && a.atMs >= 0 && a.atMs < durationMs)
+    .sort((a, b) => b.atMs - a.atMs)
+    .filter(a => !seen.has(a.atMs) && seen.add(a.atMs))
+    .map(a => ({ ...a, label: a.label.trim() || newAlert(a.atMs).label, sound: _fitSound(a.sound, a.atMs) }));
+}
+
+/** Android notification channel for a sound. Channel sounds can't change, so one channel per sound. */
+export function alertChannelId(sound) {
+  return `timer-alert-${sound}`;
+}
+
+/** One-line description of a preset, e.g. "65 min · alerts at 40, 20, 0". */
+export function describePreset(preset) {
+  const at = preset.alerts.map(a => formatClock(a.atMs).replace(/:00$/, '')).join(', ');
+  return `${formatClock(preset.durationMs).replace(/:00$/, '')} min · ${at ? `alerts at ${at}` : 'no alerts'}`;
+}
+
+/**
+ * Parse a time typed as minutes ("65") or M:SS ("64:30").
+ * @param {string} text
+ * @returns {number|null} Milliseconds, or null if unreadable.
+ */
+export function parseClock(text) {
+  const val = text.trim();
+  if (val.includes(':')) {
+    const [m, s] = val.split(':').map(n => parseInt(n, 10));
+    if (isNaN(m) || isNaN(s) || m < 0 || s < 0 || s > 59) return null;
+    return (m * 60 + s) * 1000;
+  }
+  const min = parseInt(val, 10);
+  return isNaN(min) || min < 0 ? null : min * 60 * 1000;
+}
+
+/** Milliseconds as M:SS, e.g. 3900000 → "65:00". */
+export function formatClock(ms) {
+  const sec = Math.round(ms / 1000);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+// Internal helpers
+
+function _fitSound(sound, atMs) {
+  if (!ALERT_SOUNDS[sound]) return 'none';
+  return alertSoundsFor(atMs).includes(sound) ? sound : newAlert(atMs).sound;
+}
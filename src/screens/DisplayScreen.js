@@ -0,0 +1,261 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  View, Text, Pressable, ScrollView, StyleSheet, useWindowDimensions,
+} from 'react-native';
+import { getState, subscribe } from '../state/store.js';
+import { computeStandings, standingsOptions, standingsPlayerIds } from '../logic/standings.js';
+import { pairingsByName } from '../logic/display.js';
+import useTimer from '../hooks/useTimer.js';
+
+const SCROLL_STEP_PX   = 1;
+const SCROLL_TICK_MS   = 40;     // about 25 px per second
+const SCROLL_PAUSE_MS  = 4000;   // rest at the top and bottom of a list
+const WIDE_LAYOUT_PX   = 900;    // pairings and standings side by side
+
+// Read-only view for a projector, TV or tablet (also runs on the web target).
+// Shows the active round's pairings by player name, the round clock and the
+// standings; long lists scroll by themselves. Tap anywhere to show the exit button.
+export default function DisplayScreen({ navigation }) {
+  const [appState, setAppState] = useState(getState());
+  const [showExit, setShowExit] = useState(false);
+  const { width } = useWindowDimensions();
+  const timer = useTimer({ silent: true });
+
+  useEffect(() => subscribe(setAppState), []);
+
+  useEffect(() => {
+    if (!showExit) return;
+    const t = setTimeout(() => setShowExit(false), 5000);
+    return () => clearTimeout(t);
+  }, [showExit]);
+
+  const { tournament, players } = appState;
+  const playerMap = Object.fromEntries(players.map(p => [p.id, p.name]));
+  const activeRound = tournament?.rounds.find(r => r.status === 'active');
+  const completedRounds = tournament?.rounds.filter(r => r.status === 'complete') ?? [];
+  const swissRounds = completedRounds.filter(r => r.phase !== 'playoff').length; // playoff rounds go by their label
+  const standings = tournament && completedRounds.length > 0
+    ? computeStandings(standingsPlayerIds(tournament), completedRounds, standingsOptions(tournament))
+    : [];
+  const wide = width >= WIDE_LAYOUT_PX;
+
+  const title = !tournament ? 'No tournament'
+    : activeRound ? (activeRound.label ?? `Round ${activeRound.roundNumber}`)
+    : tournament.status === 'complete' ? 'Final standings'
+    : completedRounds.length > 0 ? `Round ${completedRounds[completedRounds.length - 1].roundNumber} complete`
+    : 'Waiting for round 1';
+  const clockColor = timer.isExpired ? '#dc2626' : timer.isWarning ? '#d97706' : '#fff';
+
+  return (
+    <Pressable style={styles.container} onPress={() => setShowExit(true)}>
+      <View style={styles.header}>
+        <View>
+          <Text style={styles.title}>{title}</Text>
+          {tournament && <Text style={styles.subtitle}>{tournament.dateStr}</Text>}
+        </View>
+        {activeRound?.timer?.endsAt && (
+          <Text style={[styles.clock, { color: clockColor }, timer.isPaused && styles.clockPaused]}>
+            {timer.isExpired ? 'TIME' : timer.display}
+          </Text>
+        )}
+      </View>
+
+      <View style={[styles.body, wide && styles.bodyWide]}>
+        {activeRound && (
+          <View style={styles.panel}>
+            <Text style={styles.panelTitle}>Pairings</Text>
+            <AutoScroll>
+              {pairingsByName(activeRound, playerMap).map((row, i) => (
+                <View key={row.playerId} style={[styles.row, i % 2 === 1 && styles.altRow]}>
+                  <Text style={styles.name} numberOfLines={1}>{row.name}</Text>
+                  <Text style={styles.table}>{row.isBye ? 'BYE' : `Table ${row.table}`}</Text>
+                  <Text style={styles.opponent} numberOfLines={1}>{row.isBye ? '' : `vs ${row.opponent}`}</Text>
+                </View>
+              ))}
+            </AutoScroll>
+          </View>
+        )}
+
+        {standings.length > 0 && (!activeRound || wide) && (
+          <View style={styles.panel}>
+            <Text style={styles.panelTitle}>Standings after round {swissRounds}</Text>
+            <AutoScroll>
+              {standings.map((s, i) => (
+                <View key={s.playerId} style={[styles.row, i % 2 === 1 && styles.altRow]}>
+                  <Text style={styles.rank}>{i + 1}</Text>
+                  <Text style={styles.name} numberOfLines={1}>{playerMap[s.playerId] ?? s.playerId}</Text>
+                  <Text style={styles.points}>{s.matchPoints}</Text>
+                  <Text style={styles.record}>{s.matchWins}-{s.matchLosses}-{s.matchDraws}</Text>
+                </View>
+              ))}
+            </AutoScroll>
+          </View>
+        )}
+      </View>
+
+      {showExit && (
+        <Pressable style={styles.exitBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.exitText}>✕ Exit display</Text>
+        </Pressable>
+      )}
+    </Pressable>
+  );
+}
+
+// A list that scrolls itself when it is taller than its frame: down slowly,
+// a pause at the bottom, back to the top, a pause, and again.
+function AutoScroll({ children }) {
+  const ref = useRef(null);
+  const [frameHeight, setFrameHeight] = useState(0);
+  const [contentHeight, setContentHeight] = useState(0);
+  const overflow = contentHeight - frameHeight;
+
+  useEffect(() => {
+    if (overflow <= 0) return;
+    let offset = 0;
+    let pausedUntil = Date.now() + SCROLL_PAUSE_MS;
+    const id = setInterval(() => {
+      const now = Date.now();
+      if (now < pausedUntil) return;
+      if (offset >= overflow) {
+        offset = 0;
+        pausedUntil = now + SCROLL_PAUSE_MS;
+      } else {
+        offset = Math.min(overflow, offset + SCROLL_STEP_PX);
+        if (offset >= overflow) pausedUntil = now + SCROLL_PAUSE_MS;
+      }
+      ref.current?.scrollTo({ y: offset, animated: false });
+    }, SCROLL_TICK_MS);
+    return () => clearInterval(id);
+  }, [overflow]);
+
+  return (
+    <ScrollView
+      ref={ref}
+      style={styles.scroll}
+      scrollEnabled={false}
+      onLayout={e => setFrameHeight(e.nativeEvent.layout.height)}
+      onContentSizeChange={(_, h) => setContentHeight(h)}
+    >
+      {children}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+    padding: 24,
+    gap: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+    paddingBottom: 12,
+  },
+  title: {
+    fontSize: 34,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#888',
+  },
+  clock: {
+    fontSize: 64,
+    fontWeight: '700',
+    fontVariant: ['tabular-nums'],
+  },
+  clockPaused: {
+    opacity: 0.5,
+  },
+  body: {
+    flex: 1,
+    gap: 24,
+  },
+  bodyWide: {
+    flexDirection: 'row',
+  },
+  panel: {
+    flex: 1,
+    gap: 8,
+  },
+  panelTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#888',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  scroll: {
+    flex: 1,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  altRow: {
+    backgroundColor: '#111',
+  },
+  rank: {
+    width: 40,
+    fontSize: 22,
+    color: '#888',
+    fontVariant: ['tabular-nums'],
+  },
+  name: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  table: {
+    width: 120,
+    fontSize: 24,
+    fontWeight: '700',
+    color: '#60a5fa',
+  },
+  opponent: {
+    flex: 1,
+    fontSize: 20,
+    color: '#aaa',
+  },
+  points: {
+    width: 60,
+    fontSize: 24,
+    fontWeight: '700',
+    color: '#fff',
+    textAlign: 'right',
+    fontVariant: ['tabular-nums'],
+  },
+  record: {
+    width: 90,
+    fontSize: 20,
+    color: '#aaa',
+    textAlign: 'right',
+    fontVariant: ['tabular-nums'],
+  },
+  exitBtn: {
+    position: 'absolute',
+    top: 16,
+    right: 16,
+    backgroundColor: '#1a1a1a',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#444',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  exitText: {
+    color: '#fff',
+    fontSize: 15,
+  },
+});
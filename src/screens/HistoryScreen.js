@@ -1,20 +1,28 @@
 import { useState, useEffect } from 'react';
 import { View, Text, Pressable, FlatList, Alert, StyleSheet } from 'react-native';
 import { getState, subscribe } from '../state/store.js';
-import { computeStandings } from '../logic/standings.js';
+import { computeStandings, standingsOptions, standingsPlayerIds } from '../logic/standings.js';
+import { playoffChampion } from '../logic/playoff.js';
 import {
   reopenTournament, reopenCurrentTournament,
-  deleteHistoryEntry, abandonTournament,
+  deleteHistoryEntry, abandonTournament, importResults,
 } from '../state/tournament.js';
+import { getOutbox, subscribeOutbox, retryNow, discardExport } from '../state/outbox.js';
+import { isSyncClient } from '../state/sync.js';
+import ImportResultsModal from '../components/ImportResultsModal.js';
 
 export default function HistoryScreen({ navigation }) {
   const [appState, setAppState] = useState(getState());
+  const [outbox, setOutbox] = useState(getOutbox());
+  const [importing, setImporting] = useState(false);
 
   useEffect(() => {
     const unsub = subscribe(s => setAppState(s));
     return unsub;
   }, []);
 
+  useEffect(() => subscribeOutbox(setOutbox), []);
+
   const { pastTournaments = [], players, tournament } = appState;
   const hasActive = tournament?.status === 'active';
   const playerMap = Object.fromEntries(players.map(p => [p.id, p.name]));
@@ -26,6 +34,10 @@ export default function HistoryScreen({ navigation }) {
   ];
 
   const handleReopen = (t) => {
+    if (isSyncClient()) {
+      Alert.alert('Joined to a Host', 'This device mirrors a host. Leave the sync session to change the tournament here.');
+      return;
+    }
     if (hasActive) {
       Alert.alert('Cannot Reopen', 'Finish or abandon the active tournament first.');
       return;
@@ -48,6 +60,11 @@ export default function HistoryScreen({ navigation }) {
   };
 
   const handleDelete = (t) => {
+    // Past tournaments are this device's own; the current one is the host's
+    if (t._isCurrent && isSyncClient()) {
+      Alert.alert('Joined to a Host', 'This device mirrors a host. Leave the sync session to change the tournament here.');
+      return;
+    }
     Alert.alert(
       'Delete Tournament',
       'Delete this tournament from history? This cannot be undone.',
@@ -65,18 +82,73 @@ export default function HistoryScreen({ navigation }) {
     );
   };
 
-  if (allFinished.length === 0) {
+  const handleDiscard = (entry) => {
+    Alert.alert('Discard Upload', `Stop trying to upload ${entry.filename}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Discard', style: 'destructive', onPress: () => discardExport(entry.id) },
+    ]);
+  };
+
+  const handleImport = (rows) => {
+    setImporting(false);
+    const count = importResults(rows);
+    Alert.alert('Import Complete', `Added ${count} ${count === 1 ? 'tournament' : 'tournaments'} to history.`);
+  };
+
+  const importButton = (
+    <Pressable style={styles.importBtn} onPress={() => setImporting(true)}>
+      <Text style={styles.importBtnText}>Import results CSV…</Text>
+    </Pressable>
+  );
+
+  const importModal = (
+    <ImportResultsModal
+      visible={importing}
+      players={players}
+      pastTournaments={[...(tournament ? [tournament] : []), ...pastTournaments]}
+      onImport={handleImport}
+      onCancel={() => setImporting(false)}
+    />
+  );
+
+  const outboxSection = outbox.length > 0 && (
+    <View style={styles.outbox}>
+      <Text style={styles.outboxTitle}>Pending uploads</Text>
+      {outbox.map(e => (
+        <View key={e.id} style={styles.outboxRow}>
+          <View style={styles.cardInfo}>
+            <Text style={styles.outboxFile} numberOfLines={1}>{e.filename} → {e.targetName}</Text>
+            <Text style={[styles.outboxStatus, e.status === 'failed' && styles.outboxFailed]} numberOfLines={2}>
+              {outboxStatus(e)}
+            </Text>
+          </View>
+          <Pressable style={styles.reopenBtn} onPress={() => retryNow(e.id)}>
+            <Text style={styles.reopenBtnText}>Retry</Text>
+          </Pressable>
+          <Pressable style={styles.deleteBtn} onPress={() => handleDiscard(e)}>
+            <Text style={styles.deleteBtnText}>Discard</Text>
+          </Pressable>
+        </View>
+      ))}
+    </View>
+  );
+
+  if (allFinished.length === 0 && !outboxSection) {
     return (
       <View style={styles.centered}>
         <Text style={styles.emptyState}>No past tournaments yet.</Text>
+        {importButton}
+        {importModal}
       </View>
     );
   }
 
   const getWinner = (t) => {
+    const champion = playoffChampion(t);
+    if (champion) return playerMap[champion] ?? champion;
     const completedRounds = (t.rounds ?? []).filter(r => r.status === 'complete');
     if (completedRounds.length === 0) return '—';
-    const standings = computeStandings(t.activePlayers ?? [], completedRounds);
+    const standings = computeStandings(standingsPlayerIds(t), completedRounds, standingsOptions(t));
     if (standings.length === 0) return '—';
     return playerMap[standings[0].playerId] ?? standings[0].playerId;
   };
@@ -86,6 +158,13 @@ export default function HistoryScreen({ navigation }) {
       style={styles.container}
       data={allFinished}
       keyExtractor={t => t.id}
+      ListHeaderComponent={outboxSection || null}
+      ListFooterComponent={
+        <>
+          {importButton}
+          {importModal}
+        </>
+      }
       renderItem={({ item: t }) => {
         const playerCount = (t.activePlayers?.length ?? 0) + (t.droppedPlayers?.length ?? 0);
         const roundCount = t.rounds?.length ?? 0;
@@ -99,6 +178,12 @@ export default function HistoryScreen({ navigation }) {
               <Text style={styles.cardWinner}>🏆 {winner}</Text>
             </View>
             <View style={styles.cardActions}>
+              <Pressable
+                style={styles.reopenBtn}
+                onPress={() => navigation.navigate('Tournament', { screen: 'MatchLog', params: { tournamentId: t.id } })}
+              >
+                <Text style={styles.reopenBtnText}>Log</Text>
+              </Pressable>
               <Pressable
                 style={[styles.reopenBtn, hasActive && styles.disabledBtn]}
                 onPress={() => handleReopen(t)}
@@ -116,6 +201,13 @@ export default function HistoryScreen({ navigation }) {
   );
 }
 
+function outboxStatus(entry) {
+  const error = entry.lastError ? ` · ${entry.lastError}` : '';
+  if (entry.status === 'failed') return `Failed after ${entry.attempts} tries${error}`;
+  const at = new Date(entry.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `Waiting · next try ${at} (attempt ${entry.attempts + 1})${error}`;
+}
+
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -191,6 +283,53 @@ const styles = StyleSheet.create({
   disabledBtn: {
     borderColor: '#333',
   },
+  outbox: {
+    backgroundColor: '#1a1400',
+    marginHorizontal: 12,
+    marginTop: 12,
+    borderRadius: 10,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: '#78450a',
+    gap: 10,
+  },
+  outboxTitle: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#fbbf24',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  outboxRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  outboxFile: {
+    fontSize: 14,
+    color: '#eee',
+  },
+  outboxStatus: {
+    fontSize: 12,
+    color: '#aaa',
+  },
+  outboxFailed: {
+    color: '#f87171',
+  },
+  importBtn: {
+    alignSelf: 'center',
+    marginVertical: 16,
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  importBtnText: {
+    color: '#60a5fa',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   disabledBtnText: {
     color: '#555',
   },
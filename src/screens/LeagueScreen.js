@@ -0,0 +1,455 @@
+import { useState, useEffect } from 'react';
+import {
+  View, Text, Pressable, ScrollView, Modal, TextInput, Alert, StyleSheet,
+} from 'react-native';
+import { getState, subscribe } from '../state/store.js';
+import {
+  getFinishedTournaments, createLeague, deleteLeague,
+  setLeagueTournament, updateLeagueRules,
+} from '../state/league.js';
+import { computeLeagueStandings, DEFAULT_LEAGUE_RULES } from '../logic/league.js';
+
+export default function LeagueScreen() {
+  const [appState, setAppState] = useState(getState());
+  const [selectedId, setSelectedId] = useState(null);
+  const [showNew, setShowNew] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    const unsub = subscribe(s => setAppState(s));
+    return unsub;
+  }, []);
+
+  const { leagues = [], players } = appState;
+  const playerMap = Object.fromEntries(players.map(p => [p.id, p.name]));
+  const league = leagues.find(l => l.id === selectedId) ?? leagues[0] ?? null;
+
+  const handleCreate = () => {
+    const id = createLeague(newName);
+    if (!id) return;
+    setSelectedId(id);
+    setNewName('');
+    setShowNew(false);
+  };
+
+  const newLeagueModal = (
+    <Modal visible={showNew} transparent animationType="fade">
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalBox}>
+          <Text style={styles.modalTitle}>New League</Text>
+          <TextInput
+            style={styles.modalInput}
+            value={newName}
+            onChangeText={setNewName}
+            placeholder="e.g. Spring Season 2026"
+            placeholderTextColor="#555"
+            autoFocus
+            onSubmitEditing={handleCreate}
+          />
+          <View style={styles.modalButtons}>
+            <Pressable style={styles.modalCancelBtn} onPress={() => setShowNew(false)}>
+              <Text style={styles.modalCancelText}>Cancel</Text>
+            </Pressable>
+            <Pressable style={styles.modalSaveBtn} onPress={handleCreate}>
+              <Text style={styles.modalSaveText}>Create</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  if (!league) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.emptyState}>No leagues yet.</Text>
+        <Pressable style={[styles.primaryBtn, { marginTop: 16 }]} onPress={() => setShowNew(true)}>
+          <Text style={styles.primaryBtnText}>Create League</Text>
+        </Pressable>
+        {newLeagueModal}
+      </View>
+    );
+  }
+
+  const finished = getFinishedTournaments();
+  const rules = { ...DEFAULT_LEAGUE_RULES, ...league.rules };
+  const standings = computeLeagueStandings(league, finished);
+  const eventCount = league.tournamentIds.filter(id => finished.some(t => t.id === id)).length;
+
+  const changeBestOf = delta => {
+    const current = rules.bestOf ?? eventCount;
+    const next = current + delta;
+    // Counting at least as many events as there are means "all events"
+    updateLeagueRules(league.id, { bestOf: next < 1 ? 1 : next >= eventCount ? null : next });
+  };
+  const changeParticipation = delta =>
+    updateLeagueRules(league.id, { participationPoints: Math.max(0, rules.participationPoints + delta) });
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete League',
+      `Delete "${league.name}"? Its tournaments stay in History.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => deleteLeague(league.id) },
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {/* League picker */}
+      <ScrollView horizontal contentContainerStyle={styles.chipRow}>
+        {leagues.map(l => (
+          <Pressable
+            key={l.id}
+            style={[styles.chip, l.id === league.id && styles.chipActive]}
+            onPress={() => setSelectedId(l.id)}
+          >
+            <Text style={[styles.chipText, l.id === league.id && styles.chipTextActive]}>{l.name}</Text>
+          </Pressable>
+        ))}
+        <Pressable style={styles.chip} onPress={() => setShowNew(true)}>
+          <Text style={styles.chipText}>+ New</Text>
+        </Pressable>
+      </ScrollView>
+
+      {/* Rules */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Rules</Text>
+        <View style={styles.ruleRow}>
+          <Text style={styles.ruleLabel}>Count best</Text>
+          <Pressable style={styles.stepBtn} onPress={() => changeBestOf(-1)}>
+            <Text style={styles.stepBtnText}>−</Text>
+          </Pressable>
+          <Text style={styles.stepValue}>{rules.bestOf ?? 'All'}</Text>
+          <Pressable style={styles.stepBtn} onPress={() => changeBestOf(1)}>
+            <Text style={styles.stepBtnText}>+</Text>
+          </Pressable>
+          <Text style={styles.ruleHint}>of {eventCount} events</Text>
+        </View>
+        <View style={styles.ruleRow}>
+          <Text style={styles.ruleLabel}>Participation</Text>
+          <Pressable style={styles.stepBtn} onPress={() => changeParticipation(-1)}>
+            <Text style={styles.stepBtnText}>−</Text>
+          </Pressable>
+          <Text style={styles.stepValue}>{rules.participationPoints}</Text>
+          <Pressable style={styles.stepBtn} onPress={() => changeParticipation(1)}>
+            <Text style={styles.stepBtnText}>+</Text>
+          </Pressable>
+          <Text style={styles.ruleHint}>pts per event</Text>
+        </View>
+      </View>
+
+      {/* Season standings */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Season Standings</Text>
+        {standings.length === 0 ? (
+          <Text style={styles.mutedText}>Add tournaments below to build the standings.</Text>
+        ) : standings.map((s, idx) => (
+          <View key={s.playerId} style={styles.standingRow}>
+            <Text style={[styles.rank, idx === 0 && styles.firstText]}>{idx + 1}</Text>
+            <View style={styles.standingInfo}>
+              <Text style={[styles.playerName, idx === 0 && styles.firstText]}>
+                {playerMap[s.playerId] ?? s.playerId}
+              </Text>
+              <Text style={styles.eventPoints}>
+                {s.events.map(e => (e.counted ? `${e.points}` : `(${e.points})`)).join(' · ')}
+              </Text>
+            </View>
+            <Text style={styles.eventsPlayed}>{s.eventsPlayed}/{eventCount}</Text>
+            <Text style={[styles.total, idx === 0 && styles.firstText]}>{s.total}</Text>
+          </View>
+        ))}
+        {rules.bestOf && standings.length > 0 && (
+          <Text style={styles.note}>Points in brackets are not counted.</Text>
+        )}
+      </View>
+
+      {/* Events */}
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Events</Text>
+        {finished.length === 0 ? (
+          <Text style={styles.mutedText}>No finished tournaments yet.</Text>
+        ) : finished.map(t => {
+          const included = league.tournamentIds.includes(t.id);
+          const playerCount = (t.activePlayers?.length ?? 0) + (t.droppedPlayers?.length ?? 0);
+          return (
+            <Pressable
+              key={t.id}
+              style={styles.eventRow}
+              onPress={() => setLeagueTournament(league.id, t.id, !included)}
+            >
+              <View style={[styles.checkbox, included && styles.checkboxChecked]}>
+                {included && <Text style={styles.checkmark}>✓</Text>}
+              </View>
+              <Text style={styles.eventDate}>{t.dateStr}</Text>
+              <Text style={styles.eventMeta}>{playerCount} players</Text>
+            </Pressable>
+          );
+        })}
+      </View>
+
+      <Pressable style={styles.dangerBtn} onPress={handleDelete}>
+        <Text style={styles.dangerBtnText}>Delete League</Text>
+      </Pressable>
+      {newLeagueModal}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  content: {
+    padding: 12,
+    gap: 12,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#000',
+  },
+  emptyState: {
+    color: '#888',
+    fontSize: 15,
+  },
+  chipRow: {
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    backgroundColor: '#111',
+  },
+  chipActive: {
+    borderColor: '#2563eb',
+    backgroundColor: '#1e3a8a',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#aaa',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  card: {
+    backgroundColor: '#111',
+    borderRadius: 10,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: '#333',
+    gap: 8,
+  },
+  cardTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#888',
+    textTransform: 'uppercase',
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  ruleLabel: {
+    fontSize: 15,
+    color: '#aaa',
+    width: 100,
+  },
+  ruleHint: {
+    fontSize: 13,
+    color: '#888',
+  },
+  stepBtn: {
+    width: 36,
+    height: 36,
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1a1a1a',
+  },
+  stepBtnText: {
+    fontSize: 18,
+    color: '#eee',
+  },
+  stepValue: {
+    minWidth: 28,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#eee',
+    textAlign: 'center',
+  },
+  standingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+    gap: 8,
+  },
+  rank: {
+    width: 28,
+    fontSize: 14,
+    color: '#888',
+    textAlign: 'center',
+  },
+  standingInfo: {
+    flex: 1,
+  },
+  playerName: {
+    fontSize: 14,
+    color: '#ddd',
+  },
+  eventPoints: {
+    fontSize: 12,
+    color: '#777',
+  },
+  eventsPlayed: {
+    width: 40,
+    fontSize: 13,
+    color: '#888',
+    textAlign: 'center',
+  },
+  total: {
+    width: 44,
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#ddd',
+    textAlign: 'right',
+  },
+  firstText: {
+    fontWeight: '700',
+    color: '#fbbf24',
+  },
+  note: {
+    fontSize: 11,
+    color: '#666',
+    textAlign: 'center',
+  },
+  mutedText: {
+    color: '#888',
+    fontSize: 14,
+  },
+  eventRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    gap: 10,
+  },
+  checkbox: {
+    width: 22,
+    height: 22,
+    borderWidth: 2,
+    borderColor: '#555',
+    borderRadius: 4,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  checkboxChecked: {
+    borderColor: '#2563eb',
+    backgroundColor: '#2563eb',
+  },
+  checkmark: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '700',
+  },
+  eventDate: {
+    flex: 1,
+    fontSize: 15,
+    color: '#eee',
+  },
+  eventMeta: {
+    fontSize: 13,
+    color: '#888',
+  },
+  primaryBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    alignItems: 'center',
+  },
+  primaryBtnText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 16,
+  },
+  dangerBtn: {
+    borderWidth: 1,
+    borderColor: '#dc2626',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  dangerBtnText: {
+    color: '#dc2626',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalBox: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 10,
+    padding: 20,
+    width: '80%',
+    gap: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  modalTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#fff',
+    backgroundColor: '#111',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+  },
+  modalCancelBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  modalCancelText: {
+    color: '#aaa',
+    fontSize: 15,
+  },
+  modalSaveBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  modalSaveText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { View, Text, Pressable, FlatList, StyleSheet } from 'react-native';
+import { getState, subscribe } from '../state/store.js';
+import { AUDIT_ACTIONS, auditLogFor, describeAuditEntry } from '../logic/audit.js';
+
+const FILTERS = [
+  { id: 'all',      label: 'All',      actions: null },
+  { id: 'results',  label: 'Results',  actions: ['submit', 'correct'] },
+  { id: 'pairings', label: 'Pairings', actions: ['swap', 'bye', 'drop'] },
+  { id: 'time',     label: 'Time',     actions: ['extend'] },
+];
+
+// Every change to a tournament's matches, newest first (see logic/audit.js).
+// route.params.tournamentId picks a past tournament; without it, the current one.
+export default function MatchLogScreen({ route, navigation }) {
+  const [appState, setAppState] = useState(getState());
+  const [filter, setFilter] = useState('all');
+
+  useEffect(() => subscribe(setAppState), []);
+
+  const tournamentId = route.params?.tournamentId;
+  const { tournament: current, pastTournaments = [], players } = appState;
+  const tournament = tournamentId && current?.id !== tournamentId
+    ? pastTournaments.find(t => t.id === tournamentId)
+    : current;
+
+  useEffect(() => {
+    if (tournament) navigation.setOptions({ title: `Match Log · ${tournament.dateStr}` });
+  }, [tournament?.dateStr]);
+
+  if (!tournament) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.empty}>Tournament not found.</Text>
+      </View>
+    );
+  }
+
+  const playerMap = Object.fromEntries(players.map(p => [p.id, p.name]));
+  const name = id => playerMap[id] ?? id;
+  const actions = FILTERS.find(f => f.id === filter).actions;
+  const entries = auditLogFor(tournament).filter(e => !actions || actions.includes(e.action));
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.filterRow}>
+        {FILTERS.map(f => (
+          <Pressable
+            key={f.id}
+            style={[styles.chip, filter === f.id && styles.chipActive]}
+            onPress={() => setFilter(f.id)}
+          >
+            <Text style={[styles.chipText, filter === f.id && styles.chipTextActive]}>{f.label}</Text>
+          </Pressable>
+        ))}
+      </View>
+      <FlatList
+        data={entries}
+        keyExtractor={(e, i) => `${e.at}-${i}`}
+        ListEmptyComponent={<Text style={styles.empty}>No changes recorded.</Text>}
+        renderItem={({ item: e }) => (
+          <View style={styles.entry}>
+            <Text style={styles.entryHead}>
+              {typeof e.round === 'number' ? `Round ${e.round}` : e.round ?? '—'} · {AUDIT_ACTIONS[e.action] ?? e.action}
+            </Text>
+            <Text style={styles.entryText}>{describeAuditEntry(e, name)}</Text>
+            <Text style={styles.entryMeta}>
+              {new Date(e.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'medium' })}
+              {' · '}{e.device ?? 'Scorekeeper'}
+            </Text>
+          </View>
+        )}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#000',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    gap: 8,
+    padding: 12,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 14,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  chipActive: {
+    borderColor: '#2563eb',
+    backgroundColor: '#1e3a8a',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#aaa',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  empty: {
+    color: '#888',
+    fontSize: 15,
+    textAlign: 'center',
+    paddingVertical: 24,
+  },
+  entry: {
+    marginHorizontal: 12,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+    gap: 2,
+  },
+  entryHead: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#888',
+    textTransform: 'uppercase',
+  },
+  entryText: {
+    fontSize: 15,
+    color: '#eee',
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#666',
+  },
+});
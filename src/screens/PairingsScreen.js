@@ -5,28 +5,47 @@ import {
 } from 'react-native';
 import * as FileSystem from 'expo-file-system/legacy';
 import * as Sharing from 'expo-sharing';
-import { getState, subscribe } from '../state/store.js';
+import { getState, subscribe, undo, redo, undoLabel, redoLabel } from '../state/store.js';
 import {
   pairNextRound, reshuffleSeating, completeCurrentRound,
   finishTournament, submitResult, dropPlayer,
-  canCorrectResult, swapPlayers, reassignBye, repairActiveRound,
+  canCorrectResult, swapPlayers, reassignBye, correctResult,
+  startPlayoff, isLastSwissRoundDone, setRoundFormat,
+  reopenRound, closeReopenedRound, getReopenedRound, extendMatch,
 } from '../state/tournament.js';
-import { computeStandings } from '../logic/standings.js';
+import {
+  computeStandings, standingsOptions, standingsPlayerIds, formatTiebreaker, dropLabel,
+} from '../logic/standings.js';
+import { DEFAULT_SCORING } from '../constants.js';
+import { MATCH_FORMATS, roundBestOf, resultOptions } from '../logic/format.js';
+import { PLAYOFF_SIZES, matchWinner, playoffRoundLabel } from '../logic/playoff.js';
+import { laterPairingChanges } from '../logic/swiss.js';
+import { formatTables, tableNumber } from '../logic/sync.js';
+import { reportStatus } from '../logic/selfReport.js';
+import { getSyncStatus, subscribeSync, sendResult, isSyncClient } from '../state/sync.js';
 import { generateCSV, exportFilename } from '../logic/csv.js';
-import { pushResultsToGitHub, getStoredToken, setStoredToken } from '../logic/github.js';
+import { loadExportTargets, uploadToTarget } from '../logic/exportTargets.js';
+import { queueExport } from '../state/outbox.js';
 import useTimer from '../hooks/useTimer.js';
+import {
+  formatDuration, timeLeft, extensionMinutes, matchEndsAt, matchTimeLeft,
+} from '../logic/roundTimer.js';
+import { parseClock } from '../logic/timerAlerts.js';
 import TimerAlarmModal from '../components/TimerAlarmModal.js';
+import PrintSheetsModal from '../components/PrintSheetsModal.js';
+
+// In-app sounds for the timer alerts, by ALERT_SOUNDS id (logic/timerAlerts.js)
+const TIMER_SOUNDS = {
+  voice40: require('../../assets/sounds/40_min_left.mp3'),
+  voice20: require('../../assets/sounds/20_min_left.mp3'),
+  alarm:   require('../../assets/sounds/alarm.wav'),
+};
+
+// Why a judge gave a table extra time; recorded on the extension
+const EXTENSION_REASONS = ['Deck check', 'Judge call', 'Other'];
 
-const RESULT_OPTIONS = [
-  { label: '2-0', p1: 2, p2: 0, d: 0 },
-  { label: '2-1', p1: 2, p2: 1, d: 0 },
-  { label: '1-0', p1: 1, p2: 0, d: 0 },
-  { label: '1-1', p1: 1, p2: 1, d: 0 },
-  { label: '0-0', p1: 0, p2: 0, d: 0 },
-  { label: '0-1', p1: 0, p2: 1, d: 0 },
-  { label: '1-2', p1: 1, p2: 2, d: 0 },
-  { label: '0-2', p1: 0, p2: 2, d: 0 },
-];
+// Both players take a loss; only offered when the scoring preset allows it
+const DOUBLE_LOSS_OPTION = { label: 'DL', p1: 0, p2: 0, d: 0, doubleLoss: true };
 
 export default function PairingsScreen({ navigation }) {
   const [appState, setAppState] = useState(getState());
@@ -36,23 +55,47 @@ export default function PairingsScreen({ navigation }) {
   const [showPlayerMgmt, setShowPlayerMgmt] = useState(false);
   const [showTimerEdit, setShowTimerEdit] = useState(false);
   const [timerInput, setTimerInput] = useState('');
-  const [showTokenModal, setShowTokenModal] = useState(false);
-  const [tokenInput, setTokenInput] = useState('');
-  const [githubLoading, setGithubLoading] = useState(false);
-
-  const timer = useTimer({
-    sound40min: require('../../assets/sounds/40_min_left.mp3'),
-    sound20min: require('../../assets/sounds/20_min_left.mp3'),
-    alarmSound: require('../../assets/sounds/alarm.wav'),
-  });
+  const [extendMatchId, setExtendMatchId] = useState(null);
+  const [showPrint, setShowPrint] = useState(false);
+  const [exportTargets, setExportTargets] = useState(null); // { targets, defaultId }
+  const [exportTargetId, setExportTargetId] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [sync, setSync] = useState(getSyncStatus());
+
+  const timer = useTimer({ sounds: TIMER_SOUNDS });
 
   useEffect(() => {
     const unsub = subscribe(s => setAppState(s));
     return unsub;
   }, []);
 
+  useEffect(() => subscribeSync(setSync), []);
+
+  // Export targets are edited on the Settings tab; reload them whenever this screen is shown
+  useEffect(() => {
+    const reload = () => loadExportTargets().then(setExportTargets).catch(() => {});
+    reload();
+    return navigation.addListener('focus', reload);
+  }, [navigation]);
+
+  useEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <View style={styles.headerBtns}>
+          <Pressable style={styles.headerBtn} onPress={() => navigation.navigate('Display')}>
+            <Text style={styles.headerBtnText}>Display</Text>
+          </Pressable>
+          <Pressable style={styles.headerBtn} onPress={() => navigation.navigate('MatchLog')}>
+            <Text style={styles.headerBtnText}>Log</Text>
+          </Pressable>
+        </View>
+      ),
+    });
+  }, [navigation]);
+
   const { tournament, players } = appState;
   const playerMap = Object.fromEntries(players.map(p => [p.id, p.name]));
+  const scoring = tournament?.scoring ?? DEFAULT_SCORING;
 
   const toggleRound = (num) => setExpandedRounds(prev => {
     const next = new Set(prev);
@@ -60,21 +103,11 @@ export default function PairingsScreen({ navigation }) {
     return next;
   });
 
+  // Restarts the round's clock at the typed length, keeping its preset's alerts
   const handleTimerEditSave = () => {
-    const val = timerInput.trim();
-    let ms;
-    if (val.includes(':')) {
-      const [m, s] = val.split(':').map(n => parseInt(n, 10));
-      if (isNaN(m) || isNaN(s)) return;
-      ms = (m * 60 + s) * 1000;
-    } else {
-      const min = parseInt(val, 10);
-      if (isNaN(min) || min < 1) return;
-      ms = min * 60 * 1000;
-    }
-    if (ms < 1000) return;
-    timer.setDuration(ms);
-    if (timer.isRunning) timer.start();
+    const ms = parseClock(timerInput);
+    if (ms === null || ms < 1000) return;
+    timer.start(ms);
     setShowTimerEdit(false);
   };
 
@@ -87,15 +120,30 @@ export default function PairingsScreen({ navigation }) {
         <Pressable style={[styles.primaryBtn, { marginTop: 16 }]} onPress={() => navigation.navigate('TournamentSetup')}>
           <Text style={styles.primaryBtnText}>Create Tournament</Text>
         </Pressable>
-        <TimerAlarmModal visible={timer.showAlarm} onDismiss={timer.dismissAlarm} />
+        <UndoBar />
+        <TimerAlarmModal visible={timer.showAlarm} title={timer.alarmLabel} onDismiss={timer.dismissAlarm} />
       </View>
     );
   }
 
+  // ── Sync client (results for assigned tables only) ───────────────────────
+
+  if (sync?.role === 'client') {
+    return (
+      <ClientTables
+        tournament={tournament}
+        sync={sync}
+        playerMap={playerMap}
+        scoring={scoring}
+        onOpenSync={() => navigation.navigate('Sync')}
+      />
+    );
+  }
+
   // ── Tournament complete ───────────────────────────────────────────────────
 
   if (tournament.status === 'complete') {
-    const standings = computeStandings(tournament.activePlayers, tournament.rounds);
+    const standings = computeStandings(standingsPlayerIds(tournament), tournament.rounds, standingsOptions(tournament));
 
     const handleExportCSV = async () => {
       try {
@@ -109,74 +157,100 @@ export default function PairingsScreen({ navigation }) {
       }
     };
 
-    const handleUploadGitHub = async (tokenOverride) => {
-      const token = tokenOverride ?? await getStoredToken();
-      if (!token) {
-        setShowTokenModal(true);
+    const targets = exportTargets?.targets ?? [];
+    const uploadTarget = targets.find(t => t.id === exportTargetId)
+      ?? targets.find(t => t.id === exportTargets?.defaultId)
+      ?? targets[0];
+
+    const handleUpload = async () => {
+      if (!uploadTarget) {
+        Alert.alert('No Export Target', 'Add an export target in Settings first.', [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Open Settings', onPress: () => navigation.navigate('Settings') },
+        ]);
         return;
       }
-      setGithubLoading(true);
-      const csv = generateCSV(tournament, players, tournament.dateStr);
       const filename = exportFilename(tournament.dateStr);
-      const result = await pushResultsToGitHub(filename, csv, token);
-      setGithubLoading(false);
+      let csv, result;
+      setUploading(true);
+      try {
+        csv = generateCSV(tournament, players, tournament.dateStr);
+        result = await uploadToTarget(uploadTarget, filename, csv);
+      } catch (e) {
+        Alert.alert('Upload Failed', e.message);
+        return;
+      } finally {
+        setUploading(false);
+      }
       if (result.ok) {
         Alert.alert('Uploaded', result.message);
+      } else if (result.retryable) {
+        queueExport(uploadTarget, filename, csv, result.message);
+        Alert.alert('Upload Queued', `${result.message} It will be retried automatically; see History for its status.`);
+      } else if (result.authFailed) {
+        Alert.alert('Upload Failed', result.message, [
+          { text: 'OK', style: 'cancel' },
+          { text: 'Open Settings', onPress: () => navigation.navigate('Settings') },
+        ]);
       } else {
         Alert.alert('Upload Failed', result.message);
-        if (result.message.includes('token') || result.message.includes('Invalid')) {
-          setShowTokenModal(true);
-        }
       }
     };
 
-    const handleTokenSave = async () => {
-      const t = tokenInput.trim();
-      if (!t) return;
-      await setStoredToken(t);
-      setShowTokenModal(false);
-      setTokenInput('');
-      handleUploadGitHub(t);
-    };
-
     return (
       <ScrollView style={styles.container} contentContainerStyle={styles.scrollContent}>
+        <UndoBar />
         <Text style={styles.bigTitle}>Tournament Complete!</Text>
+        {tournament.playoff && (
+          <PlayoffBracket tournament={tournament} playerMap={playerMap} />
+        )}
         {standings.map((s, idx) => (
           <View key={s.playerId} style={[styles.finalRow, idx === 0 && styles.championRow]}>
             <Text style={[styles.finalRank, idx === 0 && styles.championText]}>{idx + 1}.</Text>
             <Text style={[styles.finalName, idx === 0 && styles.championText]} numberOfLines={1}>
               {playerMap[s.playerId] ?? s.playerId}
+              {dropLabel(tournament, s.playerId) && (
+                <Text style={styles.dropTag}> {dropLabel(tournament, s.playerId)}</Text>
+              )}
             </Text>
             <Text style={[styles.finalScore, idx === 0 && styles.championText]} numberOfLines={1}>
               {s.matchPoints}p {s.matchWins}-{s.matchLosses}-{s.matchDraws}
             </Text>
             <Text style={[styles.finalTb, idx === 0 && styles.championTbText]} numberOfLines={1}>
-              {fmtPct(s.omwPct)}/{fmtPct(s.gwPct)}/{fmtPct(s.ogwPct)}
+              {standingsOptions(tournament).tiebreakers.map(id => formatTiebreaker(id, s.tiebreakers[id])).join('/')}
             </Text>
           </View>
         ))}
         <Pressable style={[styles.primaryBtn, { marginTop: 20 }]} onPress={handleExportCSV}>
           <Text style={styles.primaryBtnText}>Download CSV ({tournament.dateStr})</Text>
         </Pressable>
+        {targets.length > 1 && (
+          <View style={styles.targetRow}>
+            {targets.map(t => (
+              <Pressable
+                key={t.id}
+                style={[styles.formatBtn, t.id === uploadTarget?.id && styles.formatBtnActive]}
+                onPress={() => setExportTargetId(t.id)}
+              >
+                <Text style={[styles.formatBtnText, t.id === uploadTarget?.id && styles.formatBtnTextActive]}>{t.name}</Text>
+              </Pressable>
+            ))}
+          </View>
+        )}
         <Pressable
-          style={[styles.secondaryBtn, { marginTop: 8 }, githubLoading && styles.disabledBtn]}
-          onPress={() => !githubLoading && handleUploadGitHub()}
+          style={[styles.secondaryBtn, { marginTop: 8 }, uploading && styles.disabledBtn]}
+          onPress={() => !uploading && handleUpload()}
         >
-          <Text style={styles.secondaryBtnText}>{githubLoading ? 'Uploading…' : 'Upload to GitHub'}</Text>
+          <Text style={styles.secondaryBtnText}>
+            {uploading ? 'Uploading…' : uploadTarget ? `Upload to ${uploadTarget.name}` : 'Upload results'}
+          </Text>
         </Pressable>
         <RoundHistory
           rounds={tournament.rounds}
           playerMap={playerMap}
           expandedRounds={expandedRounds}
           onToggle={toggleRound}
-        />
-        <TokenInputModal
-          visible={showTokenModal}
-          value={tokenInput}
-          onChangeText={setTokenInput}
-          onSave={handleTokenSave}
-          onCancel={() => { setShowTokenModal(false); setTokenInput(''); }}
+          tournament={tournament}
         />
       </ScrollView>
     );
@@ -185,12 +259,25 @@ export default function PairingsScreen({ navigation }) {
   const completedRounds = tournament.rounds.filter(r => r.status === 'complete');
   const activeRound = tournament.rounds.find(r => r.status === 'active');
 
+  // ── Reopened round (correction) ───────────────────────────────────────────
+
+  const reopenedRound = getReopenedRound();
+  if (reopenedRound) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.scrollContent}>
+        <UndoBar />
+        <ReopenedRound tournament={tournament} round={reopenedRound} playerMap={playerMap} />
+      </ScrollView>
+    );
+  }
+
   // ── Seating (no rounds yet) ───────────────────────────────────────────────
 
   if (!activeRound && completedRounds.length === 0) {
     const seating = tournament.seatingOrder ?? [...tournament.activePlayers];
     return (
       <View style={styles.container}>
+        <UndoBar />
         <Text style={styles.sectionHeader}>Seating — Round 1</Text>
         <Text style={styles.mutedCenter}>{tournament.activePlayers.length} players</Text>
         <FlatList
@@ -211,7 +298,7 @@ export default function PairingsScreen({ navigation }) {
             <Text style={styles.primaryBtnText}>Start Round 1</Text>
           </Pressable>
         </View>
-        <TimerAlarmModal visible={timer.showAlarm} onDismiss={timer.dismissAlarm} />
+        <TimerAlarmModal visible={timer.showAlarm} title={timer.alarmLabel} onDismiss={timer.dismissAlarm} />
       </View>
     );
   }
@@ -219,8 +306,9 @@ export default function PairingsScreen({ navigation }) {
   // ── Active round ──────────────────────────────────────────────────────────
 
   if (activeRound) {
+    const isPlayoff = activeRound.phase === 'playoff';
     const pendingMatches = activeRound.matches.filter(m => !m.isBye && !m.result);
-    const canSwap = pendingMatches.length >= 2;
+    const canSwap = !isPlayoff && pendingMatches.length >= 2;
     const allDone = activeRound.matches.every(m => m.isBye || m.result !== null);
 
     const swapStillValid = swapSourceId &&
@@ -229,24 +317,68 @@ export default function PairingsScreen({ navigation }) {
     const effectiveByeReassign = byeReassignMode && pendingMatches.length > 0;
 
     const _standings = completedRounds.length > 0
-      ? computeStandings(tournament.activePlayers, completedRounds)
+      ? computeStandings(standingsPlayerIds(tournament), completedRounds, standingsOptions(tournament))
       : [];
     const pointsMap = Object.fromEntries(_standings.map(s => [s.playerId, s.matchPoints]));
-    const ptsLabel = id => completedRounds.length > 0 ? ` (${pointsMap[id] ?? 0})` : '';
+    const seedMap = Object.fromEntries((tournament.playoff?.seeds ?? []).map((id, i) => [id, i + 1]));
+    const ptsLabel = isPlayoff
+      ? id => ` (#${seedMap[id]})`
+      : id => completedRounds.length > 0 ? ` (${pointsMap[id] ?? 0})` : '';
 
     const timerColor = timer.isExpired ? '#dc2626' : timer.isWarning ? '#d97706' : '#fff';
+    const roundOf = !isPlayoff && tournament.plannedRounds ? ` of ${tournament.plannedRounds}` : '';
+    const bestOf = roundBestOf(tournament, activeRound);
+    // Self-report codes only exist while hosting; only this device knows them.
+    // Each player gets their own; hand them out, they are not on the board.
+    const codes = sync?.seatCodes ?? {};
+    const canChangeFormat = activeRound.matches.every(m => m.isBye || m.result === null);
+
+    // The timer stops itself once the round is no longer active
+    const handleCompleteRound = () => {
+      if (!completeCurrentRound()) return;
+      if (!isPlayoff && isLastSwissRoundDone()) {
+        Alert.alert('Last Round Complete', `All ${tournament.plannedRounds} planned rounds are done. Finish the tournament?`, [
+          { text: 'Not Yet', style: 'cancel' },
+          { text: 'Finish', onPress: finishTournament },
+        ]);
+      }
+    };
 
     return (
       <View style={styles.container}>
         {/* Timer header */}
         <View style={styles.timerRow}>
-          <Text style={styles.roundLabel}>Round {activeRound.roundNumber}</Text>
-          <Pressable onPress={() => { setTimerInput(''); setShowTimerEdit(true); }}>
-            <Text style={[styles.timerDisplay, { color: timerColor }]}>
-              {timer.isExpired ? 'TIME' : timer.display}
-            </Text>
-          </Pressable>
+          <Text style={styles.roundLabel}>{roundTitle(activeRound)}{roundOf} · Bo{bestOf}</Text>
+          <View style={styles.timerControls}>
+            {(timer.isRunning || timer.isPaused) && (
+              <Pressable style={styles.smallBtn} onPress={timer.isPaused ? timer.resume : timer.pause}>
+                <Text style={styles.smallBtnText}>{timer.isPaused ? 'Resume' : 'Pause'}</Text>
+              </Pressable>
+            )}
+            <Pressable onPress={() => { setTimerInput(''); setShowTimerEdit(true); }}>
+              <Text style={[styles.timerDisplay, { color: timerColor }, timer.isPaused && styles.timerPaused]}>
+                {timer.isExpired ? 'TIME' : timer.display}
+              </Text>
+            </Pressable>
+          </View>
         </View>
+        <UndoBar />
+
+        {/* Match format, changeable until the first result is in */}
+        {canChangeFormat && (
+          <View style={styles.formatRow}>
+            <Text style={styles.formatLabel}>Format</Text>
+            {MATCH_FORMATS.map(n => (
+              <Pressable
+                key={n}
+                style={[styles.formatBtn, n === bestOf && styles.formatBtnActive]}
+                onPress={() => setRoundFormat(n)}
+              >
+                <Text style={[styles.formatBtnText, n === bestOf && styles.formatBtnTextActive]}>Bo{n}</Text>
+              </Pressable>
+            ))}
+          </View>
+        )}
 
         {/* Swap banner */}
         {effectiveSwapId && (
@@ -278,8 +410,11 @@ export default function PairingsScreen({ navigation }) {
             <MatchCard
               match={match}
               tableNum={index + 1}
+              reportCodes={codes[match.id]}
               playerMap={playerMap}
               ptsLabel={ptsLabel}
+              scoring={scoring}
+              resultOptions={resultOptionsFor(activeRound, tournament)}
               swapSourceId={effectiveSwapId}
               byeReassignMode={effectiveByeReassign}
               canSwap={canSwap}
@@ -288,24 +423,32 @@ export default function PairingsScreen({ navigation }) {
               onByeTarget={id => { reassignBye(id); setByeReassignMode(false); }}
               onChangeBye={() => { setSwapSourceId(null); setByeReassignMode(true); }}
               onSubmitResult={(matchId, result) => submitResult(matchId, result)}
-              onEditResult={(matchId, result) => { submitResult(matchId, result); repairActiveRound(); }}
+              onEditResult={correctResult}
+              timer={activeRound.timer}
+              onExtend={setExtendMatchId}
             />
           )}
           ListFooterComponent={
             !effectiveSwapId && !effectiveByeReassign ? (
               <View style={styles.roundActions}>
                 {allDone ? (
-                  <Pressable style={styles.primaryBtn} onPress={() => { timer.stop(); completeCurrentRound(); }}>
-                    <Text style={styles.primaryBtnText}>Complete Round {activeRound.roundNumber}</Text>
+                  <Pressable style={styles.primaryBtn} onPress={handleCompleteRound}>
+                    <Text style={styles.primaryBtnText}>Complete {roundTitle(activeRound)}</Text>
                   </Pressable>
                 ) : (
                   <Text style={styles.mutedCenter}>Enter all results to continue.</Text>
                 )}
+                <Pressable style={styles.secondaryBtn} onPress={() => setShowPrint(true)}>
+                  <Text style={styles.secondaryBtnText}>Print Pairings, Slips or Standings…</Text>
+                </Pressable>
+                {isPlayoff && <PlayoffBracket tournament={tournament} playerMap={playerMap} />}
                 <RoundHistory
                   rounds={completedRounds}
                   playerMap={playerMap}
                   expandedRounds={expandedRounds}
                   onToggle={toggleRound}
+                  tournament={tournament}
+                  onReopen={reopenRound}
                 />
               </View>
             ) : null
@@ -319,7 +462,18 @@ export default function PairingsScreen({ navigation }) {
           onSave={handleTimerEditSave}
           onCancel={() => setShowTimerEdit(false)}
         />
-        <TimerAlarmModal visible={timer.showAlarm} onDismiss={timer.dismissAlarm} />
+        <ExtendModal
+          visible={!!extendMatchId}
+          onSave={(minutes, reason) => { extendMatch(extendMatchId, minutes, reason); setExtendMatchId(null); }}
+          onCancel={() => setExtendMatchId(null)}
+        />
+        <PrintSheetsModal
+          visible={showPrint}
+          tournament={tournament}
+          players={players}
+          onClose={() => setShowPrint(false)}
+        />
+        <TimerAlarmModal visible={timer.showAlarm} title={timer.alarmLabel} onDismiss={timer.dismissAlarm} />
       </View>
     );
   }
@@ -328,8 +482,25 @@ export default function PairingsScreen({ navigation }) {
 
   const lastRound = completedRounds[completedRounds.length - 1];
   const nextRoundNum = lastRound.roundNumber + 1;
-  const standings = computeStandings(tournament.activePlayers, completedRounds);
+  const standings = computeStandings(standingsPlayerIds(tournament), completedRounds, standingsOptions(tournament));
   const top3 = standings.slice(0, 3);
+  const swissRounds = completedRounds.filter(r => r.phase !== 'playoff');
+  const lastSwissRound = swissRounds[swissRounds.length - 1];
+
+  // Playoff progress: the next bracket round, or null once the final is done
+  const inPlayoff = !!tournament.playoff;
+  const nextPlayoffLabel = inPlayoff && lastRound.phase === 'playoff'
+    ? (lastRound.matches.length > 1 ? playoffRoundLabel(lastRound.matches.length / 2) : null)
+    : null;
+  const playoffSizes = PLAYOFF_SIZES.filter(n => n <= tournament.activePlayers.length);
+  const swissDone = !inPlayoff && isLastSwissRoundDone();
+
+  const handleStartPlayoff = size => {
+    Alert.alert('Start Top ' + size, `End Swiss and seed the top ${size} into a single-elimination bracket?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Start', onPress: () => { startPlayoff(size); timer.start(); } },
+    ]);
+  };
 
   const handleFinish = () => {
     Alert.alert('Finish Tournament', 'Finish the tournament now?', [
@@ -348,41 +519,84 @@ export default function PairingsScreen({ navigation }) {
 
   return (
     <ScrollView style={styles.container} contentContainerStyle={styles.scrollContent}>
+      <UndoBar />
       {/* Standings preview */}
-      <View style={styles.standingsCard}>
-        <Text style={styles.standingsCardTitle}>After Round {lastRound.roundNumber}</Text>
-        {top3.map((s, i) => (
-          <Text key={s.playerId} style={styles.standingsPreviewRow}>
-            {i + 1}. {playerMap[s.playerId] ?? s.playerId} — {s.matchPoints} pts ({s.matchWins}-{s.matchLosses}-{s.matchDraws})
+      {inPlayoff ? (
+        <PlayoffBracket tournament={tournament} playerMap={playerMap} />
+      ) : (
+        <View style={styles.standingsCard}>
+          <Text style={styles.standingsCardTitle}>
+            After Round {lastSwissRound.roundNumber}{tournament.plannedRounds ? ` of ${tournament.plannedRounds}` : ''}
           </Text>
-        ))}
-      </View>
+          {top3.map((s, i) => (
+            <Text key={s.playerId} style={styles.standingsPreviewRow}>
+              {i + 1}. {playerMap[s.playerId] ?? s.playerId}
+              {dropLabel(tournament, s.playerId) ? ` (${dropLabel(tournament, s.playerId)})` : ''} — {s.matchPoints} pts ({s.matchWins}-{s.matchLosses}-{s.matchDraws})
+            </Text>
+          ))}
+        </View>
+      )}
 
       {/* Round actions */}
       <View style={styles.betweenActions}>
-        <Pressable style={styles.primaryBtn} onPress={() => { pairNextRound(); timer.start(); }}>
-          <Text style={styles.primaryBtnText}>Pair Round {nextRoundNum}</Text>
-        </Pressable>
-        <Pressable style={styles.secondaryBtn} onPress={handleFinish}>
-          <Text style={styles.secondaryBtnText}>Finish Tournament</Text>
+        {swissDone && (
+          <Pressable style={styles.primaryBtn} onPress={handleFinish}>
+            <Text style={styles.primaryBtnText}>Finish Tournament</Text>
+          </Pressable>
+        )}
+        {!inPlayoff && (
+          <Pressable
+            style={swissDone ? styles.secondaryBtn : styles.primaryBtn}
+            onPress={() => { pairNextRound(); timer.start(); }}
+          >
+            <Text style={swissDone ? styles.secondaryBtnText : styles.primaryBtnText}>
+              {swissDone ? `Pair Extra Round ${nextRoundNum}` : `Pair Round ${nextRoundNum}`}
+            </Text>
+          </Pressable>
+        )}
+        {nextPlayoffLabel && (
+          <Pressable style={styles.primaryBtn} onPress={() => { pairNextRound(); timer.start(); }}>
+            <Text style={styles.primaryBtnText}>Pair {nextPlayoffLabel}</Text>
+          </Pressable>
+        )}
+        {!inPlayoff && playoffSizes.length > 0 && (
+          <View style={styles.playoffBtnRow}>
+            {playoffSizes.map(size => (
+              <Pressable key={size} style={[styles.secondaryBtn, styles.playoffBtn]} onPress={() => handleStartPlayoff(size)}>
+                <Text style={styles.secondaryBtnText}>Top {size}</Text>
+              </Pressable>
+            ))}
+          </View>
+        )}
+        {!swissDone && (
+          <Pressable style={styles.secondaryBtn} onPress={handleFinish}>
+            <Text style={styles.secondaryBtnText}>Finish Tournament</Text>
+          </Pressable>
+        )}
+        <Pressable style={styles.secondaryBtn} onPress={() => setShowPrint(true)}>
+          <Text style={styles.secondaryBtnText}>Print Standings…</Text>
         </Pressable>
       </View>
 
-      {/* Player management */}
-      <Pressable style={styles.collapsibleHeader} onPress={() => setShowPlayerMgmt(p => !p)}>
-        <Text style={styles.collapsibleTitle}>Player Management {showPlayerMgmt ? '▲' : '▼'}</Text>
-      </Pressable>
-      {showPlayerMgmt && (
-        <View style={styles.collapsibleContent}>
-          {tournament.activePlayers.map(id => (
-            <View key={id} style={styles.manageRow}>
-              <Text style={styles.managePlayerName}>{playerMap[id] ?? id}</Text>
-              <Pressable style={styles.dropBtn} onPress={() => handleDrop(id)}>
-                <Text style={styles.dropBtnText}>Drop</Text>
-              </Pressable>
+      {/* Player management (Swiss only — the bracket is fixed once seeded) */}
+      {!inPlayoff && (
+        <>
+          <Pressable style={styles.collapsibleHeader} onPress={() => setShowPlayerMgmt(p => !p)}>
+            <Text style={styles.collapsibleTitle}>Player Management {showPlayerMgmt ? '▲' : '▼'}</Text>
+          </Pressable>
+          {showPlayerMgmt && (
+            <View style={styles.collapsibleContent}>
+              {tournament.activePlayers.map(id => (
+                <View key={id} style={styles.manageRow}>
+                  <Text style={styles.managePlayerName}>{playerMap[id] ?? id}</Text>
+                  <Pressable style={styles.dropBtn} onPress={() => handleDrop(id)}>
+                    <Text style={styles.dropBtnText}>Drop</Text>
+                  </Pressable>
+                </View>
+              ))}
             </View>
-          ))}
-        </View>
+          )}
+        </>
       )}
 
       <RoundHistory
@@ -390,10 +604,17 @@ export default function PairingsScreen({ navigation }) {
         playerMap={playerMap}
         expandedRounds={expandedRounds}
         onToggle={toggleRound}
-        allowEdit
+        tournament={tournament}
+        onReopen={reopenRound}
       />
 
-      <TimerAlarmModal visible={timer.showAlarm} onDismiss={timer.dismissAlarm} />
+      <PrintSheetsModal
+        visible={showPrint}
+        tournament={tournament}
+        players={players}
+        onClose={() => setShowPrint(false)}
+      />
+      <TimerAlarmModal visible={timer.showAlarm} title={timer.alarmLabel} onDismiss={timer.dismissAlarm} />
     </ScrollView>
   );
 }
@@ -401,10 +622,10 @@ export default function PairingsScreen({ navigation }) {
 // ── MatchCard ─────────────────────────────────────────────────────────────────
 
 function MatchCard({
-  match, tableNum, playerMap, ptsLabel,
-  swapSourceId, byeReassignMode, canSwap,
+  match, tableNum, reportCodes, playerMap, ptsLabel, resultOptions,
+  scoring, swapSourceId, byeReassignMode, canSwap,
   onSelectSwapSource, onSwapTarget, onByeTarget, onChangeBye,
-  onSubmitResult, onEditResult,
+  onSubmitResult, onEditResult, timer, onExtend,
 }) {
   const [editingResult, setEditingResult] = useState(false);
 
@@ -417,7 +638,7 @@ function MatchCard({
         <Text style={styles.tableLabel}>BYE</Text>
         <View style={styles.byeRow}>
           <Text style={styles.byePlayer}>{name}</Text>
-          <Text style={styles.byeResult}>2-0 (auto)</Text>
+          <Text style={styles.byeResult}>{byeScore(match, scoring)} (auto)</Text>
           {canChange && (
             <Pressable style={styles.smallBtn} onPress={onChangeBye}>
               <Text style={styles.smallBtnText}>Change</Text>
@@ -428,20 +649,24 @@ function MatchCard({
     );
   }
 
-  const p1name = (playerMap[match.player1Id] ?? match.player1Id) + ptsLabel(match.player1Id);
-  const p2name = (playerMap[match.player2Id] ?? match.player2Id) + ptsLabel(match.player2Id);
+  const downMark = id => (match.pairedDownId === id ? ' ↓' : '');
+  const p1name = (playerMap[match.player1Id] ?? match.player1Id) + ptsLabel(match.player1Id) + downMark(match.player1Id);
+  const p2name = (playerMap[match.player2Id] ?? match.player2Id) + ptsLabel(match.player2Id) + downMark(match.player2Id);
+  const tableLabel = `Table ${tableNum}` + (match.pairedDownId ? ' · paired down' : '') +
+    (reportCodes && !match.result ? ` · codes ${reportCodes[1]} / ${reportCodes[2]}` : '');
   const isSource = match.player1Id === swapSourceId || match.player2Id === swapSourceId;
 
   // Done match
   if (match.result && !editingResult) {
-    const { player1Wins, player2Wins, draws } = match.result;
-    const scoreStr = draws > 0 ? `${player1Wins}-${player2Wins}-${draws}` : `${player1Wins}-${player2Wins}`;
+    const { player1Wins, player2Wins, draws, doubleLoss } = match.result;
+    const scoreStr = doubleLoss ? 'DL'
+      : draws > 0 ? `${player1Wins}-${player2Wins}-${draws}` : `${player1Wins}-${player2Wins}`;
     const winner = player1Wins > player2Wins ? p1name : player2Wins > player1Wins ? p2name : null;
     const isDraw = !winner;
     const canEdit = canCorrectResult(match.id);
     return (
       <View style={[styles.matchCard, styles.doneCard]}>
-        <Text style={styles.tableLabel}>Table {tableNum}</Text>
+        <Text style={[styles.tableLabel, match.pairedDownId && styles.floatLabel]}>{tableLabel}</Text>
         <View style={styles.matchPlayers}>
           <Text style={[styles.playerName, player1Wins > player2Wins && styles.winnerText, isDraw && styles.drawText]} numberOfLines={1}>{p1name}</Text>
           <Text style={styles.vs}>vs</Text>
@@ -450,7 +675,7 @@ function MatchCard({
         <View style={styles.resultRow}>
           <Text style={[styles.resultScore, isDraw ? styles.drawScore : styles.winScore]}>{scoreStr}</Text>
           {winner && <Text style={styles.resultWinner}>{winner} wins</Text>}
-          {!winner && <Text style={styles.resultDraw}>Draw</Text>}
+          {!winner && <Text style={styles.resultDraw}>{doubleLoss ? 'Double loss' : 'Draw'}</Text>}
           {canEdit && (
             <Pressable style={styles.smallBtn} onPress={() => setEditingResult(true)}>
               <Text style={styles.smallBtnText}>Edit</Text>
@@ -465,7 +690,7 @@ function MatchCard({
   if (swapSourceId && isSource) {
     return (
       <View style={[styles.matchCard, styles.swapSourceCard]}>
-        <Text style={styles.tableLabel}>Table {tableNum}</Text>
+        <Text style={[styles.tableLabel, match.pairedDownId && styles.floatLabel]}>{tableLabel}</Text>
         <View style={styles.matchPlayers}>
           <Text style={[styles.playerName, match.player1Id === swapSourceId && styles.swapSelected]} numberOfLines={1}>{p1name}</Text>
           <Text style={styles.vs}>vs</Text>
@@ -480,7 +705,7 @@ function MatchCard({
   if (swapSourceId && !isSource) {
     return (
       <View style={[styles.matchCard, styles.swapTargetCard]}>
-        <Text style={styles.tableLabel}>Table {tableNum}</Text>
+        <Text style={[styles.tableLabel, match.pairedDownId && styles.floatLabel]}>{tableLabel}</Text>
         <View style={styles.matchPlayers}>
           <Pressable onPress={() => onSwapTarget(match.player1Id)}>
             <Text style={[styles.playerName, styles.swapTargetText]} numberOfLines={1}>{p1name}</Text>
@@ -498,7 +723,7 @@ function MatchCard({
   if (byeReassignMode) {
     return (
       <View style={[styles.matchCard, styles.swapTargetCard]}>
-        <Text style={styles.tableLabel}>Table {tableNum}</Text>
+        <Text style={[styles.tableLabel, match.pairedDownId && styles.floatLabel]}>{tableLabel}</Text>
         <View style={styles.matchPlayers}>
           <Pressable onPress={() => onByeTarget(match.player1Id)}>
             <Text style={[styles.playerName, styles.swapTargetText]} numberOfLines={1}>{p1name}</Text>
@@ -514,7 +739,7 @@ function MatchCard({
 
   // Normal pending match (or editing result)
   const handleResult = (opt) => {
-    const result = { player1Wins: opt.p1, player2Wins: opt.p2, draws: opt.d };
+    const result = optionResult(opt);
     if (editingResult) {
       onEditResult(match.id, result);
       setEditingResult(false);
@@ -523,9 +748,29 @@ function MatchCard({
     }
   };
 
+  // Extra time: the table's own end, highlighted once the round clock is up
+  const extraMin = extensionMinutes(match);
+  const tableLeft = matchTimeLeft(timer, match);
+  const inExtraTime = extraMin > 0 && tableLeft !== null && timeLeft(timer) <= 0;
+  const reasons = [...new Set((match.extensions ?? []).map(e => e.reason).filter(Boolean))];
+
   return (
-    <View style={[styles.matchCard, styles.pendingCard]}>
-      <Text style={styles.tableLabel}>Table {tableNum}</Text>
+    <View style={[styles.matchCard, styles.pendingCard, inExtraTime && styles.extraTimeCard]}>
+      <View style={styles.tableRow}>
+        <Text style={[styles.tableLabel, match.pairedDownId && styles.floatLabel]}>{tableLabel}</Text>
+        {onExtend && !editingResult && (
+          <Pressable onPress={() => onExtend(match.id)}>
+            <Text style={styles.extendBtnText}>+ Time</Text>
+          </Pressable>
+        )}
+      </View>
+      {extraMin > 0 && (
+        <Text style={[styles.extraTime, inExtraTime && styles.extraTimeActive]}>
+          +{extraMin} min{reasons.length > 0 ? ` (${reasons.join(', ')})` : ''}
+          {tableLeft !== null && ` · ends ${clockTime(matchEndsAt(timer, match))}`}
+          {inExtraTime && (tableLeft > 0 ? ` · ${minSec(tableLeft)} left` : ' · time up')}
+        </Text>
+      )}
       <View style={styles.matchPlayers}>
         <View style={styles.playerSwapWrap}>
           <Text style={styles.playerName} numberOfLines={1}>{p1name}</Text>
@@ -546,7 +791,7 @@ function MatchCard({
         </View>
       </View>
       <View style={styles.resultBtns}>
-        {RESULT_OPTIONS.map(opt => {
+        {resultOptions.map(opt => {
           const isDraw = opt.p1 === opt.p2;
           return (
             <Pressable key={opt.label} style={[styles.resultBtn, isDraw ? styles.drawResultBtn : styles.winResultBtn]} onPress={() => handleResult(opt)}>
@@ -555,6 +800,7 @@ function MatchCard({
           );
         })}
       </View>
+      <SelfReportLine match={match} playerMap={playerMap} />
       {editingResult && (
         <Pressable onPress={() => setEditingResult(false)}>
           <Text style={styles.cancelEditText}>Cancel edit</Text>
@@ -564,10 +810,166 @@ function MatchCard({
   );
 }
 
+// Progress of player self-reports on a pending match
+function SelfReportLine({ match, playerMap }) {
+  const status = reportStatus(match);
+  if (status === 'none' || status === 'agreed') return null;
+  const score = r => (r.doubleLoss ? 'DL' : `${r.player1Wins}-${r.player2Wins}`);
+  const { player1, player2 } = match.reports;
+  const text = status === 'disputed'
+    ? `Players disagree: ${score(player1.result)} vs ${score(player2.result)} — enter the result`
+    : `${playerMap[player1 ? match.player1Id : match.player2Id] ?? '?'} reported ` +
+      `${score((player1 ?? player2).result)}, waiting for opponent`;
+  return <Text style={[styles.selfReport, status === 'disputed' && styles.selfReportDisputed]}>{text}</Text>;
+}
+
+// ── UndoBar ───────────────────────────────────────────────────────────────────
+
+// Re-rendered with the screen on every store change, so the labels stay current.
+// Hidden while joined to a host: undoing here would fork this device's copy.
+function UndoBar() {
+  if (isSyncClient()) return null;
+  const undoText = undoLabel();
+  const redoText = redoLabel();
+  if (!undoText && !redoText) return null;
+
+  return (
+    <View style={styles.undoBar}>
+      {undoText ? (
+        <Pressable style={styles.undoBtn} onPress={undo}>
+          <Text style={styles.undoText} numberOfLines={1}>↶ Undo: {undoText}</Text>
+        </Pressable>
+      ) : <View style={styles.undoBtn} />}
+      {redoText && (
+        <Pressable onPress={redo}>
+          <Text style={styles.redoText} numberOfLines={1}>Redo: {redoText} ↷</Text>
+        </Pressable>
+      )}
+    </View>
+  );
+}
+
+// ── ClientTables ──────────────────────────────────────────────────────────────
+
+// What a scorekeeper device shows while synced to a host: its assigned tables of
+// the active round. Results go to the host, which decides whether to accept them.
+function ClientTables({ tournament, sync, playerMap, scoring, onOpenSync }) {
+  const activeRound = tournament.rounds.find(r => r.status === 'active');
+  const matches = activeRound
+    ? activeRound.matches.filter(m => !m.isBye && sync.tables.includes(tableNumber(activeRound, m.id)))
+    : [];
+  const status = (sync.connected ? 'Connected' : 'Reconnecting…') +
+    (sync.tables.length > 0 ? ` · Tables ${formatTables(sync.tables)}` : '');
+
+  return (
+    <View style={styles.container}>
+      <Pressable style={styles.banner} onPress={onOpenSync}>
+        <Text style={styles.bannerText}>{status}</Text>
+        <Text style={styles.bannerCancel}>Sync</Text>
+      </Pressable>
+      {sync.notices[0] && <Text style={styles.syncNotice}>{sync.notices[0]}</Text>}
+      {!activeRound ? (
+        <Text style={styles.mutedCenter}>Waiting for the host to start the next round.</Text>
+      ) : matches.length === 0 ? (
+        <Text style={styles.mutedCenter}>No tables assigned to this device yet.</Text>
+      ) : (
+        <FlatList
+          data={matches}
+          keyExtractor={m => m.id}
+          renderItem={({ item: match }) => (
+            <View>
+              {sync.pendingMatchIds.includes(match.id) && (
+                <Text style={styles.syncPending}>Sending to host…</Text>
+              )}
+              <MatchCard
+                match={match}
+                tableNum={tableNumber(activeRound, match.id)}
+                playerMap={playerMap}
+                ptsLabel={() => ''}
+                scoring={scoring}
+                resultOptions={resultOptionsFor(activeRound, tournament)}
+                canSwap={false}
+                onSubmitResult={sendResult}
+                onEditResult={sendResult}
+                timer={activeRound.timer}
+              />
+            </View>
+          )}
+        />
+      )}
+    </View>
+  );
+}
+
+// ── ReopenedRound ─────────────────────────────────────────────────────────────
+
+// Corrects a completed round, and shows how later rounds would be paired now
+function ReopenedRound({ tournament, round, playerMap }) {
+  const scoring = tournament.scoring ?? DEFAULT_SCORING;
+  const later = laterPairingChanges(tournament.rounds, round.roundNumber, standingsOptions(tournament));
+  const canRegenerate = later.some(r => !r.played && r.changes.length > 0);
+  const name = id => (id ? playerMap[id] ?? id : 'BYE');
+
+  return (
+    <>
+      <Text style={styles.bigTitle}>Correcting {roundTitle(round)}</Text>
+      <View style={styles.historyMatches}>
+        {round.matches.map(match => (
+          <HistoryMatchRow
+            key={match.id}
+            match={match}
+            playerMap={playerMap}
+            allowEdit
+            scoring={scoring}
+            resultOptions={resultOptionsFor(round, tournament)}
+          />
+        ))}
+      </View>
+
+      {later.length > 0 && (
+        <View style={styles.standingsCard}>
+          <Text style={styles.standingsCardTitle}>Later pairings</Text>
+          {later.map(r => (
+            <View key={r.roundNumber}>
+              <Text style={styles.historyRoundTitle}>
+                Round {r.roundNumber}{r.played ? ' (played)' : ' (not played yet)'}
+              </Text>
+              {r.changes.length === 0 ? (
+                <Text style={styles.standingsPreviewRow}>No changes</Text>
+              ) : r.changes.map(c => (
+                <Text key={c.playerId} style={styles.standingsPreviewRow}>
+                  {name(c.playerId)}: {name(c.actualOpponentId)} → {name(c.pairedOpponentId)}
+                </Text>
+              ))}
+            </View>
+          ))}
+        </View>
+      )}
+
+      <View style={styles.betweenActions}>
+        {canRegenerate && (
+          <Pressable style={styles.primaryBtn} onPress={() => closeReopenedRound({ regenerate: true })}>
+            <Text style={styles.primaryBtnText}>Regenerate Unplayed Round</Text>
+          </Pressable>
+        )}
+        <Pressable
+          style={canRegenerate ? styles.secondaryBtn : styles.primaryBtn}
+          onPress={() => closeReopenedRound()}
+        >
+          <Text style={canRegenerate ? styles.secondaryBtnText : styles.primaryBtnText}>
+            {later.length > 0 ? 'Keep Later Rounds' : 'Done'}
+          </Text>
+        </Pressable>
+      </View>
+    </>
+  );
+}
+
 // ── RoundHistory ──────────────────────────────────────────────────────────────
 
-function RoundHistory({ rounds, playerMap, expandedRounds, onToggle, allowEdit = false }) {
+function RoundHistory({ rounds, playerMap, expandedRounds, onToggle, tournament, onReopen }) {
   if (rounds.length === 0) return null;
+  const scoring = tournament.scoring ?? DEFAULT_SCORING;
 
   return (
     <View style={styles.historySection}>
@@ -576,8 +978,15 @@ function RoundHistory({ rounds, playerMap, expandedRounds, onToggle, allowEdit =
         <View key={round.roundNumber}>
           <Pressable style={styles.historyRoundHeader} onPress={() => onToggle(round.roundNumber)}>
             <Text style={styles.historyRoundTitle}>
-              Round {round.roundNumber} {expandedRounds.has(round.roundNumber) ? '▲' : '▼'}
+              {roundTitle(round)}
+              {round.actualDurationMs != null && ` · ${formatDuration(round.actualDurationMs)}`}
+              {' '}{expandedRounds.has(round.roundNumber) ? '▲' : '▼'}
             </Text>
+            {onReopen && round.phase !== 'playoff' && (
+              <Pressable style={styles.smallBtn} onPress={() => onReopen(round.roundNumber)}>
+                <Text style={styles.smallBtnText}>Reopen</Text>
+              </Pressable>
+            )}
           </Pressable>
           {expandedRounds.has(round.roundNumber) && (
             <View style={styles.historyMatches}>
@@ -586,7 +995,8 @@ function RoundHistory({ rounds, playerMap, expandedRounds, onToggle, allowEdit =
                   key={match.id}
                   match={match}
                   playerMap={playerMap}
-                  allowEdit={allowEdit}
+                  scoring={scoring}
+                  resultOptions={resultOptionsFor(round, tournament)}
                 />
               ))}
             </View>
@@ -597,14 +1007,14 @@ function RoundHistory({ rounds, playerMap, expandedRounds, onToggle, allowEdit =
   );
 }
 
-function HistoryMatchRow({ match, playerMap, allowEdit }) {
+function HistoryMatchRow({ match, playerMap, allowEdit, scoring, resultOptions }) {
   const [editing, setEditing] = useState(false);
 
   if (match.isBye) {
     return (
       <View style={styles.historyMatch}>
         <Text style={styles.historyP1}>{playerMap[match.player1Id] ?? match.player1Id}</Text>
-        <Text style={styles.historyScore}>BYE 2-0</Text>
+        <Text style={styles.historyScore}>BYE {byeScore(match, scoring)}</Text>
         <Text style={styles.historyP2} />
       </View>
     );
@@ -623,23 +1033,23 @@ function HistoryMatchRow({ match, playerMap, allowEdit }) {
     );
   }
 
-  const { player1Wins, player2Wins, draws } = match.result;
-  const score = draws > 0 ? `${player1Wins}-${player2Wins}-${draws}` : `${player1Wins}-${player2Wins}`;
+  const { player1Wins, player2Wins, draws, doubleLoss } = match.result;
+  const score = doubleLoss ? 'DL'
+    : draws > 0 ? `${player1Wins}-${player2Wins}-${draws}` : `${player1Wins}-${player2Wins}`;
 
   if (editing) {
     return (
       <View style={styles.historyEditRow}>
         <Text style={styles.historyEditLabel}>{p1} vs {p2}</Text>
         <View style={styles.resultBtns}>
-          {RESULT_OPTIONS.map(opt => {
+          {resultOptions.map(opt => {
             const isDraw = opt.p1 === opt.p2;
             return (
               <Pressable
                 key={opt.label}
                 style={[styles.resultBtn, isDraw ? styles.drawResultBtn : styles.winResultBtn]}
                 onPress={() => {
-                  submitResult(match.id, { player1Wins: opt.p1, player2Wins: opt.p2, draws: opt.d });
-                  repairActiveRound();
+                  submitResult(match.id, optionResult(opt));
                   setEditing(false);
                 }}
               >
@@ -669,6 +1079,55 @@ function HistoryMatchRow({ match, playerMap, allowEdit }) {
   );
 }
 
+// ── PlayoffBracket ────────────────────────────────────────────────────────────
+
+function PlayoffBracket({ tournament, playerMap }) {
+  const { size, seeds } = tournament.playoff;
+  const seedMap = Object.fromEntries(seeds.map((id, i) => [id, i + 1]));
+  const playoffRounds = tournament.rounds.filter(r => r.phase === 'playoff');
+
+  // One column per bracket stage; stages not yet paired show TBD slots
+  const columns = [];
+  for (let matchCount = size / 2, i = 0; matchCount >= 1; matchCount /= 2, i++) {
+    const round = playoffRounds[i];
+    columns.push({
+      label: playoffRoundLabel(matchCount),
+      matches: round ? round.matches : Array.from({ length: matchCount }, () => null),
+    });
+  }
+
+  const slot = (id, isWinner, wins) => (
+    <View style={styles.bracketSlot}>
+      <Text style={[styles.bracketName, isWinner && styles.winnerText]} numberOfLines={1}>
+        {id ? `${seedMap[id]}. ${playerMap[id] ?? id}` : 'TBD'}
+      </Text>
+      {wins != null && <Text style={styles.bracketWins}>{wins}</Text>}
+    </View>
+  );
+
+  return (
+    <View style={styles.bracketSection}>
+      <Text style={styles.historySectionTitle}>Top {size} Bracket</Text>
+      <ScrollView horizontal contentContainerStyle={styles.bracketColumns}>
+        {columns.map(col => (
+          <View key={col.label} style={styles.bracketColumn}>
+            <Text style={styles.bracketColumnTitle}>{col.label}</Text>
+            {col.matches.map((match, i) => {
+              const winner = match ? matchWinner(match) : null;
+              return (
+                <View key={match?.id ?? i} style={styles.bracketMatch}>
+                  {slot(match?.player1Id, winner && winner === match.player1Id, match?.result?.player1Wins)}
+                  {slot(match?.player2Id, winner && winner === match.player2Id, match?.result?.player2Wins)}
+                </View>
+              );
+            })}
+          </View>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
 // ── TimerEditModal ────────────────────────────────────────────────────────────
 
 function TimerEditModal({ visible, value, onChangeText, onSave, onCancel }) {
@@ -702,33 +1161,58 @@ function TimerEditModal({ visible, value, onChangeText, onSave, onCancel }) {
   );
 }
 
-// ── TokenInputModal ───────────────────────────────────────────────────────────
+// ── ExtendModal ───────────────────────────────────────────────────────────────
+
+function ExtendModal({ visible, onSave, onCancel }) {
+  const [minutes, setMinutes] = useState('');
+  const [reason, setReason] = useState(EXTENSION_REASONS[0]);
+
+  useEffect(() => {
+    if (visible) {
+      setMinutes('');
+      setReason(EXTENSION_REASONS[0]);
+    }
+  }, [visible]);
+
+  const handleSave = () => {
+    const min = parseInt(minutes, 10);
+    if (isNaN(min) || min < 1) return;
+    onSave(min, reason === 'Other' ? '' : reason);
+  };
 
-function TokenInputModal({ visible, value, onChangeText, onSave, onCancel }) {
   return (
     <Modal visible={visible} transparent animationType="fade">
       <View style={styles.modalOverlay}>
         <View style={styles.modalBox}>
-          <Text style={styles.modalTitle}>GitHub Token</Text>
-          <Text style={styles.modalHint}>Enter a GitHub PAT with repo write access. It will be saved for future uploads.</Text>
+          <Text style={styles.modalTitle}>Extra Time</Text>
+          <Text style={styles.modalHint}>Minutes added to this table only</Text>
           <TextInput
             style={styles.modalInput}
-            value={value}
-            onChangeText={onChangeText}
-            placeholder="ghp_..."
-            autoCapitalize="none"
-            autoCorrect={false}
-            secureTextEntry
+            value={minutes}
+            onChangeText={setMinutes}
+            placeholder="3"
+            keyboardType="number-pad"
             autoFocus
+            onSubmitEditing={handleSave}
             returnKeyType="done"
-            onSubmitEditing={onSave}
           />
+          <View style={styles.targetRow}>
+            {EXTENSION_REASONS.map(r => (
+              <Pressable
+                key={r}
+                style={[styles.formatBtn, r === reason && styles.formatBtnActive]}
+                onPress={() => setReason(r)}
+              >
+                <Text style={[styles.formatBtnText, r === reason && styles.formatBtnTextActive]}>{r}</Text>
+              </Pressable>
+            ))}
+          </View>
           <View style={styles.modalButtons}>
             <Pressable style={styles.modalCancel} onPress={onCancel}>
               <Text style={styles.modalCancelText}>Cancel</Text>
             </Pressable>
-            <Pressable style={styles.modalSave} onPress={onSave}>
-              <Text style={styles.modalSaveText}>Save & Upload</Text>
+            <Pressable style={styles.modalSave} onPress={handleSave}>
+              <Text style={styles.modalSaveText}>Add</Text>
             </Pressable>
           </View>
         </View>
@@ -737,13 +1221,57 @@ function TokenInputModal({ visible, value, onChangeText, onSave, onCancel }) {
   );
 }
 
-function fmtPct(val) {
-  return `${(val * 100).toFixed(0)}%`;
+function roundTitle(round) {
+  return round.label ?? `Round ${round.roundNumber}`;
+}
+
+/**
+ * Result buttons for a round, from its match format. Playoff matches need a
+ * winner, so no draws there; double loss only if the preset allows it.
+ */
+function resultOptionsFor(round, tournament) {
+  const options = resultOptions(roundBestOf(tournament, round));
+  if (round.phase === 'playoff') return options.filter(opt => opt.p1 !== opt.p2);
+  return tournament.scoring?.doubleLoss ? [...options, DOUBLE_LOSS_OPTION] : options;
+}
+
+/** Result object for a tapped result button. */
+function optionResult(opt) {
+  const result = { player1Wins: opt.p1, player2Wins: opt.p2, draws: opt.d };
+  return opt.doubleLoss ? { ...result, doubleLoss: true } : result;
+}
+
+/** Game score credited for a bye, e.g. "2-0" (older byes were always 2-0). */
+function byeScore(match, scoring) {
+  const { player1Wins, player2Wins } = match.result ?? scoring.bye;
+  return `${player1Wins}-${player2Wins}`;
+}
+
+// Wall-clock time, e.g. "14:32"
+function clockTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function minSec(ms) {
+  const sec = Math.ceil(ms / 1000);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
 }
 
 // ── Styles ────────────────────────────────────────────────────────────────────
 
 const styles = StyleSheet.create({
+  headerBtns: {
+    flexDirection: 'row',
+  },
+  headerBtn: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  headerBtnText: {
+    color: '#60a5fa',
+    fontSize: 15,
+    fontWeight: '600',
+  },
   container: { flex: 1, backgroundColor: '#000' },
   scrollContent: { padding: 12, gap: 10, paddingBottom: 40 },
   centered: { flex: 1, alignItems: 'center', justifyContent: 'center', padding: 20, backgroundColor: '#000' },
@@ -756,7 +1284,29 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1, borderBottomColor: '#333',
   },
   roundLabel: { fontSize: 17, fontWeight: '700', color: '#fff' },
+  timerControls: { flexDirection: 'row', alignItems: 'center', gap: 10 },
   timerDisplay: { fontSize: 22, fontWeight: '700', fontVariant: ['tabular-nums'] },
+  timerPaused: { opacity: 0.5 },
+  formatRow: {
+    flexDirection: 'row', alignItems: 'center', gap: 8,
+    backgroundColor: '#111', paddingHorizontal: 16, paddingVertical: 6,
+    borderBottomWidth: 1, borderBottomColor: '#333',
+  },
+  formatLabel: { fontSize: 13, color: '#888', marginRight: 4 },
+  formatBtn: { borderWidth: 1, borderColor: '#444', borderRadius: 5, paddingHorizontal: 10, paddingVertical: 3 },
+  formatBtnActive: { borderColor: '#2563eb', backgroundColor: '#1e3a8a' },
+  formatBtnText: { fontSize: 13, color: '#aaa', fontWeight: '600' },
+  formatBtnTextActive: { color: '#fff' },
+  targetRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+
+  // Undo
+  undoBar: {
+    flexDirection: 'row', alignItems: 'center', gap: 12,
+    paddingHorizontal: 14, paddingVertical: 6,
+  },
+  undoBtn: { flex: 1 },
+  undoText: { fontSize: 14, color: '#60a5fa', fontWeight: '600' },
+  redoText: { fontSize: 14, color: '#888' },
 
   // Banner
   banner: {
@@ -767,6 +1317,8 @@ const styles = StyleSheet.create({
   bannerText: { fontSize: 14, color: '#fbbf24', flex: 1 },
   bannerBold: { fontWeight: '700' },
   bannerCancel: { fontSize: 14, color: '#60a5fa', fontWeight: '600', paddingLeft: 12 },
+  syncNotice: { fontSize: 13, color: '#fca5a5', paddingHorizontal: 14, paddingTop: 8 },
+  syncPending: { fontSize: 12, color: '#fbbf24', marginHorizontal: 14, marginTop: 8 },
 
   // Match cards
   matchCard: {
@@ -780,6 +1332,12 @@ const styles = StyleSheet.create({
   swapTargetCard: { borderColor: '#a78bfa', backgroundColor: '#1e1040', borderWidth: 2 },
 
   tableLabel: { fontSize: 11, color: '#666', fontWeight: '600', textTransform: 'uppercase', marginBottom: 6 },
+  tableRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start' },
+  extendBtnText: { fontSize: 12, color: '#60a5fa', fontWeight: '600' },
+  extraTime: { fontSize: 12, color: '#aaa', marginBottom: 6 },
+  extraTimeActive: { color: '#fbbf24', fontWeight: '600' },
+  extraTimeCard: { borderColor: '#d97706', backgroundColor: '#1f1400' },
+  floatLabel: { color: '#d97706' },
 
   matchPlayers: { flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 8 },
   playerName: { flex: 1, fontSize: 14, color: '#ddd' },
@@ -810,6 +1368,8 @@ const styles = StyleSheet.create({
   drawResultBtnText: { color: '#ddd', fontSize: 13, fontWeight: '600' },
 
   cancelEditText: { fontSize: 13, color: '#f87171', marginTop: 6, textAlign: 'center' },
+  selfReport: { fontSize: 12, color: '#fbbf24', marginTop: 6, textAlign: 'center' },
+  selfReportDisputed: { color: '#f87171', fontWeight: '600' },
 
   smallBtn: { borderWidth: 1, borderColor: '#555', borderRadius: 5, paddingHorizontal: 8, paddingVertical: 4 },
   smallBtnText: { fontSize: 12, color: '#aaa' },
@@ -850,6 +1410,23 @@ const styles = StyleSheet.create({
   standingsCardTitle: { fontSize: 13, fontWeight: '600', color: '#888', textTransform: 'uppercase' },
   standingsPreviewRow: { fontSize: 14, color: '#ddd' },
   betweenActions: { gap: 10 },
+  playoffBtnRow: { flexDirection: 'row', gap: 8 },
+  playoffBtn: { flex: 1 },
+
+  // Playoff bracket
+  bracketSection: { marginTop: 8 },
+  bracketColumns: { gap: 10 },
+  bracketColumn: { width: 150, gap: 8, justifyContent: 'space-around' },
+  bracketColumnTitle: { fontSize: 12, fontWeight: '700', color: '#888', textAlign: 'center' },
+  bracketMatch: {
+    backgroundColor: '#111', borderRadius: 6, borderWidth: 1, borderColor: '#333', overflow: 'hidden',
+  },
+  bracketSlot: {
+    flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between',
+    paddingHorizontal: 8, paddingVertical: 6, borderBottomWidth: 1, borderBottomColor: '#222',
+  },
+  bracketName: { flex: 1, fontSize: 13, color: '#ddd' },
+  bracketWins: { fontSize: 13, fontWeight: '700', color: '#fff', marginLeft: 6 },
 
   // Collapsible
   collapsibleHeader: {
@@ -880,6 +1457,7 @@ const styles = StyleSheet.create({
   championRow: { backgroundColor: '#2d1f00' },
   finalRank: { width: 26, fontSize: 13, color: '#666' },
   finalName: { width: 100, fontSize: 14, color: '#eee' },
+  dropTag: { fontSize: 10, color: '#f87171', fontWeight: '700' },
   finalScore: { width: 100, fontSize: 12, color: '#ddd', textAlign: 'right' },
   finalTb: { flex: 1, fontSize: 12, color: '#888', textAlign: 'right' },
   championText: { color: '#fbbf24', fontWeight: '700' },
@@ -889,6 +1467,7 @@ const styles = StyleSheet.create({
   historySection: { marginTop: 16 },
   historySectionTitle: { fontSize: 14, fontWeight: '600', color: '#888', marginBottom: 6, textTransform: 'uppercase' },
   historyRoundHeader: {
+    flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center',
     backgroundColor: '#1a1a1a', padding: 10, borderRadius: 6, marginBottom: 2,
   },
   historyRoundTitle: { fontSize: 14, fontWeight: '600', color: '#ccc' },
@@ -0,0 +1,458 @@
+import { useState, useEffect } from 'react';
+import {
+  View, Text, Pressable, ScrollView, Alert, StyleSheet,
+} from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import {
+  getState, restoreState, migrateState, loadQuarantine, clearQuarantine,
+} from '../state/store.js';
+import { makeBackup, backupFilename, readBackup, describeBackup } from '../logic/backup.js';
+import {
+  EXPORT_TARGET_TYPES, loadExportTargets, saveExportTargets, newExportTarget, describeTarget,
+} from '../logic/exportTargets.js';
+import {
+  loadTimerAlerts, saveTimerAlerts, newPreset, presetFor, describePreset,
+} from '../logic/timerAlerts.js';
+import { MATCH_FORMATS } from '../logic/format.js';
+import ExportTargetModal from '../components/ExportTargetModal.js';
+import TimerPresetModal from '../components/TimerPresetModal.js';
+
+export default function SettingsScreen() {
+  const [data, setData] = useState(null); // { targets, defaultId }
+  const [editing, setEditing] = useState(null);
+  const [quarantine, setQuarantine] = useState(null);
+  const [timerAlerts, setTimerAlerts] = useState(null); // { presets, byFormat }
+  const [editingPreset, setEditingPreset] = useState(null);
+
+  useEffect(() => {
+    loadExportTargets().then(setData);
+    loadTimerAlerts().then(setTimerAlerts);
+    loadQuarantine().then(setQuarantine);
+  }, []);
+
+  const update = next => {
+    setData(next);
+    saveExportTargets(next).catch(e => Alert.alert('Save Failed', e.message));
+  };
+
+  const handleSave = target => {
+    const exists = data.targets.some(t => t.id === target.id);
+    update({
+      targets: exists ? data.targets.map(t => (t.id === target.id ? target : t)) : [...data.targets, target],
+      defaultId: data.defaultId ?? target.id,
+    });
+    setEditing(null);
+  };
+
+  const handleDelete = target => {
+    Alert.alert('Delete Target', `Delete "${target.name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => {
+          const targets = data.targets.filter(t => t.id !== target.id);
+          const defaultId = data.defaultId === target.id ? (targets[0]?.id ?? null) : data.defaultId;
+          update({ targets, defaultId });
+        },
+      },
+    ]);
+  };
+
+  const updateTimerAlerts = next => {
+    setTimerAlerts(next);
+    saveTimerAlerts(next).catch(e => Alert.alert('Save Failed', e.message));
+  };
+
+  const handleSavePreset = preset => {
+    const { presets } = timerAlerts;
+    const exists = presets.some(p => p.id === preset.id);
+    updateTimerAlerts({
+      ...timerAlerts,
+      presets: exists ? presets.map(p => (p.id === preset.id ? preset : p)) : [...presets, preset],
+    });
+    setEditingPreset(null);
+  };
+
+  const handleDeletePreset = preset => {
+    Alert.alert('Delete Preset', `Delete "${preset.name}"? Formats using it switch to the first preset.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => updateTimerAlerts({
+          presets: timerAlerts.presets.filter(p => p.id !== preset.id),
+          byFormat: Object.fromEntries(Object.entries(timerAlerts.byFormat).filter(([, id]) => id !== preset.id)),
+        }),
+      },
+    ]);
+  };
+
+  const handleBackup = async () => {
+    try {
+      const path = FileSystem.cacheDirectory + backupFilename();
+      await FileSystem.writeAsStringAsync(path, makeBackup(getState()), { encoding: 'utf8' });
+      await Sharing.shareAsync(path, { mimeType: 'application/json', dialogTitle: 'Save Backup' });
+    } catch (e) {
+      Alert.alert('Backup Failed', e.message);
+    }
+  };
+
+  const handleRestore = async () => {
+    let backup;
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/plain', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (picked.canceled) return;
+      backup = readBackup(await FileSystem.readAsStringAsync(picked.assets[0].uri, { encoding: 'utf8' }));
+    } catch (e) {
+      Alert.alert('Restore Failed', e.message);
+      return;
+    }
+    if (!backup.ok) {
+      Alert.alert('Restore Failed', backup.message);
+      return;
+    }
+    const migrated = migrateState(backup.state);
+    if (!migrated.ok) {
+      Alert.alert('Restore Failed', migrated.reason);
+      return;
+    }
+
+    const made = backup.exportedAt ? ` from ${new Date(backup.exportedAt).toLocaleString()}` : '';
+    Alert.alert(
+      'Restore Backup',
+      `Backup${made}: ${describeBackup(migrated.state)}.\n\n` +
+        'Merge adds what is missing here and keeps everything on this device. ' +
+        'Replace discards this device\'s data.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Merge',
+          onPress: () => {
+            const { added, skipped } = restoreState(backup.state, { merge: true });
+            Alert.alert(
+              'Backup Merged',
+              `Added ${added.players} players, ${added.tournaments} tournaments and ${added.leagues} leagues.` +
+                (skipped
+                  ? `\n\nThe backup's unfinished tournament from ${skipped.dateStr} was not added, because ` +
+                    'this device already has a current tournament. Use Replace to restore it.'
+                  : '')
+            );
+          },
+        },
+        { text: 'Replace', style: 'destructive', onPress: () => confirmReplace(backup.state) },
+      ]
+    );
+  };
+
+  const handleSaveQuarantine = async () => {
+    try {
+      const path = FileSystem.cacheDirectory + 'unreadable_state.json';
+      await FileSystem.writeAsStringAsync(path, quarantine.raw, { encoding: 'utf8' });
+      await Sharing.shareAsync(path, { mimeType: 'application/json', dialogTitle: 'Save Unreadable Data' });
+    } catch (e) {
+      Alert.alert('Save Failed', e.message);
+    }
+  };
+
+  const handleDiscardQuarantine = () => {
+    Alert.alert('Discard Unreadable Data', 'Delete the data that could not be loaded? This cannot be undone.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Discard',
+        style: 'destructive',
+        onPress: () => clearQuarantine().then(() => setQuarantine(null)),
+      },
+    ]);
+  };
+
+  const confirmReplace = (backupState) => {
+    Alert.alert('Replace All Data', 'Replace all players, tournaments and leagues with the backup? This cannot be undone.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Replace', style: 'destructive', onPress: () => restoreState(backupState) },
+    ]);
+  };
+
+  if (!data || !timerAlerts) return <View style={styles.container} />;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionHeader}>Results Export</Text>
+      <Text style={styles.hint}>Where finished tournaments are uploaded. The default is preselected on export.</Text>
+
+      {data.targets.length === 0 && <Text style={styles.emptyState}>No export targets.</Text>}
+      {data.targets.map(t => (
+        <View key={t.id} style={styles.card}>
+          <Pressable style={styles.cardMain} onPress={() => update({ ...data, defaultId: t.id })}>
+            <View style={[styles.radio, data.defaultId === t.id && styles.radioOn]} />
+            <View style={{ flex: 1 }}>
+              <Text style={styles.targetName}>{t.name}</Text>
+              <Text style={styles.targetDesc} numberOfLines={1}>
+                {EXPORT_TARGET_TYPES[t.type]?.label} · {describeTarget(t)}
+              </Text>
+            </View>
+          </Pressable>
+          <View style={styles.cardActions}>
+            <Pressable onPress={() => setEditing(t)}>
+              <Text style={styles.linkText}>Edit</Text>
+            </Pressable>
+            <Pressable onPress={() => handleDelete(t)}>
+              <Text style={styles.deleteText}>Delete</Text>
+            </Pressable>
+          </View>
+        </View>
+      ))}
+
+      <Text style={styles.subHeader}>Add target</Text>
+      <View style={styles.addRow}>
+        {Object.entries(EXPORT_TARGET_TYPES).map(([type, def]) => (
+          <Pressable key={type} style={styles.addBtn} onPress={() => setEditing(newExportTarget(type))}>
+            <Text style={styles.addBtnText}>+ {def.label}</Text>
+          </Pressable>
+        ))}
+      </View>
+
+      <Text style={[styles.sectionHeader, styles.sectionGap]}>Round Timer</Text>
+      <Text style={styles.hint}>
+        Round length and alerts. Each round's clock starts with the preset of its match format.
+      </Text>
+
+      {timerAlerts.presets.map(p => (
+        <View key={p.id} style={styles.card}>
+          <View>
+            <Text style={styles.targetName}>{p.name}</Text>
+            <Text style={styles.targetDesc} numberOfLines={1}>{describePreset(p)}</Text>
+          </View>
+          <View style={styles.cardActions}>
+            <Pressable onPress={() => setEditingPreset(p)}>
+              <Text style={styles.linkText}>Edit</Text>
+            </Pressable>
+            <Pressable onPress={() => setEditingPreset(newPreset(p))}>
+              <Text style={styles.linkText}>Copy</Text>
+            </Pressable>
+            {timerAlerts.presets.length > 1 && (
+              <Pressable onPress={() => handleDeletePreset(p)}>
+                <Text style={styles.deleteText}>Delete</Text>
+              </Pressable>
+            )}
+          </View>
+        </View>
+      ))}
+
+      {timerAlerts.presets.length > 1 && MATCH_FORMATS.map(n => (
+        <View key={n} style={styles.formatRow}>
+          <Text style={styles.formatLabel}>Bo{n}</Text>
+          {timerAlerts.presets.map(p => {
+            const on = presetFor(timerAlerts, n).id === p.id;
+            return (
+              <Pressable
+                key={p.id}
+                style={[styles.chip, on && styles.chipOn]}
+                onPress={() => updateTimerAlerts({ ...timerAlerts, byFormat: { ...timerAlerts.byFormat, [n]: p.id } })}
+              >
+                <Text style={[styles.chipText, on && styles.chipTextOn]}>{p.name}</Text>
+              </Pressable>
+            );
+          })}
+        </View>
+      ))}
+
+      <View style={styles.addRow}>
+        <Pressable style={styles.addBtn} onPress={() => setEditingPreset(newPreset())}>
+          <Text style={styles.addBtnText}>+ New preset</Text>
+        </Pressable>
+      </View>
+
+      <Text style={[styles.sectionHeader, styles.sectionGap]}>Backup</Text>
+      <Text style={styles.hint}>
+        Save all players, tournaments, history and leagues to a file, or restore them on a new device.
+      </Text>
+      <View style={styles.addRow}>
+        <Pressable style={styles.addBtn} onPress={handleBackup}>
+          <Text style={styles.addBtnText}>Export backup</Text>
+        </Pressable>
+        <Pressable style={styles.addBtn} onPress={handleRestore}>
+          <Text style={styles.addBtnText}>Restore from file…</Text>
+        </Pressable>
+      </View>
+
+      {quarantine && (
+        <View style={styles.quarantine}>
+          <Text style={styles.quarantineTitle}>Unreadable data set aside</Text>
+          <Text style={styles.hint}>
+            {new Date(quarantine.quarantinedAt).toLocaleString()} · {quarantine.reason}
+          </Text>
+          <View style={styles.cardActions}>
+            <Pressable onPress={handleSaveQuarantine}>
+              <Text style={styles.linkText}>Save to file</Text>
+            </Pressable>
+            <Pressable onPress={handleDiscardQuarantine}>
+              <Text style={styles.deleteText}>Discard</Text>
+            </Pressable>
+          </View>
+        </View>
+      )}
+
+      <ExportTargetModal
+        visible={!!editing}
+        value={editing}
+        onSave={handleSave}
+        onCancel={() => setEditing(null)}
+      />
+      <TimerPresetModal
+        visible={!!editingPreset}
+        value={editingPreset}
+        onSave={handleSavePreset}
+        onCancel={() => setEditingPreset(null)}
+      />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  content: {
+    padding: 16,
+    gap: 10,
+  },
+  sectionHeader: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#888',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  sectionGap: {
+    marginTop: 24,
+  },
+  subHeader: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#888',
+    marginTop: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+  },
+  emptyState: {
+    color: '#888',
+    fontSize: 15,
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  card: {
+    backgroundColor: '#111',
+    borderRadius: 10,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: '#333',
+    gap: 8,
+  },
+  cardMain: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  radio: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#555',
+  },
+  radioOn: {
+    borderColor: '#2563eb',
+    backgroundColor: '#2563eb',
+  },
+  targetName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#eee',
+  },
+  targetDesc: {
+    fontSize: 12,
+    color: '#888',
+  },
+  cardActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 18,
+  },
+  linkText: {
+    color: '#60a5fa',
+    fontSize: 14,
+  },
+  deleteText: {
+    color: '#f87171',
+    fontSize: 14,
+  },
+  quarantine: {
+    backgroundColor: '#1a1400',
+    borderRadius: 10,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: '#78450a',
+    gap: 6,
+  },
+  quarantineTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fbbf24',
+  },
+  formatRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  formatLabel: {
+    width: 36,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#888',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 14,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  chipOn: {
+    borderColor: '#2563eb',
+    backgroundColor: '#1e3a8a',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#aaa',
+  },
+  chipTextOn: {
+    color: '#fff',
+  },
+  addRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  addBtn: {
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  addBtnText: {
+    color: '#60a5fa',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
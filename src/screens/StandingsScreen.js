@@ -1,7 +1,9 @@
 import { useState, useEffect } from 'react';
 import { View, Text, ScrollView, StyleSheet } from 'react-native';
 import { getState, subscribe } from '../state/store.js';
-import { computeStandings } from '../logic/standings.js';
+import {
+  computeStandings, standingsOptions, standingsPlayerIds, formatTiebreaker, dropLabel, TIEBREAKERS,
+} from '../logic/standings.js';
 
 export default function StandingsScreen() {
   const [appState, setAppState] = useState(getState());
@@ -30,7 +32,10 @@ export default function StandingsScreen() {
   }
 
   const playerMap = Object.fromEntries(players.map(p => [p.id, p.name]));
-  const standings = computeStandings(tournament.activePlayers, tournament.rounds);
+  const options = standingsOptions(tournament);
+  const { tiebreakers, scoring } = options;
+  const standings = computeStandings(standingsPlayerIds(tournament), tournament.rounds, options);
+  const floorPct = Math.round(scoring.minMatchWinPct * 100);
   const completedCount = tournament.rounds.filter(r => r.status === 'complete').length;
 
   return (
@@ -45,9 +50,9 @@ export default function StandingsScreen() {
             <Text style={[styles.cell, styles.nameCell, styles.headerText]}>Player</Text>
             <Text style={[styles.cell, styles.ptsCell, styles.headerText]}>Pts</Text>
             <Text style={[styles.cell, styles.recordCell, styles.headerText]}>Record</Text>
-            <Text style={[styles.cell, styles.pctCell, styles.headerText]}>OMW%</Text>
-            <Text style={[styles.cell, styles.pctCell, styles.headerText]}>GW%</Text>
-            <Text style={[styles.cell, styles.pctCell, styles.headerText]}>OGW%</Text>
+            {tiebreakers.map(id => (
+              <Text key={id} style={[styles.cell, styles.pctCell, styles.headerText]}>{TIEBREAKERS[id].short}</Text>
+            ))}
           </View>
 
           {/* Data rows */}
@@ -63,6 +68,9 @@ export default function StandingsScreen() {
                     {playerMap[s.playerId] ?? s.playerId}
                   </Text>
                   {s.hasBye && <Text style={styles.byeBadge}>BYE</Text>}
+                  {dropLabel(tournament, s.playerId) && (
+                    <Text style={styles.dropBadge}>{dropLabel(tournament, s.playerId)}</Text>
+                  )}
                 </View>
                 <Text style={[styles.cell, styles.ptsCell, styles.boldText, idx === 0 && styles.firstText]}>
                   {s.matchPoints}
@@ -70,24 +78,23 @@ export default function StandingsScreen() {
                 <Text style={[styles.cell, styles.recordCell]}>
                   {s.matchWins}-{s.matchLosses}-{s.matchDraws}
                 </Text>
-                <Text style={[styles.cell, styles.pctCell]}>{fmtPct(s.omwPct)}</Text>
-                <Text style={[styles.cell, styles.pctCell]}>{fmtPct(s.gwPct)}</Text>
-                <Text style={[styles.cell, styles.pctCell]}>{fmtPct(s.ogwPct)}</Text>
+                {tiebreakers.map(id => (
+                  <Text key={id} style={[styles.cell, styles.pctCell]}>{formatTiebreaker(id, s.tiebreakers[id])}</Text>
+                ))}
               </View>
             ))}
           </ScrollView>
         </View>
       </ScrollView>
 
-      <Text style={styles.note}>Tiebreakers: OMW% → GW% → OGW% (33% floor)</Text>
+      <Text style={styles.note}>
+        Tiebreakers: {tiebreakers.map(id => TIEBREAKERS[id].short).join(' → ')}
+        {floorPct > 0 && tiebreakers.some(id => TIEBREAKERS[id].pct) ? ` (${floorPct}% floor)` : ''}
+      </Text>
     </View>
   );
 }
 
-function fmtPct(val) {
-  return `${(val * 100).toFixed(0)}%`;
-}
-
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -184,6 +191,15 @@ const styles = StyleSheet.create({
     paddingVertical: 1,
     overflow: 'hidden',
   },
+  dropBadge: {
+    fontSize: 10,
+    color: '#fff',
+    backgroundColor: '#991b1b',
+    borderRadius: 4,
+    paddingHorizontal: 4,
+    paddingVertical: 1,
+    overflow: 'hidden',
+  },
   note: {
     fontSize: 11,
     color: '#666',
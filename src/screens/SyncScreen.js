@@ -0,0 +1,304 @@
+import { useState, useEffect } from 'react';
+import {
+  View, Text, Pressable, TextInput, ScrollView, Alert, StyleSheet,
+} from 'react-native';
+import { getState } from '../state/store.js';
+import {
+  getSyncStatus, subscribeSync, startHosting, joinSession, leaveSession,
+  assignTables, clearNotices,
+} from '../state/sync.js';
+import { parseTables, formatTables } from '../logic/sync.js';
+
+// Host or join a multi-device session through the local relay (npm run relay).
+export default function SyncScreen({ navigation }) {
+  const [sync, setSync] = useState(getSyncStatus());
+  const [relayUrl, setRelayUrl] = useState(sync?.relayUrl ?? '');
+  const [code, setCode] = useState('');
+  const [name, setName] = useState('');
+  const [tableDrafts, setTableDrafts] = useState({});
+
+  useEffect(() => subscribeSync(setSync), []);
+
+  const handleHost = () => {
+    if (!relayUrl.trim()) return;
+    if (!getState().tournament) {
+      Alert.alert('No Tournament', 'Create a tournament before hosting.');
+      return;
+    }
+    startHosting(relayUrl);
+  };
+
+  const handleJoin = () => {
+    if (!relayUrl.trim() || !code.trim()) return;
+    const join = () => {
+      joinSession(relayUrl, code, name);
+      navigation.navigate('Pairings');
+    };
+    const { tournament, players } = getState();
+    if (!tournament && players.length === 0) return join();
+    const warning = (tournament ? "This device's tournament will be replaced by the host's. " : '') +
+      "The host's players will be added to this device's player list, and players it shares " +
+      "with the host will take the host's names.";
+    Alert.alert('Join Session', warning, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Join', style: 'destructive', onPress: join },
+    ]);
+  };
+
+  const handleLeave = () => {
+    const what = sync.role === 'host' ? 'Stop hosting? Clients will stop receiving updates.' : 'Leave the session?';
+    Alert.alert(sync.role === 'host' ? 'Stop Hosting' : 'Leave Session', what, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: sync.role === 'host' ? 'Stop' : 'Leave', style: 'destructive', onPress: leaveSession },
+    ]);
+  };
+
+  const saveTables = clientId => {
+    const text = tableDrafts[clientId];
+    if (text === undefined) return;
+    assignTables(clientId, parseTables(text));
+    setTableDrafts(prev => ({ ...prev, [clientId]: undefined }));
+  };
+
+  // --- Not syncing ---
+  if (!sync) {
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <Text style={styles.hint}>
+          Run the relay on a laptop on the same Wi-Fi (npm run relay), then enter its address on every device.
+        </Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Relay address, e.g. 192.168.1.20:8787"
+          placeholderTextColor="#666"
+          autoCapitalize="none"
+          autoCorrect={false}
+          value={relayUrl}
+          onChangeText={setRelayUrl}
+        />
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Host this tournament</Text>
+          <Text style={styles.hint}>Other devices enter results for the tables you assign them.</Text>
+          <Pressable style={[styles.primaryBtn, !relayUrl.trim() && styles.disabledBtn]} onPress={handleHost}>
+            <Text style={styles.primaryBtnText}>Start Hosting</Text>
+          </Pressable>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Join as scorekeeper</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Room code"
+            placeholderTextColor="#666"
+            autoCapitalize="characters"
+            autoCorrect={false}
+            maxLength={8}
+            value={code}
+            onChangeText={setCode}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="Your name"
+            placeholderTextColor="#666"
+            value={name}
+            onChangeText={setName}
+          />
+          <Pressable
+            style={[styles.primaryBtn, (!relayUrl.trim() || !code.trim()) && styles.disabledBtn]}
+            onPress={handleJoin}
+          >
+            <Text style={styles.primaryBtnText}>Join</Text>
+          </Pressable>
+        </View>
+      </ScrollView>
+    );
+  }
+
+  // --- Hosting or joined ---
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>{sync.role === 'host' ? 'Hosting' : `Joined as ${sync.name}`}</Text>
+        <Text style={styles.code}>{sync.code}</Text>
+        <Text style={[styles.status, sync.connected ? styles.online : styles.offline]}>
+          {sync.connected ? 'Connected' : 'Connecting…'} · {sync.relayUrl}
+        </Text>
+        {sync.role === 'host' && (
+          <Text style={styles.hint} selectable>
+            Players report results at {sync.reportUrl} with their own code from the Pairings screen
+            (player 1 / player 2 on each table).
+          </Text>
+        )}
+        {sync.role === 'client' && (
+          <Text style={styles.hint}>
+            {sync.tables.length > 0
+              ? `Your tables: ${formatTables(sync.tables)}`
+              : 'Waiting for the host to assign tables.'}
+          </Text>
+        )}
+      </View>
+
+      {sync.role === 'host' && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Devices</Text>
+          {sync.clients.length === 0 && (
+            <Text style={styles.hint}>No devices yet. Share the room code above.</Text>
+          )}
+          {sync.clients.map(c => (
+            <View key={c.id} style={styles.deviceRow}>
+              <Text style={styles.deviceName} numberOfLines={1}>{c.name}</Text>
+              <TextInput
+                style={styles.tablesInput}
+                placeholder="Tables, e.g. 1-4"
+                placeholderTextColor="#666"
+                keyboardType="numbers-and-punctuation"
+                value={tableDrafts[c.id] ?? formatTables(c.tables)}
+                onChangeText={text => setTableDrafts(prev => ({ ...prev, [c.id]: text }))}
+                onSubmitEditing={() => saveTables(c.id)}
+                onBlur={() => saveTables(c.id)}
+              />
+            </View>
+          ))}
+        </View>
+      )}
+
+      {sync.notices.length > 0 && (
+        <View style={styles.card}>
+          <View style={styles.noticeHeader}>
+            <Text style={styles.cardTitle}>Notices</Text>
+            <Pressable onPress={clearNotices}>
+              <Text style={styles.linkText}>Clear</Text>
+            </Pressable>
+          </View>
+          {sync.notices.map((n, i) => (
+            <Text key={i} style={styles.notice}>{n}</Text>
+          ))}
+        </View>
+      )}
+
+      <Pressable style={styles.primaryBtn} onPress={() => navigation.navigate('Pairings')}>
+        <Text style={styles.primaryBtnText}>Go to Rounds →</Text>
+      </Pressable>
+      <Pressable style={styles.dangerBtn} onPress={handleLeave}>
+        <Text style={styles.dangerBtnText}>{sync.role === 'host' ? 'Stop Hosting' : 'Leave Session'}</Text>
+      </Pressable>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  content: {
+    padding: 16,
+    gap: 12,
+  },
+  card: {
+    backgroundColor: '#111',
+    borderRadius: 10,
+    padding: 16,
+    gap: 10,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#888',
+  },
+  input: {
+    backgroundColor: '#1a1a1a',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: '#fff',
+    fontSize: 15,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  code: {
+    fontSize: 36,
+    fontWeight: '800',
+    color: '#fff',
+    letterSpacing: 6,
+    textAlign: 'center',
+  },
+  status: {
+    fontSize: 13,
+    textAlign: 'center',
+  },
+  online: {
+    color: '#22c55e',
+  },
+  offline: {
+    color: '#d97706',
+  },
+  deviceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  deviceName: {
+    flex: 1,
+    fontSize: 14,
+    color: '#eee',
+  },
+  tablesInput: {
+    width: 130,
+    backgroundColor: '#1a1a1a',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    color: '#fff',
+    fontSize: 14,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  noticeHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  notice: {
+    fontSize: 13,
+    color: '#fca5a5',
+  },
+  linkText: {
+    color: '#60a5fa',
+    fontSize: 14,
+  },
+  primaryBtn: {
+    backgroundColor: '#2563eb',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  primaryBtnText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 16,
+  },
+  disabledBtn: {
+    backgroundColor: '#1e3a8a',
+    opacity: 0.6,
+  },
+  dangerBtn: {
+    borderWidth: 1,
+    borderColor: '#dc2626',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  dangerBtnText: {
+    color: '#dc2626',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+});
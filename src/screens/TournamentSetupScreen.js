@@ -6,12 +6,25 @@ import {
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { getState, subscribe } from '../state/store.js';
 import { createTournament, abandonTournament } from '../state/tournament.js';
+import { isSyncClient } from '../state/sync.js';
+import { recommendedRounds } from '../logic/swiss.js';
+import { DEFAULT_TIEBREAKERS, TIEBREAKERS, standingsOptions } from '../logic/standings.js';
+import TiebreakerPickerModal from '../components/TiebreakerPickerModal.js';
+import ScoringPresetModal, { scoringSummary } from '../components/ScoringPresetModal.js';
+import { DEFAULT_SCORING } from '../constants.js';
+import { MATCH_FORMATS, roundBestOf } from '../logic/format.js';
 
 export default function TournamentSetupScreen({ navigation }) {
   const [appState, setAppState] = useState(getState());
   const [selectedIds, setSelectedIds] = useState(new Set());
   const [date, setDate] = useState(new Date());
   const [showPicker, setShowPicker] = useState(false);
+  const [roundsOverride, setRoundsOverride] = useState(null); // null = follow recommendation
+  const [tiebreakers, setTiebreakers] = useState(DEFAULT_TIEBREAKERS);
+  const [showTiebreakers, setShowTiebreakers] = useState(false);
+  const [scoring, setScoring] = useState(DEFAULT_SCORING);
+  const [showScoring, setShowScoring] = useState(false);
+  const [bestOfOverride, setBestOfOverride] = useState(null); // null = follow scoring preset
 
   useEffect(() => {
     const unsub = subscribe(s => setAppState(s));
@@ -29,6 +42,10 @@ export default function TournamentSetupScreen({ navigation }) {
       .join(', ');
 
     const handleAbandon = () => {
+      if (isSyncClient()) {
+        Alert.alert('Joined to a Host', 'This device mirrors a host. Leave the sync session to change the tournament here.');
+        return;
+      }
       Alert.alert(
         'Abandon Tournament',
         'Abandon the current tournament? All data will be lost.',
@@ -48,17 +65,34 @@ export default function TournamentSetupScreen({ navigation }) {
           </View>
           <View style={styles.infoRow}>
             <Text style={styles.infoLabel}>Rounds complete</Text>
-            <Text style={styles.infoValue}>{completedCount}</Text>
+            <Text style={styles.infoValue}>
+              {tournament.plannedRounds ? `${completedCount} of ${tournament.plannedRounds}` : completedCount}
+            </Text>
           </View>
           <View style={styles.infoRow}>
             <Text style={styles.infoLabel}>Players</Text>
             <Text style={styles.infoValue}>{tournament.activePlayers.length}</Text>
           </View>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Tiebreakers</Text>
+            <Text style={styles.infoValue}>{chainLabel(standingsOptions(tournament).tiebreakers)}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Format</Text>
+            <Text style={styles.infoValue}>Best of {roundBestOf(tournament)}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Scoring</Text>
+            <Text style={styles.infoValue}>{scoringLabel(standingsOptions(tournament).scoring)}</Text>
+          </View>
         </View>
         <Text style={styles.playerNames}>{playerNames}</Text>
         <Pressable style={styles.primaryBtn} onPress={() => navigation.navigate('Pairings')}>
           <Text style={styles.primaryBtnText}>Go to Rounds →</Text>
         </Pressable>
+        <Pressable style={styles.secondaryBtn} onPress={() => navigation.navigate('Sync')}>
+          <Text style={styles.secondaryBtnText}>Multi-device Sync</Text>
+        </Pressable>
         <Pressable style={styles.dangerBtn} onPress={handleAbandon}>
           <Text style={styles.dangerBtnText}>Abandon Tournament</Text>
         </Pressable>
@@ -76,9 +110,18 @@ export default function TournamentSetupScreen({ navigation }) {
     });
   };
 
+  const recommended = recommendedRounds(selectedIds.size);
+  const plannedRounds = roundsOverride ?? recommended;
+  const changeRounds = delta => setRoundsOverride(Math.max(1, plannedRounds + delta));
+  const bestOf = bestOfOverride ?? scoring.bestOf;
+
   const handleStart = () => {
     if (selectedIds.size < 2) return;
-    createTournament([...selectedIds], formatDate(date));
+    if (isSyncClient()) {
+      Alert.alert('Joined to a Host', 'This device mirrors a host. Leave the sync session to change the tournament here.');
+      return;
+    }
+    createTournament([...selectedIds], formatDate(date), { plannedRounds, tiebreakers, scoring, bestOf });
     navigation.navigate('Pairings');
   };
 
@@ -131,6 +174,67 @@ export default function TournamentSetupScreen({ navigation }) {
           />
         )}
 
+        {/* Planned Swiss rounds */}
+        <View style={styles.dateRow}>
+          <Text style={styles.dateLabel}>Rounds</Text>
+          <Pressable style={styles.stepBtn} onPress={() => changeRounds(-1)}>
+            <Text style={styles.stepBtnText}>−</Text>
+          </Pressable>
+          <Text style={styles.stepValue}>{plannedRounds}</Text>
+          <Pressable style={styles.stepBtn} onPress={() => changeRounds(1)}>
+            <Text style={styles.stepBtnText}>+</Text>
+          </Pressable>
+          {roundsOverride !== null && roundsOverride !== recommended ? (
+            <Pressable onPress={() => setRoundsOverride(null)}>
+              <Text style={styles.roundsHint}>Reset to {recommended}</Text>
+            </Pressable>
+          ) : (
+            <Text style={styles.roundsHint}>Recommended</Text>
+          )}
+        </View>
+
+        {/* Tiebreaker chain */}
+        <View style={styles.dateRow}>
+          <Text style={styles.dateLabel}>Ties</Text>
+          <Pressable style={styles.dateBtn} onPress={() => setShowTiebreakers(true)}>
+            <Text style={styles.dateBtnText} numberOfLines={1}>{chainLabel(tiebreakers)}</Text>
+          </Pressable>
+        </View>
+        <TiebreakerPickerModal
+          visible={showTiebreakers}
+          value={tiebreakers}
+          onSave={chain => { setTiebreakers(chain); setShowTiebreakers(false); }}
+          onCancel={() => setShowTiebreakers(false)}
+        />
+
+        {/* Scoring preset */}
+        <View style={styles.dateRow}>
+          <Text style={styles.dateLabel}>Scoring</Text>
+          <Pressable style={styles.dateBtn} onPress={() => setShowScoring(true)}>
+            <Text style={styles.dateBtnText} numberOfLines={1}>{scoringLabel(scoring)}</Text>
+          </Pressable>
+        </View>
+        <ScoringPresetModal
+          visible={showScoring}
+          value={scoring}
+          onSave={preset => { setScoring(preset); setBestOfOverride(null); setShowScoring(false); }}
+          onCancel={() => setShowScoring(false)}
+        />
+
+        {/* Match format (finals can be changed per round on the Rounds screen) */}
+        <View style={styles.dateRow}>
+          <Text style={styles.dateLabel}>Format</Text>
+          {MATCH_FORMATS.map(n => (
+            <Pressable
+              key={n}
+              style={[styles.formatBtn, n === bestOf && styles.formatBtnActive]}
+              onPress={() => setBestOfOverride(n)}
+            >
+              <Text style={styles.stepBtnText}>Bo{n}</Text>
+            </Pressable>
+          ))}
+        </View>
+
         <Pressable
           style={[styles.primaryBtn, selectedIds.size < 2 && styles.disabledBtn]}
           onPress={handleStart}
@@ -138,11 +242,22 @@ export default function TournamentSetupScreen({ navigation }) {
         >
           <Text style={styles.primaryBtnText}>Start Tournament</Text>
         </Pressable>
+        <Pressable onPress={() => navigation.navigate('Sync')}>
+          <Text style={styles.linkText}>Join another device's tournament…</Text>
+        </Pressable>
       </View>
     </View>
   );
 }
 
+function chainLabel(chain) {
+  return chain.length > 0 ? chain.map(id => TIEBREAKERS[id].short).join(' → ') : 'Match points only';
+}
+
+function scoringLabel(scoring) {
+  return `${scoring.label} (${scoringSummary(scoring)})`;
+}
+
 function formatDate(d) {
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
@@ -225,7 +340,7 @@ const styles = StyleSheet.create({
   dateLabel: {
     fontSize: 15,
     color: '#aaa',
-    width: 40,
+    width: 60,
   },
   dateBtn: {
     flex: 1,
@@ -240,6 +355,45 @@ const styles = StyleSheet.create({
     fontSize: 15,
     color: '#eee',
   },
+  stepBtn: {
+    width: 36,
+    height: 36,
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1a1a1a',
+  },
+  stepBtnText: {
+    fontSize: 18,
+    color: '#eee',
+  },
+  stepValue: {
+    minWidth: 28,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#eee',
+    textAlign: 'center',
+  },
+  roundsHint: {
+    fontSize: 13,
+    color: '#888',
+  },
+  formatBtn: {
+    height: 36,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1a1a1a',
+  },
+  formatBtnActive: {
+    borderColor: '#2563eb',
+    backgroundColor: '#1e3a8a',
+  },
   primaryBtn: {
     backgroundColor: '#2563eb',
     borderRadius: 8,
@@ -255,6 +409,24 @@ const styles = StyleSheet.create({
     backgroundColor: '#1e3a8a',
     opacity: 0.6,
   },
+  secondaryBtn: {
+    borderWidth: 1,
+    borderColor: '#2563eb',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+  },
+  secondaryBtnText: {
+    color: '#60a5fa',
+    fontWeight: '600',
+    fontSize: 15,
+  },
+  linkText: {
+    color: '#60a5fa',
+    fontSize: 14,
+    textAlign: 'center',
+    paddingVertical: 4,
+  },
   dangerBtn: {
     borderWidth: 1,
     borderColor: '#dc2626',
@@ -0,0 +1,93 @@
+// Leagues — groups finished tournaments into a season.
+// Calls store.setState; never touches the DOM.
+//
+// What it does:
+//   1. Creates, renames and deletes leagues
+//   2. Adds and removes tournaments (by ID) from a league
+//   3. Updates league rules (best N of M events, participation points)
+
+import { getState, setState } from './store.js';
+import { DEFAULT_LEAGUE_RULES } from '../logic/league.js';
+import { uuid } from '../logic/id.js';
+
+// Queries
+
+/**
+ * Finished tournaments that can be added to a league: the current one if it is
+ * complete, then the archive (newest first).
+ * @returns {object[]}
+ */
+export function getFinishedTournaments() {
+  const { tournament, pastTournaments } = getState();
+  return [
+    ...(tournament?.status === 'complete' ? [tournament] : []),
+    ...(pastTournaments ?? []),
+  ];
+}
+
+// Mutations
+
+/**
+ * Create a new league.
+ * @param {string} name
+ * @returns {string|null} ID of the new league, or null if the name is blank.
+ */
+export function createLeague(name) {
+  const trimmed = name.trim();
+  if (!trimmed) return null;
+  const id = uuid();
+  setState(state => ({
+    ...state,
+    leagues: [
+      ...(state.leagues ?? []),
+      { id, name: trimmed, tournamentIds: [], rules: { ...DEFAULT_LEAGUE_RULES } },
+    ],
+  }));
+  return id;
+}
+
+/** Rename a league. */
+export function renameLeague(leagueId, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return;
+  _updateLeague(leagueId, league => ({ ...league, name: trimmed }));
+}
+
+/** Delete a league. Its tournaments stay in history. */
+export function deleteLeague(leagueId) {
+  setState(state => ({
+    ...state,
+    leagues: (state.leagues ?? []).filter(l => l.id !== leagueId),
+  }));
+}
+
+/**
+ * Include or exclude a tournament from a league's season.
+ * @param {string}  leagueId
+ * @param {string}  tournamentId
+ * @param {boolean} included
+ */
+export function setLeagueTournament(leagueId, tournamentId, included) {
+  _updateLeague(leagueId, league => {
+    const without = league.tournamentIds.filter(id => id !== tournamentId);
+    return { ...league, tournamentIds: included ? [...without, tournamentId] : without };
+  });
+}
+
+/**
+ * Change league rules. Only the given keys are updated.
+ * @param {string} leagueId
+ * @param {{ bestOf?: number|null, participationPoints?: number }} changes
+ */
+export function updateLeagueRules(leagueId, changes) {
+  _updateLeague(leagueId, league => ({ ...league, rules: { ...league.rules, ...changes } }));
+}
+
+// Internal helpers
+
+function _updateLeague(leagueId, fn) {
+  setState(state => ({
+    ...state,
+    leagues: (state.leagues ?? []).map(l => (l.id === leagueId ? fn(l) : l)),
+  }));
+}
@@ -0,0 +1,183 @@
+// Export outbox — uploads that failed for lack of a connection, retried later.
+// Kept under its own AsyncStorage key (like the export targets), not in the store.
+//
+// What it does:
+//   1. Queues an export (target, filename, CSV) when an upload hits a network error
+//   2. Retries queued uploads with increasing delays, and whenever the app returns
+//      to the foreground
+//   3. Marks uploads the target refused (e.g. a bad token) as failed until retried
+//      by hand, and lets the user retry or discard any entry
+
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { loadExportTargets, uploadToTarget } from '../logic/exportTargets.js';
+import { uuid } from '../logic/id.js';
+
+const OUTBOX_KEY = 'export_outbox';
+
+// Delay before each retry; the last one repeats
+const BACKOFF_MS = [30, 60, 120, 300, 600, 1800].map(s => s * 1000);
+
+let _entries = [];
+let _timer = null;
+let _flushing = false;
+const _subscribers = [];
+
+// Boot
+
+/** Load the outbox and start retrying (call once at boot). */
+export async function initOutbox() {
+  try {
+    const raw = await AsyncStorage.getItem(OUTBOX_KEY);
+    _entries = raw ? JSON.parse(raw) : [];
+  } catch {
+    _entries = [];
+  }
+  AppState.addEventListener('change', next => {
+    if (next === 'active') flushOutbox();
+  });
+  _notify();
+  flushOutbox();
+}
+
+// Queries
+
+/**
+ * Queued uploads, oldest first. Each entry:
+ *   id, targetId, targetName, filename, createdAt, attempts,
+ *   status ('pending' | 'failed'), nextAttemptAt (ISO, pending only), lastError
+ * @returns {object[]}
+ */
+export function getOutbox() {
+  return _entries;
+}
+
+/**
+ * Subscribe to outbox changes.
+ * @param {(entries: object[]) => void} fn
+ * @returns {() => void} Unsubscribe function.
+ */
+export function subscribeOutbox(fn) {
+  _subscribers.push(fn);
+  return () => {
+    const idx = _subscribers.indexOf(fn);
+    if (idx !== -1) _subscribers.splice(idx, 1);
+  };
+}
+
+// Mutations
+
+/**
+ * Queue an upload that could not be sent.
+ * @param {object} target   - Export target (see exportTargets.js).
+ * @param {string} filename
+ * @param {string} csv
+ * @param {string} [error]  - Why the first attempt failed.
+ */
+export function queueExport(target, filename, csv, error = null) {
+  // A newer export of the same file to the same target replaces the queued one
+  const rest = _entries.filter(e => !(e.targetId === target.id && e.filename === filename));
+  _entries = [...rest, {
+    id:            uuid(),
+    targetId:      target.id,
+    targetName:    target.name,
+    filename,
+    csv,
+    createdAt:     new Date().toISOString(),
+    attempts:      1,
+    status:        'pending',
+    nextAttemptAt: new Date(Date.now() + BACKOFF_MS[0]).toISOString(),
+    lastError:     error,
+  }];
+  _save();
+}
+
+/** Retry one entry now (also retries entries marked failed). */
+export function retryNow(entryId) {
+  _entries = _entries.map(e =>
+    e.id === entryId ? { ...e, status: 'pending', nextAttemptAt: new Date().toISOString() } : e
+  );
+  _save();
+  flushOutbox();
+}
+
+/** Drop an entry without uploading it. */
+export function discardExport(entryId) {
+  _entries = _entries.filter(e => e.id !== entryId);
+  _save();
+}
+
+/**
+ * Upload every pending entry that is due. Entries are sent one at a time,
+ * oldest first; a later call picks up anything that became due meanwhile.
+ */
+export async function flushOutbox() {
+  if (_flushing) return;
+  _flushing = true;
+  try {
+    const now = Date.now();
+    const due = _entries.filter(e => e.status === 'pending' && Date.parse(e.nextAttemptAt) <= now);
+    if (due.length === 0) return;
+    const targets = await loadExportTargets().then(data => data.targets, () => null);
+
+    for (const entry of due) {
+      let result;
+      try {
+        if (!targets) throw new Error('Could not read the export targets.');
+        const target = targets.find(t => t.id === entry.targetId);
+        result = target
+          ? await uploadToTarget(target, entry.filename, entry.csv)
+          : { ok: false, message: 'The export target was deleted.' };
+      } catch (e) {
+        // Unexpected errors back off like network errors instead of retrying at once
+        result = { ok: false, retryable: true, message: e.message };
+      }
+
+      if (result.ok) {
+        _entries = _entries.filter(e => e.id !== entry.id);
+      } else {
+        const attempts = entry.attempts + 1;
+        const delay = BACKOFF_MS[Math.min(attempts - 1, BACKOFF_MS.length - 1)];
+        _update(entry.id, {
+          attempts,
+          status:        result.retryable ? 'pending' : 'failed',
+          nextAttemptAt: result.retryable ? new Date(Date.now() + delay).toISOString() : null,
+          lastError:     result.message,
+        });
+      }
+      _save();
+    }
+  } finally {
+    _flushing = false;
+    _schedule();
+  }
+}
+
+// Internal helpers
+
+function _update(entryId, changes) {
+  _entries = _entries.map(e => (e.id === entryId ? { ...e, ...changes } : e));
+}
+
+/** Persist (fire-and-forget), notify, and re-arm the retry timer. */
+function _save() {
+  AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(_entries)).catch(e => {
+    console.error('[outbox] Failed to persist outbox:', e);
+  });
+  _notify();
+  _schedule();
+}
+
+function _schedule() {
+  clearTimeout(_timer);
+  _timer = null;
+  const next = Math.min(
+    ..._entries.filter(e => e.status === 'pending').map(e => Date.parse(e.nextAttemptAt))
+  );
+  if (!Number.isFinite(next)) return;
+  _timer = setTimeout(flushOutbox, Math.max(0, next - Date.now()));
+}
+
+function _notify() {
+  for (const fn of _subscribers) fn(_entries);
+}
@@ -0,0 +1,175 @@
+// Persistence — how the store writes state to AsyncStorage. Only store.js uses this.
+//
+// What it does:
+//   1. Coalesces rapid state changes into one write (PERSIST_DELAY_MS), and
+//      writes at once when the app goes to the background
+//   2. Marks each write in progress in a save record (SAVE_RECORD_KEY), reads the
+//      state back and compares a checksum, then marks the save clean. A failed
+//      write is retried, and the error stays in the record until a save succeeds
+//   3. Keeps a rolling set of snapshots of cleanly saved state
+//   4. On boot, tells the store whether the last save finished cleanly
+
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEY } from '../constants.js';
+
+const SAVE_RECORD_KEY = `${STORAGE_KEY}_save`;
+const SNAPSHOT_KEY    = `${STORAGE_KEY}_snapshot`;   // + slot number
+
+const PERSIST_DELAY_MS     = 400;
+const RETRY_DELAY_MS       = 2000;
+const SNAPSHOT_COUNT       = 5;
+const SNAPSHOT_INTERVAL_MS = 2 * 60 * 1000;
+
+let _record = { writing: false, checksum: null, savedAt: null, error: null, snapshots: [] };
+let _pending = null;   // state waiting to be written
+let _timer = null;
+let _writing = null;   // promise of the write in progress
+let _listening = false;
+
+// Boot
+
+/**
+ * Read the saved state and check that the last save finished cleanly.
+ * @returns {Promise<{ raw: string|null, clean: boolean, reason: string|null,
+ *                     snapshots: { slot: number, savedAt: string }[] }>}
+ *   snapshots are newest first.
+ */
+export async function readSaved() {
+  _listen();
+  const [raw, recordRaw] = await Promise.all([
+    AsyncStorage.getItem(STORAGE_KEY),
+    AsyncStorage.getItem(SAVE_RECORD_KEY).catch(() => null),
+  ]);
+  try {
+    if (recordRaw) _record = { ..._record, ...JSON.parse(recordRaw) };
+  } catch {
+    // A damaged record only costs the snapshot list
+  }
+
+  // State saved before the save record existed has nothing to check against
+  let reason = null;
+  if (recordRaw && raw) {
+    if (_record.writing) reason = 'The app was closed while saving.';
+    else if (_record.error) reason = `The last save failed (${_record.error}).`;
+    else if (_record.checksum !== _checksum(raw)) reason = 'The saved data does not match what was written.';
+  }
+  return {
+    raw,
+    clean: !reason,
+    reason,
+    snapshots: _record.snapshots.map(({ slot, savedAt }) => ({ slot, savedAt })),
+  };
+}
+
+/**
+ * Read one snapshot, checking it against its checksum.
+ * @param {number} slot
+ * @returns {Promise<string|null>} The snapshot's JSON, or null if it is missing or damaged.
+ */
+export async function readSnapshot(slot) {
+  const entry = _record.snapshots.find(s => s.slot === slot);
+  const raw = entry ? await AsyncStorage.getItem(SNAPSHOT_KEY + slot).catch(() => null) : null;
+  return raw && _checksum(raw) === entry.checksum ? raw : null;
+}
+
+// Writing
+
+/**
+ * Queue state to be saved. Calls within PERSIST_DELAY_MS of each other become
+ * one write of the latest state.
+ * @param {object} state
+ */
+export function schedulePersist(state) {
+  _pending = state;
+  if (!_timer) _timer = setTimeout(flushPersist, PERSIST_DELAY_MS);
+}
+
+/**
+ * Write any queued state now.
+ * @returns {Promise<void>} Resolves once everything queued so far is written (or failed).
+ */
+export async function flushPersist() {
+  clearTimeout(_timer);
+  _timer = null;
+  // One write at a time; changes made meanwhile are picked up by the next loop
+  while (_writing || _pending) {
+    if (_writing) {
+      await _writing;
+      continue;
+    }
+    const state = _pending;
+    _pending = null;
+    _writing = _write(state);
+    const ok = await _writing;
+    _writing = null;
+    if (!ok) {
+      _pending ??= state;
+      clearTimeout(_timer);
+      _timer = setTimeout(flushPersist, RETRY_DELAY_MS);
+      return;
+    }
+  }
+}
+
+// Internal helpers
+
+async function _write(state) {
+  const raw = JSON.stringify(state);
+  const checksum = _checksum(raw);
+  try {
+    await _saveRecord({ writing: true });
+    await AsyncStorage.setItem(STORAGE_KEY, raw);
+    const check = await AsyncStorage.getItem(STORAGE_KEY);
+    if (check === null || _checksum(check) !== checksum) throw new Error('read-back mismatch');
+
+    const now = new Date();
+    const snapshots = await _maybeSnapshot(raw, checksum, now);
+    await _saveRecord({ writing: false, checksum, savedAt: now.toISOString(), error: null, snapshots });
+    return true;
+  } catch (e) {
+    console.error('[persist] Failed to save state:', e);
+    await _saveRecord({ writing: false, error: e.message ?? String(e) }).catch(() => {});
+    return false;
+  }
+}
+
+/** Copy a clean save into the next snapshot slot if the newest snapshot is old enough. */
+async function _maybeSnapshot(raw, checksum, now) {
+  const [latest] = _record.snapshots;
+  if (latest && now - Date.parse(latest.savedAt) < SNAPSHOT_INTERVAL_MS) return _record.snapshots;
+  const slot = latest ? (latest.slot + 1) % SNAPSHOT_COUNT : 0;
+  try {
+    await AsyncStorage.setItem(SNAPSHOT_KEY + slot, raw);
+  } catch (e) {
+    console.warn('[persist] Failed to save snapshot:', e);
+    return _record.snapshots;
+  }
+  return [
+    { slot, savedAt: now.toISOString(), checksum },
+    ..._record.snapshots.filter(s => s.slot !== slot),
+  ];
+}
+
+async function _saveRecord(changes) {
+  _record = { ..._record, ...changes };
+  await AsyncStorage.setItem(SAVE_RECORD_KEY, JSON.stringify(_record));
+}
+
+function _listen() {
+  if (_listening) return;
+  _listening = true;
+  AppState.addEventListener('change', next => {
+    if (next !== 'active') flushPersist();
+  });
+}
+
+// FNV-1a, enough to tell a partial or stale write from the real one
+function _checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `${text.length}:${hash.toString(16)}`;
+}
@@ -1,30 +1,124 @@
-// Central state store — the only layer allowed to read/write AsyncStorage.
+// Central state store — the only layer allowed to read/write the app state in
+// AsyncStorage (through state/persist.js).
 //
 // What it does:
-//   1. Loads and migrates saved state from AsyncStorage on boot (async)
-//   2. Persists state to AsyncStorage after every update (fire-and-forget)
+//   1. Loads and migrates saved state from AsyncStorage on boot (async).
+//      Saved state that cannot be migrated is moved to QUARANTINE_KEY, not discarded.
+//      If the last save did not finish cleanly, offers the persist.js snapshots
+//   2. Persists state after updates (coalesced and verified by persist.js)
 //   3. Notifies all subscribers after each state change
+//   4. Records named actions (tournament + history snapshots) for undo/redo.
+//      The undo history lives in memory only and is lost on restart.
+//      Round clocks are not rewound: undo keeps the live timers (roundTimer.js)
+//   5. Accepts state replicated from a sync host (see state/sync.js)
+//   6. Restores backups (see logic/backup.js), migrated like saved state
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { STORAGE_KEY } from '../constants.js';
+import { QUARANTINE_KEY } from '../constants.js';
+import { mergeStates } from '../logic/backup.js';
+import { runMigrations, SCHEMA_VERSION } from '../logic/migrations.js';
+import { carryTimers } from '../logic/roundTimer.js';
+import { carryAuditLog } from '../logic/audit.js';
+import { readSaved, readSnapshot, schedulePersist, flushPersist } from './persist.js';
 
 let _state = null;
+let _loadProblem = null; // see getLoadProblem()
 const _subscribers = [];
 
+const MAX_UNDO = 50;
+let _undoStack = [];   // { label, before, after } — snapshots of the undoable slice
+let _redoStack = [];
+let _actionDepth = 0;  // > 0 while inside recordAction
+
 // Public API
 
-/** Load state from AsyncStorage (call once at boot, must be awaited). */
+/**
+ * Load state from AsyncStorage (call once at boot, must be awaited).
+ * Corrupted or newer-version state is copied to QUARANTINE_KEY before the app
+ * starts fresh; see getLoadProblem().
+ */
 export async function load() {
+  let saved = { raw: null, clean: true, reason: null, snapshots: [] };
   try {
-    const raw = await AsyncStorage.getItem(STORAGE_KEY);
-    if (raw) {
-      _state = _migrate(JSON.parse(raw));
-    } else {
-      _state = _freshState();
-    }
-  } catch {
+    saved = await readSaved();
+  } catch (e) {
+    console.error('[store] Failed to read state:', e);
+  }
+  const { raw, snapshots } = saved;
+  if (!raw) {
     _state = _freshState();
+    if (snapshots.length > 0) _loadProblem = { reason: 'No saved data was found.', quarantined: false, snapshots };
+    return;
   }
+
+  let result;
+  try {
+    result = runMigrations(JSON.parse(raw));
+  } catch (e) {
+    result = { ok: false, reason: `The saved data is corrupted (${e.message}).` };
+  }
+  if (result.ok) {
+    _state = result.state;
+    if (!saved.clean) _loadProblem = { reason: saved.reason, quarantined: false, snapshots };
+    return;
+  }
+
+  const reason = [saved.reason, result.reason].filter(Boolean).join(' ');
+  _loadProblem = { reason, quarantined: true, snapshots };
+  try {
+    await AsyncStorage.setItem(QUARANTINE_KEY, JSON.stringify({
+      reason:        result.reason,
+      quarantinedAt: new Date().toISOString(),
+      raw,
+    }));
+  } catch (e) {
+    console.error('[store] Failed to quarantine state:', e);
+  }
+  _state = _freshState();
+}
+
+/**
+ * What went wrong loading saved state on boot, or null if it loaded cleanly.
+ * quarantined: the saved state was unreadable, kept under QUARANTINE_KEY, and
+ * the app started empty. Otherwise the last save may be incomplete.
+ * snapshots: earlier clean saves that restoreSnapshot() can bring back, newest first.
+ * @returns {{ reason: string, quarantined: boolean, snapshots: { slot: number, savedAt: string }[] }|null}
+ */
+export function getLoadProblem() {
+  return _loadProblem;
+}
+
+/**
+ * Keep the state loaded on boot despite getLoadProblem(), saving it again so the
+ * next boot does not ask.
+ */
+export function dismissLoadProblem() {
+  _loadProblem = null;
+  schedulePersist(_state);
+}
+
+/**
+ * Replace state with a snapshot (see getLoadProblem). Clears undo history.
+ * @param {number} slot
+ * @returns {Promise<boolean>} False if the snapshot is missing, damaged or unreadable.
+ */
+export async function restoreSnapshot(slot) {
+  const raw = await readSnapshot(slot);
+  if (!raw) return false;
+  let result;
+  try {
+    result = runMigrations(JSON.parse(raw));
+  } catch {
+    return false;
+  }
+  if (!result.ok) return false;
+  _state = result.state;
+  _loadProblem = null;
+  _undoStack = [];
+  _redoStack = [];
+  _commit();
+  await flushPersist();
+  return true;
 }
 
 /** Returns the current state object (treat as read-only). */
@@ -40,11 +134,148 @@ export function getState() {
  */
 export function setState(updater) {
   _state = updater(_state);
-  // Persist asynchronously — don't block subscribers on I/O
-  AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(_state)).catch(e => {
-    console.error('[store] Failed to persist state:', e);
-  });
-  for (const fn of _subscribers) fn(_state);
+  // Inside an action, persist and notify once when the action ends
+  if (_actionDepth === 0) _commit();
+}
+
+/**
+ * Run `fn` as one named, undoable action. All setState calls inside it —
+ * including nested actions — become a single undo step labelled `label`.
+ * Nothing is recorded if the tournament and history are left unchanged.
+ *
+ * @param {string} label - Shown to the user, e.g. "drop Tommy".
+ * @param {() => any} fn
+ * @returns {any} Whatever `fn` returns.
+ */
+export function recordAction(label, fn) {
+  if (_actionDepth > 0) return fn();
+
+  const before = _snapshot(_state);
+  const stateBefore = _state;
+  _actionDepth += 1;
+  let result;
+  try {
+    result = fn();
+  } finally {
+    _actionDepth -= 1;
+  }
+  if (_state === stateBefore) return result;
+
+  const after = _snapshot(_state);
+  if (after.tournament !== before.tournament || after.pastTournaments !== before.pastTournaments) {
+    _undoStack = [..._undoStack.slice(-(MAX_UNDO - 1)), { label, before, after }];
+    _redoStack = [];
+  }
+  _commit();
+  return result;
+}
+
+/**
+ * Revert the most recent action. Players added or removed since then are kept;
+ * only the tournament and history are restored. Round clocks and the audit log
+ * are not rewound.
+ * @returns {string|null} Label of the undone action, or null if there was nothing to undo.
+ */
+export function undo() {
+  const entry = _undoStack.pop();
+  if (!entry) return null;
+  _redoStack.push(entry);
+  _state = { ..._state, ...entry.before, tournament: _restoredTournament(entry.before.tournament, 'undo', entry.label) };
+  _commit();
+  return entry.label;
+}
+
+/**
+ * Re-apply the most recently undone action.
+ * @returns {string|null} Label of the redone action, or null if there was nothing to redo.
+ */
+export function redo() {
+  const entry = _redoStack.pop();
+  if (!entry) return null;
+  _undoStack.push(entry);
+  _state = { ..._state, ...entry.after, tournament: _restoredTournament(entry.after.tournament, 'redo', entry.label) };
+  _commit();
+  return entry.label;
+}
+
+/**
+ * Replace part of state with a copy received from another device (multi-device
+ * sync). Clears undo history, since local snapshots no longer match.
+ * @param {object} partial - e.g. { tournament, players }
+ */
+export function applyRemoteState(partial) {
+  _state = { ..._state, ...partial };
+  _undoStack = [];
+  _redoStack = [];
+  _commit();
+}
+
+/**
+ * The saved state set aside by load(), if any.
+ * @returns {Promise<{ reason: string, quarantinedAt: string, raw: string }|null>}
+ */
+export async function loadQuarantine() {
+  try {
+    const stored = await AsyncStorage.getItem(QUARANTINE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Delete the quarantined state. */
+export async function clearQuarantine() {
+  await AsyncStorage.removeItem(QUARANTINE_KEY);
+}
+
+/**
+ * Restore state from a backup (see logic/backup.js). The backup is migrated
+ * like saved state, then either replaces everything or is merged in, keeping
+ * local entries whose IDs match. Clears undo history.
+ * Throws if the backup cannot be migrated (check with migrateState first).
+ *
+ * @param {object} data - The backup's state, as read by readBackup.
+ * @param {{ merge?: boolean }} [options]
+ * @returns {{ added: { players: number, tournaments: number, leagues: number }, skipped: object|null }|null}
+ *   What a merge added and the unfinished backup tournament it left out
+ *   (see mergeStates); null for a replace.
+ */
+export function restoreState(data, { merge = false } = {}) {
+  const migrated = runMigrations(data);
+  if (!migrated.ok) throw new Error(migrated.reason);
+  const incoming = migrated.state;
+  let summary = null;
+  if (merge) {
+    const { state, added, skipped } = mergeStates(_state, incoming);
+    _state = state;
+    summary = { added, skipped };
+  } else {
+    _state = incoming;
+  }
+  _undoStack = [];
+  _redoStack = [];
+  _commit();
+  flushPersist();
+  return summary;
+}
+
+/**
+ * Migrate a saved state without applying it, e.g. to preview a backup.
+ * @param {object} data
+ * @returns {{ ok: true, state: object } | { ok: false, reason: string }}
+ */
+export function migrateState(data) {
+  return runMigrations(data);
+}
+
+/** Label of the action undo() would revert, or null. */
+export function undoLabel() {
+  return _undoStack[_undoStack.length - 1]?.label ?? null;
+}
+
+/** Label of the action redo() would re-apply, or null. */
+export function redoLabel() {
+  return _redoStack[_redoStack.length - 1]?.label ?? null;
 }
 
 /**
@@ -62,14 +293,24 @@ export function subscribe(fn) {
 
 // Internal helpers
 
-function _freshState() {
-  return { players: [], tournament: null, pastTournaments: [] };
+/** Queue a save (see persist.js), then notify subscribers. */
+function _commit() {
+  // Persist asynchronously — don't block subscribers on I/O
+  schedulePersist(_state);
+  for (const fn of _subscribers) fn(_state);
 }
 
-function _migrate(data) {
-  if (!data || typeof data !== 'object') return _freshState();
-  if (!Array.isArray(data.players)) data.players = [];
-  if (!('tournament' in data)) data.tournament = null;
-  if (!Array.isArray(data.pastTournaments)) data.pastTournaments = [];
-  return data;
+/** The part of state that undo/redo restores. Updates are immutable, so references suffice. */
+function _snapshot(state) {
+  return { tournament: state.tournament, pastTournaments: state.pastTournaments };
+}
+
+/** A snapshot's tournament with the live round clocks and audit log carried over. */
+function _restoredTournament(tournament, action, label) {
+  const live = _state.tournament;
+  return carryAuditLog(carryTimers(tournament, live), live, action, label);
+}
+
+function _freshState() {
+  return { schemaVersion: SCHEMA_VERSION, players: [], tournament: null, pastTournaments: [], leagues: [] };
 }
@@ -0,0 +1,402 @@
+// Multi-device sync — replicates the tournament from a host device to clients on the LAN.
+// Devices talk through the local relay (scripts/sync-relay.js) over HTTP long-polling.
+//
+// What it does:
+//   1. Host: publishes the tournament and player list after every store change
+//   2. Host: assigns tables to client devices and applies the results they send,
+//      rejecting any that conflict with what the host already has
+//   3. Client: mirrors the host's tournament (and nobody else's), merges the
+//      host's players into its own roster and sends results for its assigned tables
+//   4. Host: publishes the self-report board and accepts player reports sent
+//      from the relay's report page (selfReport.js). Seat codes stay on the host
+//      and are never part of the published state.
+//   5. Reports session status (role, room code, devices, notices) to screens
+//
+// Each session has a secret key that the relay ties to its device ID, so other
+// devices in the room cannot read messages addressed to it.
+// Sessions live in memory only; nothing here is persisted.
+
+import { getState, subscribe, applyRemoteState } from './store.js';
+import { submitResult, correctResult, reportResult } from './tournament.js';
+import { checkClientResult, resultStamp, tableNumber, mergeRoster } from '../logic/sync.js';
+import { reportBoard, assignSeatCodes, findSeatCode } from '../logic/selfReport.js';
+import { uuid } from '../logic/id.js';
+
+const RETRY_MS    = 2000; // wait before polling again after a network error
+const MAX_NOTICES = 20;
+const CODE_CHARS  = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+let _session = null;
+let _seatCodes = {}; // host only: { [matchId]: { 1, 2 } } for the active round; kept across sessions
+const _listeners = [];
+
+// Queries
+
+/**
+ * Current sync session, or null when this device is not syncing.
+ * @returns {{
+ *   role: 'host'|'client', code: string, relayUrl: string, reportUrl: string, name: string, connected: boolean,
+ *   clients: { id: string, name: string, tables: number[] }[], tables: number[],
+ *   pendingMatchIds: string[], notices: string[], seatCodes: { [matchId: string]: { 1: string, 2: string } },
+ * }|null}
+ */
+export function getSyncStatus() {
+  if (!_session) return null;
+  const s = _session;
+  return {
+    role:            s.role,
+    code:            s.code,
+    relayUrl:        s.relayUrl,
+    reportUrl:       `${s.relayUrl}/report/${s.code}`,
+    name:            s.name,
+    connected:       s.connected,
+    clients:         Object.entries(s.clients).map(([id, c]) => ({ id, ...c })),
+    tables:          s.tables,
+    pendingMatchIds: Object.keys(s.pending),
+    notices:         s.notices,
+    seatCodes:       s.role === 'host' ? _seatCodes : {},
+  };
+}
+
+/** True if this device mirrors a host and must not change the tournament itself. */
+export function isSyncClient() {
+  return _session?.role === 'client';
+}
+
+/**
+ * Subscribe to sync status changes.
+ * @param {(status: object|null) => void} fn
+ * @returns {() => void} Unsubscribe function.
+ */
+export function subscribeSync(fn) {
+  _listeners.push(fn);
+  return () => {
+    const idx = _listeners.indexOf(fn);
+    if (idx !== -1) _listeners.splice(idx, 1);
+  };
+}
+
+// Session control
+
+/**
+ * Host the current tournament. Clients join with the returned room code.
+ * @param {string} relayUrl - e.g. "192.168.1.20:8787"
+ * @returns {string} Room code.
+ */
+export function startHosting(relayUrl) {
+  leaveSession();
+  const session = _newSession('host', relayUrl, _roomCode(), 'Host');
+  session.unsubStore = subscribe(() => _broadcastState(session));
+  _session = session;
+  _updateSeatCodes();
+  _notify();
+  _poll(session);
+  return session.code;
+}
+
+/**
+ * Join a host's session. This device's tournament is replaced by the host's and
+ * the host's players are added to its roster (see mergeRoster).
+ * @param {string} relayUrl
+ * @param {string} code - Room code shown on the host.
+ * @param {string} name - Shown to the host, e.g. "Judge Anna".
+ */
+export function joinSession(relayUrl, code, name) {
+  leaveSession();
+  const session = _newSession('client', relayUrl, code.trim().toUpperCase(), name.trim() || 'Scorekeeper');
+  _session = session;
+  _notify();
+  _poll(session);
+}
+
+/** Stop hosting or leave the session. Local state is kept as it is. */
+export function leaveSession() {
+  const session = _session;
+  if (!session) return;
+  _post(session, null, { type: session.role === 'host' ? 'ended' : 'leave' });
+  session.unsubStore?.();
+  session.abort.abort();
+  _session = null;
+  _notify();
+}
+
+/** Clear the notice list. */
+export function clearNotices() {
+  if (!_session) return;
+  _session.notices = [];
+  _notify();
+}
+
+// Host
+
+/**
+ * Assign tables (1-based, as numbered on the Pairings screen) to a client device.
+ * @param {string}   clientId
+ * @param {number[]} tables
+ */
+export function assignTables(clientId, tables) {
+  const session = _session;
+  if (session?.role !== 'host' || !session.clients[clientId]) return;
+  session.clients[clientId] = { ...session.clients[clientId], tables };
+  _post(session, clientId, { type: 'tables', tables });
+  _notify();
+}
+
+// Client
+
+/**
+ * Send a result for one of this device's tables to the host. The match stays
+ * pending until the host accepts or rejects it.
+ * @param {string} matchId
+ * @param {{ player1Wins: number, player2Wins: number, draws: number, doubleLoss?: boolean }} result
+ * @returns {boolean} False if the result was rejected locally (not sent).
+ */
+export function sendResult(matchId, result) {
+  const session = _session;
+  if (session?.role !== 'client') return false;
+  const { tournament } = getState();
+  const match = tournament?.rounds.flatMap(r => r.matches).find(m => m.id === matchId);
+  const intent = { matchId, result, seenSubmittedAt: match ? resultStamp(match) : null };
+
+  const check = checkClientResult(tournament, intent, session.tables);
+  if (!check.ok) {
+    _addNotice(session, check.reason);
+    return false;
+  }
+  session.pending[matchId] = true;
+  _notify();
+  _post(session, null, { type: 'result', ...intent });
+  return true;
+}
+
+// Internal helpers
+
+function _newSession(role, relayUrl, code, name) {
+  return {
+    role,
+    relayUrl: _normalizeUrl(relayUrl),
+    code,
+    name,
+    deviceId:  _deviceId(),
+    key:       uuid(),  // proves deviceId to the relay; never sent to other devices
+    connected: false,
+    cursor:    null,  // last relay sequence number seen; null until announced
+    version:   0,     // host: last published state; client: last applied state
+    clients:   {},    // host only: { [deviceId]: { name, tables } }
+    tables:    [],    // client only: tables assigned by the host
+    hostId:    null,  // client only: device that answered our hello
+    pending:   {},    // client only: { [matchId]: true } awaiting the host
+    notices:   [],
+    boardJson: null,  // host only: last published report board
+    abort:     new AbortController(),
+    unsubStore: null,
+  };
+}
+
+/**
+ * Long-poll the relay until the session ends. The first message (host: state,
+ * client: hello) sets the cursor, so no reply to it can be missed.
+ */
+async function _poll(session) {
+  while (_session === session) {
+    try {
+      if (session.cursor === null) {
+        session.cursor = await _post(session, null, _announcement(session));
+        if (session.cursor === null) throw new Error('Relay unreachable');
+        if (session.role === 'host') _publishBoard(session);
+      }
+      const res = await fetch(`${_roomUrl(session)}?for=${session.deviceId}&key=${session.key}&after=${session.cursor}`, {
+        signal: session.abort.signal,
+      });
+      if (!res.ok) throw new Error(`Relay returned ${res.status}`);
+      const { messages, last } = await res.json();
+      if (_session !== session) return;
+      session.cursor = last;
+      _setConnected(session, true);
+      for (const m of messages) _handleMessage(session, m);
+    } catch {
+      if (_session !== session) return;
+      _setConnected(session, false);
+      await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+    }
+  }
+}
+
+function _handleMessage(session, { from, to, body }) {
+  if (session.role === 'host') {
+    _handleAsHost(session, from, body);
+    return;
+  }
+  // The host answers our hello directly; anything from another device is dropped
+  if (!session.hostId && to === session.deviceId) session.hostId = from;
+  if (from === session.hostId) _handleAsClient(session, body);
+}
+
+function _handleAsHost(session, from, body) {
+  switch (body.type) {
+    case 'hello':
+      session.clients[from] = { name: body.name, tables: session.clients[from]?.tables ?? [] };
+      _post(session, from, { type: 'tables', tables: session.clients[from].tables });
+      _post(session, from, _stateMessage(session.version));
+      _notify();
+      break;
+    case 'leave':
+      delete session.clients[from];
+      _notify();
+      break;
+    case 'result': {
+      const client = session.clients[from];
+      const { tournament } = getState();
+      const check = checkClientResult(tournament, body, client?.tables ?? []);
+      if (!check.ok) {
+        _addNotice(session, `${client?.name ?? 'Unknown device'}: ${check.reason}`);
+        _post(session, from, { type: 'rejected', matchId: body.matchId, reason: check.reason });
+        break;
+      }
+      const match = tournament.rounds.flatMap(r => r.matches).find(m => m.id === body.matchId);
+      const options = { device: client?.name ?? 'Unknown device' };
+      const applied = match.result
+        ? correctResult(body.matchId, body.result, options)
+        : submitResult(body.matchId, body.result, options);
+      _post(session, from, applied
+        ? { type: 'ack', matchId: body.matchId }
+        : { type: 'rejected', matchId: body.matchId, reason: 'The host could not apply this result.' });
+      break;
+    }
+    case 'report': {
+      // From the player report page: { table, seat, code, result }. The code is
+      // the reporting player's own seat code, so each seat can only be reported
+      // by the player who was handed its code.
+      const { tournament } = getState();
+      const round = tournament?.rounds.find(r => r.status === 'active');
+      const owner = round && typeof body.code === 'string'
+        ? findSeatCode(_seatCodes, body.code.toUpperCase())
+        : null;
+      if (!owner || owner.seat !== body.seat || tableNumber(round, owner.matchId) !== body.table) break;
+      const options = { device: 'Player report page' };
+      if (reportResult(owner.matchId, owner.seat, body.result, options) === 'disputed') {
+        _addNotice(session, `Table ${body.table}: players reported different results.`);
+      }
+      break;
+    }
+  }
+}
+
+function _handleAsClient(session, body) {
+  switch (body.type) {
+    case 'state':
+      if (body.version <= session.version) break;
+      session.version = body.version;
+      applyRemoteState({ tournament: body.tournament, players: mergeRoster(getState().players, body.players) });
+      break;
+    case 'tables':
+      session.tables = body.tables;
+      _notify();
+      break;
+    case 'ack':
+      delete session.pending[body.matchId];
+      _notify();
+      break;
+    case 'rejected':
+      delete session.pending[body.matchId];
+      _addNotice(session, body.reason);
+      break;
+    case 'ended':
+      _addNotice(session, 'The host ended the session.');
+      break;
+  }
+}
+
+function _announcement(session) {
+  if (session.role === 'client') return { type: 'hello', name: session.name };
+  session.version += 1;
+  return _stateMessage(session.version);
+}
+
+function _broadcastState(session) {
+  if (_session !== session) return;
+  _updateSeatCodes();
+  if (session.cursor === null) return;
+  session.version += 1;
+  _post(session, null, _stateMessage(session.version));
+  _publishBoard(session);
+}
+
+/**
+ * Post the self-report board when it has changed since the last post. It names
+ * the host so the report page can address reports (and their codes) to the
+ * host alone instead of broadcasting them to the room.
+ */
+function _publishBoard(session) {
+  const { tournament, players } = getState();
+  const board = reportBoard(tournament, players);
+  const json = JSON.stringify(board);
+  if (json === session.boardJson) return;
+  session.boardJson = json;
+  _post(session, null, { type: 'board', host: session.deviceId, ...board });
+}
+
+/** Give the active round's new matches seat codes; codes of earlier rounds are dropped. */
+function _updateSeatCodes() {
+  const round = getState().tournament?.rounds.find(r => r.status === 'active');
+  const codes = round ? assignSeatCodes(round, _seatCodes) : {};
+  if (JSON.stringify(codes) === JSON.stringify(_seatCodes)) return;
+  _seatCodes = codes;
+  _notify();
+}
+
+function _stateMessage(version) {
+  const { tournament, players } = getState();
+  return { type: 'state', version, tournament, players };
+}
+
+/** Send a message through the relay. Returns its sequence number, or null on failure. */
+async function _post(session, to, body) {
+  try {
+    const res = await fetch(_roomUrl(session), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: session.deviceId, key: session.key, to, body }),
+    });
+    if (!res.ok) throw new Error(`Relay returned ${res.status}`);
+    return (await res.json()).seq;
+  } catch {
+    if (_session === session) _addNotice(session, 'Could not reach the relay. Check the address and Wi-Fi.');
+    return null;
+  }
+}
+
+function _setConnected(session, connected) {
+  if (session.connected === connected) return;
+  session.connected = connected;
+  _notify();
+}
+
+function _addNotice(session, text) {
+  session.notices = [text, ...session.notices].slice(0, MAX_NOTICES);
+  _notify();
+}
+
+function _notify() {
+  const status = getSyncStatus();
+  for (const fn of _listeners) fn(status);
+}
+
+function _roomUrl(session) {
+  return `${session.relayUrl}/rooms/${session.code}`;
+}
+
+function _normalizeUrl(url) {
+  const trimmed = url.trim().replace(/\/+$/, '');
+  return /^https?:\/\//.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+function _roomCode() {
+  let code = '';
+  for (let i = 0; i < 4; i++) code += CODE_CHARS[Math.random() * CODE_CHARS.length | 0];
+  return code;
+}
+
+function _deviceId() {
+  return Math.random().toString(36).slice(2, 10);
+}
@@ -1,16 +1,39 @@
 // Tournament lifecycle — state transitions for the active tournament.
 // Calls store.setState; never touches the DOM.
+// Every exported mutation runs as a named store action, so it can be undone.
 //
 // What it does:
 //   1. Creates tournaments and manages the player list (add, drop)
 //   2. Pairs rounds using swiss.js, assigns byes via bye.js
-//   3. Accepts match results and closes completed rounds
-//   4. Archives finished tournaments and supports reopening history
-
-import { getState, setState } from './store.js';
-import { computeStandings } from '../logic/standings.js';
-import { selectByePlayer }  from '../logic/bye.js';
-import { pairRound, shuffle } from '../logic/swiss.js';
+//   3. Accepts match results, closes completed rounds and reopens them for correction.
+//      Self-reported results are held until both players agree (selfReport.js).
+//      Every change to a match is added to the tournament's audit log (audit.js)
+//   4. Runs an optional single-elimination playoff via playoff.js
+//   5. Keeps the round clock on the active round (roundTimer.js), outside undo,
+//      and per-table time extensions on the match
+//   6. Archives finished tournaments and supports reopening history
+//   7. Imports past tournaments from results CSV files (csvImport.js)
+
+import { getState, setState, recordAction } from './store.js';
+import {
+  computeStandings, standingsOptions, standingsPlayerIds, DEFAULT_TIEBREAKERS,
+} from '../logic/standings.js';
+import { selectByePlayer, byeResult } from '../logic/bye.js';
+import {
+  pairRound, pairFromStandings, shuffle, recommendedRounds, pairedDownPlayer,
+} from '../logic/swiss.js';
+import { DEFAULT_SCORING } from '../constants.js';
+import { MATCH_FORMATS, roundBestOf, isAllowedResult } from '../logic/format.js';
+import { reportStatus } from '../logic/selfReport.js';
+import { auditEntry } from '../logic/audit.js';
+import {
+  startTimer, pauseTimer, resumeTimer, actualDuration, extensionMinutes,
+} from '../logic/roundTimer.js';
+import { matchPlayerNames, buildTournaments } from '../logic/csvImport.js';
+import {
+  pairFirstPlayoffRound, pairNextPlayoffRound, playoffRoundLabel,
+} from '../logic/playoff.js';
+import { uuid } from '../logic/id.js';
 
 // Queries
 
@@ -36,11 +59,45 @@ export function isRoundComplete() {
 
 /**
  * True if the result for a given match can still be corrected.
- * Correction is only allowed while the round is still 'active'.
+ * Correction is allowed while the round is 'active', or after it was reopened.
  */
 export function canCorrectResult(matchId) {
-  const round = getActiveRound();
-  return round?.matches.some(m => m.id === matchId) ?? false;
+  const { tournament } = getState();
+  const editable = [getActiveRound(), getReopenedRound()].filter(Boolean);
+  return tournament?.status === 'active' && editable.some(r => r.matches.some(m => m.id === matchId));
+}
+
+/** Returns the completed round currently reopened for correction, or null. */
+export function getReopenedRound() {
+  const { tournament } = getState();
+  if (!tournament?.reopenedRound) return null;
+  return tournament.rounds.find(r => r.roundNumber === tournament.reopenedRound) ?? null;
+}
+
+/**
+ * True once the planned number of Swiss rounds has been completed.
+ * Always false for tournaments created without a planned round count.
+ */
+export function isLastSwissRoundDone() {
+  const { tournament } = getState();
+  if (!tournament?.plannedRounds) return false;
+  const swissDone = tournament.rounds.filter(r => r.status === 'complete' && r.phase !== 'playoff').length;
+  return swissDone >= tournament.plannedRounds;
+}
+
+/** True once the top cut has been seeded (Swiss rounds are over). */
+export function isPlayoffStarted() {
+  const { tournament } = getState();
+  return !!tournament?.playoff;
+}
+
+/** True if the playoff final has been played and closed. */
+export function isPlayoffComplete() {
+  const { tournament } = getState();
+  if (!tournament?.playoff) return false;
+  return tournament.rounds.some(r =>
+    r.phase === 'playoff' && r.status === 'complete' && r.matches.length === 1
+  );
 }
 
 // Tournament creation
@@ -49,45 +106,63 @@ export function canCorrectResult(matchId) {
  * Create a new tournament.
  * @param {string[]} playerIds - IDs of players participating.
  * @param {string} [dateStr]   - Optional date string (YYYY-MM-DD). Defaults to today.
+ * @param {object} [options]
+ * @param {number} [options.plannedRounds] - Swiss rounds to play. Defaults to the
+ *                                           recommended count for the player total.
+ * @param {string[]} [options.tiebreakers] - Ordered tiebreaker IDs (see standings.js).
+ * @param {object}   [options.scoring]     - Scoring preset (see SCORING_PRESETS). Defaults to MTG.
+ * @param {number}   [options.bestOf]      - Match format (1, 3 or 5). Defaults to the preset's.
  */
-export function createTournament(playerIds, dateStr) {
-  if (!dateStr) {
-    const d = new Date();
-    dateStr = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-  }
-  setState(state => {
-    const archive = state.tournament?.status === 'complete'
-      ? [state.tournament, ...(state.pastTournaments ?? [])]
-      : (state.pastTournaments ?? []);
-    return {
-      ...state,
-      pastTournaments: archive,
-      tournament: {
-        id:             _uuid(),
-        dateStr,
-        status:         'active',
-        currentRound:   0,   // 0 = no round paired yet
-        activePlayers:  [...playerIds],
-        droppedPlayers: [],
-        rounds:         [],
-        seatingOrder:   [...playerIds],
-      },
-    };
+export function createTournament(playerIds, dateStr, { plannedRounds, tiebreakers, scoring, bestOf } = {}) {
+  recordAction('start tournament', () => {
+    if (!dateStr) {
+      const d = new Date();
+      dateStr = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+    setState(state => {
+      const archive = state.tournament?.status === 'complete'
+        ? [state.tournament, ...(state.pastTournaments ?? [])]
+        : (state.pastTournaments ?? []);
+      return {
+        ...state,
+        pastTournaments: archive,
+        tournament: {
+          id:             uuid(),
+          dateStr,
+          status:         'active',
+          currentRound:   0,   // 0 = no round paired yet
+          plannedRounds:  plannedRounds ?? recommendedRounds(playerIds.length),
+          tiebreakers:    [...(tiebreakers ?? DEFAULT_TIEBREAKERS)],
+          scoring:        _copyScoring(scoring ?? DEFAULT_SCORING),
+          bestOf:         bestOf ?? (scoring ?? DEFAULT_SCORING).bestOf,
+          activePlayers:  [...playerIds],
+          droppedPlayers: [],
+          dropRounds:     {},   // { [playerId]: last Swiss round played before dropping }
+          rounds:         [],
+          seatingOrder:   [...playerIds],
+          playoff:        null, // { size, seeds } once the top cut starts
+          reopenedRound:  null, // roundNumber of a completed round being corrected
+          auditLog:       [],   // see logic/audit.js
+        },
+      };
+    });
   });
 }
 
 
 /** Re-randomise the seating order before Round 1 is paired. No-op once a round is active. */
 export function reshuffleSeating() {
-  const { tournament } = getState();
-  if (!tournament || tournament.currentRound !== 0) return;
-  setState(state => ({
-    ...state,
-    tournament: {
-      ...state.tournament,
-      seatingOrder: shuffle([...state.tournament.activePlayers]),
-    },
-  }));
+  recordAction('reshuffle seating', () => {
+    const { tournament } = getState();
+    if (!tournament || tournament.currentRound !== 0) return;
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        seatingOrder: shuffle([...state.tournament.activePlayers]),
+      },
+    }));
+  });
 }
 
 // Round management
@@ -101,69 +176,98 @@ export function reshuffleSeating() {
  * Also handles bye assignment for odd player counts.
  */
 export function pairNextRound() {
-  const { tournament } = getState();
-  if (!tournament || tournament.status !== 'active') return;
-
-  const completedRounds = tournament.rounds.filter(r => r.status === 'complete');
-  const nextRoundNumber = completedRounds.length + 1;
-
-  // Determine player order
-  let sortedPlayerIds;
-  if (completedRounds.length === 0) {
-    // Round 1: use the seating order the user confirmed (or reshuffled)
-    sortedPlayerIds = [...(tournament.seatingOrder ?? tournament.activePlayers)];
-  } else {
-    // Round 2+: sort by standings (best first)
-    const standings = computeStandings(tournament.activePlayers, completedRounds);
-    sortedPlayerIds = standings.map(s => s.playerId);
-  }
-
-  // Assign bye if odd number of players
-  let byePlayerId = null;
-  if (sortedPlayerIds.length % 2 !== 0) {
-    byePlayerId = selectByePlayer(sortedPlayerIds, completedRounds);
-  }
-
-  // Generate pairings
-  const pairs = pairRound(sortedPlayerIds, completedRounds, byePlayerId);
-
-  // Build match objects
-  const matches = pairs.map(({ player1Id, player2Id }) => ({
-    id: _uuid(),
-    player1Id,
-    player2Id,
-    isBye: false,
-    result: null,
-  }));
+  recordAction('pair next round', () => {
+    const { tournament } = getState();
+    if (!tournament || tournament.status !== 'active') return;
+    if (tournament.reopenedRound) return; // Standings may still change
+    if (tournament.playoff) {
+      _pairPlayoffRound(tournament);
+      return;
+    }
+
+    const completedRounds = tournament.rounds.filter(r => r.status === 'complete' && r.phase !== 'playoff');
+    const nextRoundNumber = completedRounds.length + 1;
+    const bestOf = roundBestOf(tournament);
+
+    // Generate pairings
+    let pairs;
+    if (completedRounds.length === 0) {
+      // Round 1: use the seating order the user confirmed (or reshuffled)
+      const seating = [...(tournament.seatingOrder ?? tournament.activePlayers)];
+      // Preferred bye recipient if odd number of players (the pairer may move it)
+      const byePlayerId = seating.length % 2 !== 0 ? selectByePlayer(seating, completedRounds) : null;
+      pairs = pairRound(seating, completedRounds, byePlayerId);
+    } else {
+      // Round 2+: sort by standings (best first), then pair
+      pairs = pairFromStandings(tournament.activePlayers, completedRounds, standingsOptions(tournament));
+    }
+    const byePair = pairs.find(p => p.player2Id === null);
+
+    // Build match objects
+    const matches = pairs.filter(p => p !== byePair).map(({ player1Id, player2Id, pairedDownId }) => ({
+      id: uuid(),
+      player1Id,
+      player2Id,
+      pairedDownId,   // player floated down from a higher match-point bracket, or null
+      isBye: false,
+      result: null,
+    }));
+
+    // Add bye match (auto-result from the scoring preset, e.g. 2-0 win)
+    if (byePair) {
+      matches.push({
+        id:         uuid(),
+        player1Id:  byePair.player1Id,
+        player2Id:  null,
+        isBye:      true,
+        result: {
+          ...byeResult(tournament.scoring ?? DEFAULT_SCORING, bestOf),
+          submittedAt: new Date().toISOString(),
+          correctedAt: null,
+        },
+      });
+    }
 
-  // Add bye match (auto-result: 2-0 win)
-  if (byePlayerId) {
-    matches.push({
-      id:         _uuid(),
-      player1Id:  byePlayerId,
-      player2Id:  null,
-      isBye:      true,
-      result: {
-        player1Wins: 2,
-        player2Wins: 0,
-        draws:       0,
-        submittedAt: new Date().toISOString(),
-        correctedAt: null,
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        currentRound: nextRoundNumber,
+        rounds: [
+          ...state.tournament.rounds,
+          { roundNumber: nextRoundNumber, status: 'active', bestOf, matches },
+        ],
       },
-    });
-  }
+    }));
+  });
+}
 
-  setState(state => ({
-    ...state,
-    tournament: {
-      ...state.tournament,
-      currentRound: nextRoundNumber,
-      rounds: [
-        ...state.tournament.rounds,
-        { roundNumber: nextRoundNumber, status: 'active', matches },
-      ],
-    },
-  }));
+/**
+ * End the Swiss portion and seed the top `size` players into a
+ * single-elimination bracket, then pair the first playoff round.
+ * No-op while a round is active or if there are too few players.
+ * @param {number} size - Bracket size (8 = top 8).
+ */
+export function startPlayoff(size) {
+  recordAction(`start top ${size}`, () => {
+    const { tournament } = getState();
+    if (!tournament || tournament.status !== 'active' || tournament.playoff) return;
+    if (tournament.rounds.some(r => r.status === 'active')) return;
+    if (tournament.activePlayers.length < size) return;
+
+    // Rank everyone (dropped players still affect tiebreakers), then seed active players only
+    const standings = computeStandings(standingsPlayerIds(tournament), tournament.rounds, standingsOptions(tournament));
+    const seeds = standings
+      .filter(s => tournament.activePlayers.includes(s.playerId))
+      .slice(0, size)
+      .map(s => s.playerId);
+
+    setState(state => ({
+      ...state,
+      tournament: { ...state.tournament, playoff: { size, seeds } },
+    }));
+    pairNextRound();
+  });
 }
 
 /**
@@ -174,41 +278,46 @@ export function pairNextRound() {
  * @param {string} playerIdB
  */
 export function swapPlayers(playerIdA, playerIdB) {
-  setState(state => {
-    const rounds = state.tournament.rounds.map(round => {
-      if (round.status !== 'active') return round;
-
-      const matchA = round.matches.find(m =>
-        (m.player1Id === playerIdA || m.player2Id === playerIdA) && !m.isBye && !m.result
-      );
-      const matchB = round.matches.find(m =>
-        (m.player1Id === playerIdB || m.player2Id === playerIdB) && !m.isBye && !m.result
-      );
-
-      if (!matchA || !matchB || matchA.id === matchB.id) return round;
-
-      const matches = round.matches.map(m => {
-        if (m.id === matchA.id) {
-          return {
-            ...m,
-            player1Id: m.player1Id === playerIdA ? playerIdB : m.player1Id,
-            player2Id: m.player2Id === playerIdA ? playerIdB : m.player2Id,
-          };
-        }
-        if (m.id === matchB.id) {
-          return {
-            ...m,
-            player1Id: m.player1Id === playerIdB ? playerIdA : m.player1Id,
-            player2Id: m.player2Id === playerIdB ? playerIdA : m.player2Id,
-          };
-        }
-        return m;
+  recordAction(`swap ${_playerName(playerIdA)} and ${_playerName(playerIdB)}`, () => {
+    const roundBefore = getActiveRound();
+    setState(state => {
+      const rounds = state.tournament.rounds.map(round => {
+        if (round.status !== 'active') return round;
+
+        const matchA = round.matches.find(m =>
+          (m.player1Id === playerIdA || m.player2Id === playerIdA) && !m.isBye && !m.result
+        );
+        const matchB = round.matches.find(m =>
+          (m.player1Id === playerIdB || m.player2Id === playerIdB) && !m.isBye && !m.result
+        );
+
+        if (!matchA || !matchB || matchA.id === matchB.id) return round;
+
+        const points = _pointsMap(state.tournament);
+        const matches = round.matches.map(m => {
+          if (m.id === matchA.id) {
+            return _withPairedDown({
+              ...m,
+              player1Id: m.player1Id === playerIdA ? playerIdB : m.player1Id,
+              player2Id: m.player2Id === playerIdA ? playerIdB : m.player2Id,
+            }, points);
+          }
+          if (m.id === matchB.id) {
+            return _withPairedDown({
+              ...m,
+              player1Id: m.player1Id === playerIdB ? playerIdA : m.player1Id,
+              player2Id: m.player2Id === playerIdB ? playerIdA : m.player2Id,
+            }, points);
+          }
+          return m;
+        });
+
+        return { ...round, matches };
       });
 
-      return { ...round, matches };
+      return { ...state, tournament: { ...state.tournament, rounds } };
     });
-
-    return { ...state, tournament: { ...state.tournament, rounds } };
+    _auditPairingChanges('swap', roundBefore);
   });
 }
 
@@ -218,67 +327,110 @@ export function swapPlayers(playerIdA, playerIdB) {
  * @param {string} newByePlayerId
  */
 export function reassignBye(newByePlayerId) {
-  setState(state => {
-    const rounds = state.tournament.rounds.map(round => {
-      if (round.status !== 'active') return round;
-
-      const byeMatch = round.matches.find(m => m.isBye);
-      if (!byeMatch) return round;
-
-      const oldByePlayerId = byeMatch.player1Id;
-      if (oldByePlayerId === newByePlayerId) return round;
-
-      // Must swap with a pending (no result) non-bye match
-      const targetMatch = round.matches.find(m =>
-        !m.isBye && !m.result &&
-        (m.player1Id === newByePlayerId || m.player2Id === newByePlayerId)
-      );
-      if (!targetMatch) return round;
-
-      const matches = round.matches.map(m => {
-        if (m.isBye) {
-          return { ...m, player1Id: newByePlayerId };
-        }
-        if (m.id === targetMatch.id) {
-          return {
-            ...m,
-            player1Id: m.player1Id === newByePlayerId ? oldByePlayerId : m.player1Id,
-            player2Id: m.player2Id === newByePlayerId ? oldByePlayerId : m.player2Id,
-          };
-        }
-        return m;
+  recordAction(`give bye to ${_playerName(newByePlayerId)}`, () => {
+    const roundBefore = getActiveRound();
+    setState(state => {
+      const rounds = state.tournament.rounds.map(round => {
+        if (round.status !== 'active') return round;
+
+        const byeMatch = round.matches.find(m => m.isBye);
+        if (!byeMatch) return round;
+
+        const oldByePlayerId = byeMatch.player1Id;
+        if (oldByePlayerId === newByePlayerId) return round;
+
+        // Must swap with a pending (no result) non-bye match
+        const targetMatch = round.matches.find(m =>
+          !m.isBye && !m.result &&
+          (m.player1Id === newByePlayerId || m.player2Id === newByePlayerId)
+        );
+        if (!targetMatch) return round;
+
+        const points = _pointsMap(state.tournament);
+        const matches = round.matches.map(m => {
+          if (m.isBye) {
+            return { ...m, player1Id: newByePlayerId };
+          }
+          if (m.id === targetMatch.id) {
+            return _withPairedDown({
+              ...m,
+              player1Id: m.player1Id === newByePlayerId ? oldByePlayerId : m.player1Id,
+              player2Id: m.player2Id === newByePlayerId ? oldByePlayerId : m.player2Id,
+            }, points);
+          }
+          return m;
+        });
+
+        return { ...round, matches };
       });
 
-      return { ...round, matches };
+      return { ...state, tournament: { ...state.tournament, rounds } };
     });
-
-    return { ...state, tournament: { ...state.tournament, rounds } };
+    _auditPairingChanges('bye', roundBefore);
   });
 }
 
 /**
  * Re-pair the current active round using updated standings, but only if no
  * results have been entered yet. Safe to call after editing a historical result.
+ * Does nothing while a round is reopened (pairing is paused then);
+ * closeReopenedRound({ regenerate: true }) re-pairs once corrections are done.
  */
 export function repairActiveRound() {
-  const { tournament } = getState();
-  if (!tournament) return;
-  const activeRound = tournament.rounds.find(r => r.status === 'active');
-  if (!activeRound) return;
+  recordAction('re-pair round', () => {
+    const { tournament } = getState();
+    if (!tournament || tournament.reopenedRound) return;
+    const activeRound = tournament.rounds.find(r => r.status === 'active');
+    if (!activeRound) return;
 
-  const anyResult = activeRound.matches.some(m => m.result !== null && !m.isBye);
-  if (anyResult) return; // Don't discard results already entered
+    const anyResult = activeRound.matches.some(m => m.result !== null && !m.isBye);
+    if (anyResult) return; // Don't discard results already entered
 
-  const completedCount = tournament.rounds.filter(r => r.status === 'complete').length;
-  setState(state => ({
-    ...state,
-    tournament: {
-      ...state.tournament,
-      currentRound: completedCount,
-      rounds: state.tournament.rounds.filter(r => r.status !== 'active'),
-    },
-  }));
-  pairNextRound();
+    const completedCount = tournament.rounds.filter(r => r.status === 'complete').length;
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        currentRound: completedCount,
+        rounds: state.tournament.rounds.filter(r => r.status !== 'active'),
+      },
+    }));
+    pairNextRound();
+    if (activeRound.bestOf) setRoundFormat(activeRound.bestOf); // Keep a per-round override
+    _keepClock(activeRound);
+  });
+}
+
+/**
+ * Change the match format of the active round (e.g. Bo5 for a final).
+ * Only allowed before any result is entered; the bye's game credit follows
+ * the new format. Returns false if the change was refused.
+ * @param {number} bestOf - One of MATCH_FORMATS.
+ * @returns {boolean}
+ */
+export function setRoundFormat(bestOf) {
+  return recordAction(`set Bo${bestOf}`, () => {
+    const { tournament } = getState();
+    const activeRound = tournament?.rounds.find(r => r.status === 'active');
+    if (!activeRound || !MATCH_FORMATS.includes(bestOf)) return false;
+    if (activeRound.matches.some(m => !m.isBye && m.result !== null)) return false;
+
+    const scoring = tournament.scoring ?? DEFAULT_SCORING;
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        rounds: state.tournament.rounds.map(round => round.status !== 'active' ? round : {
+          ...round,
+          bestOf,
+          matches: round.matches.map(m => m.isBye
+            ? { ...m, result: { ...m.result, ...byeResult(scoring, bestOf) } }
+            : m),
+        }),
+      },
+    }));
+    return true;
+  });
 }
 
 /**
@@ -286,54 +438,133 @@ export function repairActiveRound() {
  * Generates a new random seating and re-rolls pairings.
  */
 export function repairRound1() {
-  const { tournament } = getState();
-  if (!tournament) return;
-  const activeRound = tournament.rounds.find(r => r.status === 'active');
-  if (!activeRound || activeRound.roundNumber !== 1) return;
-  const anyResult = activeRound.matches.some(m => m.result !== null && !m.isBye);
-  if (anyResult) return; // Can't re-pair once results are being entered
-
-  // Remove the current active round and re-pair
-  setState(state => ({
-    ...state,
-    tournament: {
-      ...state.tournament,
-      currentRound: 0,
-      rounds: state.tournament.rounds.filter(r => r.status !== 'active'),
-    },
-  }));
-  pairNextRound();
+  recordAction('re-pair round 1', () => {
+    const { tournament } = getState();
+    if (!tournament) return;
+    const activeRound = tournament.rounds.find(r => r.status === 'active');
+    if (!activeRound || activeRound.roundNumber !== 1) return;
+    const anyResult = activeRound.matches.some(m => m.result !== null && !m.isBye);
+    if (anyResult) return; // Can't re-pair once results are being entered
+
+    // Remove the current active round and re-pair
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        currentRound: 0,
+        rounds: state.tournament.rounds.filter(r => r.status !== 'active'),
+      },
+    }));
+    pairNextRound();
+    _keepClock(activeRound);
+  });
 }
 
 // Result submission
 
 /**
  * Submit (or update) a match result.
+ * Returns false (and changes nothing) if the result is impossible in the
+ * round's match format (e.g. 2-0 in a best-of-1 round), undecided in a playoff
+ * round, or a double loss the scoring preset does not allow (see isAllowedResult).
  * @param {string} matchId
+ * @param {{ player1Wins: number, player2Wins: number, draws: number, doubleLoss?: boolean }} result
+ * @param {{ device?: string }} [options] - device: who sent the result, for the audit log
+ *   (a sync client's name); omit for this device.
+ * @returns {boolean}
+ */
+export function submitResult(matchId, result, { device = null } = {}) {
+  return recordAction(`result ${_matchName(matchId)}`, () => {
+    const { tournament } = getState();
+    const round = tournament?.rounds.find(r => r.matches.some(m => m.id === matchId));
+    if (!round || !isAllowedResult(result, tournament, round)) return false;
+    const match = round.matches.find(m => m.id === matchId);
+
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        rounds: state.tournament.rounds.map(round => ({
+          ...round,
+          matches: round.matches.map(match =>
+            match.id === matchId
+              ? {
+                  ...match,
+                  result: {
+                    ...result,
+                    submittedAt: match.result?.submittedAt ?? new Date().toISOString(),
+                    correctedAt: match.result ? new Date().toISOString() : null,
+                  },
+                }
+              : match
+          ),
+        })),
+      },
+    }));
+    _audit(auditEntry(match.result ? 'correct' : 'submit', round, match, {
+      before: _score(match.result),
+      after:  _score(result),
+      device,
+    }));
+    return true;
+  });
+}
+
+/**
+ * Correct a result (from the active round or round history) as one undoable
+ * action, then re-pair the active round if no results have been entered in it yet.
+ * @param {string} matchId
+ * @param {{ player1Wins: number, player2Wins: number, draws: number, doubleLoss?: boolean }} result
+ * @param {{ device?: string }} [options] - See submitResult.
+ * @returns {boolean} False if the result was rejected.
+ */
+export function correctResult(matchId, result, options = {}) {
+  return recordAction(`correct ${_matchName(matchId)}`, () => {
+    if (!submitResult(matchId, result, options)) return false;
+    repairActiveRound();
+    return true;
+  });
+}
+
+/**
+ * Record a result reported by one of the players of an active-round match.
+ * The result is submitted once both players have reported the same score;
+ * differing reports are kept for the scorekeeper to resolve. A player may
+ * report again to change their own report.
+ *
+ * @param {string} matchId
+ * @param {1|2}    seat   - 1 if player 1 reported, 2 if player 2 did.
  * @param {{ player1Wins: number, player2Wins: number, draws: number }} result
+ * @param {{ device?: string }} [options] - See submitResult.
+ * @returns {'waiting'|'agreed'|'disputed'|null} Null if the report was rejected.
  */
-export function submitResult(matchId, result) {
-  setState(state => ({
-    ...state,
-    tournament: {
-      ...state.tournament,
-      rounds: state.tournament.rounds.map(round => ({
-        ...round,
-        matches: round.matches.map(match =>
-          match.id === matchId
-            ? {
-                ...match,
-                result: {
-                  ...result,
-                  submittedAt: match.result?.submittedAt ?? new Date().toISOString(),
-                  correctedAt: match.result ? new Date().toISOString() : null,
-                },
-              }
-            : match
-        ),
-      })),
-    },
-  }));
+export function reportResult(matchId, seat, result, options = {}) {
+  return recordAction(`report ${_matchName(matchId)}`, () => {
+    const { tournament } = getState();
+    const round = tournament?.rounds.find(r => r.status === 'active');
+    const match = round?.matches.find(m => m.id === matchId);
+    if (!match || match.isBye || match.result || (seat !== 1 && seat !== 2)) return null;
+    if (!isAllowedResult(result, tournament, round)) return null;
+
+    const reports = {
+      ...match.reports,
+      [seat === 1 ? 'player1' : 'player2']: { result, reportedAt: new Date().toISOString() },
+    };
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        rounds: state.tournament.rounds.map(r => ({
+          ...r,
+          matches: r.matches.map(m => (m.id === matchId ? { ...m, reports } : m)),
+        })),
+      },
+    }));
+
+    const status = reportStatus({ reports });
+    if (status === 'agreed') submitResult(matchId, reports.player1.result, options);
+    return status;
+  });
 }
 
 // Round completion
@@ -344,60 +575,198 @@ export function submitResult(matchId, result) {
  * @returns {boolean}
  */
 export function completeCurrentRound() {
-  const round = getActiveRound();
-  if (!round) return false;
-  if (!isRoundComplete()) return false;
+  return recordAction(`complete ${_roundName(getActiveRound())}`, () => {
+    const round = getActiveRound();
+    if (!round) return false;
+    if (!isRoundComplete()) return false;
 
-  setState(state => ({
-    ...state,
-    tournament: {
-      ...state.tournament,
-      rounds: state.tournament.rounds.map(r =>
-        r.roundNumber === round.roundNumber ? { ...r, status: 'complete' } : r
-      ),
-    },
+    const now = Date.now();
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        rounds: state.tournament.rounds.map(r =>
+          r.roundNumber === round.roundNumber
+            ? {
+                ...r,
+                status:           'complete',
+                completedAt:      new Date(now).toISOString(),
+                actualDurationMs: actualDuration(r, now),
+              }
+            : r
+        ),
+      },
+    }));
+    return true;
+  });
+}
+
+/**
+ * Give one table extra time, e.g. after a deck check. Extensions add up and are
+ * kept on the match as { minutes, reason, at }; see roundTimer.matchEndsAt.
+ * @param {string} matchId - A pending match in the active round.
+ * @param {number} minutes
+ * @param {string} [reason] - e.g. "Deck check"
+ * @returns {boolean} False if the match is not pending or minutes is not positive.
+ */
+export function extendMatch(matchId, minutes, reason = '') {
+  return recordAction(`extend ${_matchName(matchId)}`, () => {
+    const round = getActiveRound();
+    const match = round?.matches.find(m => m.id === matchId);
+    if (!match || match.isBye || match.result || !(minutes > 0)) return false;
+
+    const extension = { minutes, reason, at: new Date().toISOString() };
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        rounds: state.tournament.rounds.map(r => (r.roundNumber !== round.roundNumber ? r : {
+          ...r,
+          matches: r.matches.map(m =>
+            m.id === matchId ? { ...m, extensions: [...(m.extensions ?? []), extension] } : m
+          ),
+        })),
+      },
+    }));
+    _audit(auditEntry('extend', round, match, {
+      before: { minutes: extensionMinutes(match) },
+      after:  { minutes: extensionMinutes(match) + minutes, reason },
+    }));
+    return true;
+  });
+}
+
+// Round clock
+// Not undoable actions: undo restores the tournament, but store.undo carries the
+// live clock over (roundTimer.carryTimers), since time kept running meanwhile.
+
+/**
+ * Start (or restart) the active round's clock.
+ * @param {number} durationMs
+ * @param {object[]} [alerts] - Checkpoints, see logic/timerAlerts.js.
+ */
+export function startRoundTimer(durationMs, alerts) {
+  _updateRoundTimer(round => ({
+    startedAt: round.startedAt ?? new Date().toISOString(),
+    timer:     startTimer(round.timer, durationMs, alerts),
   }));
-  return true;
+}
+
+/** Pause the active round's clock. */
+export function pauseRoundTimer() {
+  _updateRoundTimer(round => ({ timer: pauseTimer(round.timer) }));
+}
+
+/** Resume the active round's clock after a pause. */
+export function resumeRoundTimer() {
+  _updateRoundTimer(round => ({ timer: resumeTimer(round.timer) }));
+}
+
+/** Clear the active round's clock (the round itself keeps running). */
+export function stopRoundTimer() {
+  _updateRoundTimer(round => ({ timer: round.timer && { ...round.timer, endsAt: null, pausedAt: null } }));
+}
+
+// Round correction
+
+/**
+ * Reopen a completed Swiss round so its results can be corrected.
+ * Pairing is paused until closeReopenedRound is called. Only one round
+ * can be reopened at a time.
+ * @param {number} roundNumber
+ */
+export function reopenRound(roundNumber) {
+  recordAction(`reopen round ${roundNumber}`, () => {
+    const { tournament } = getState();
+    if (!tournament || tournament.status !== 'active' || tournament.reopenedRound) return;
+    const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
+    if (!round || round.status !== 'complete' || round.phase === 'playoff') return;
+
+    setState(state => ({
+      ...state,
+      tournament: { ...state.tournament, reopenedRound: roundNumber },
+    }));
+  });
+}
+
+/**
+ * Finish correcting the reopened round.
+ * Later rounds that already have results are always kept. With `regenerate`,
+ * the active round is re-paired from the corrected standings if none of its
+ * results have been entered yet; otherwise later pairings are kept as they are.
+ * @param {{ regenerate?: boolean }} [options]
+ */
+export function closeReopenedRound({ regenerate = false } = {}) {
+  const { tournament } = getState();
+  const roundNumber = tournament?.reopenedRound;
+  if (!roundNumber) return;
+
+  const label = regenerate ? `re-pair after round ${roundNumber}` : `close round ${roundNumber}`;
+  recordAction(label, () => {
+    setState(state => ({
+      ...state,
+      tournament: { ...state.tournament, reopenedRound: null },
+    }));
+    if (regenerate) repairActiveRound();
+  });
 }
 
 // Tournament completion / abandonment
 
 /** Mark tournament as finished (no more rounds). */
 export function finishTournament() {
-  setState(state => ({
-    ...state,
-    tournament: { ...state.tournament, status: 'complete' },
-  }));
+  recordAction('finish tournament', () => {
+    setState(state => ({
+      ...state,
+      tournament: { ...state.tournament, status: 'complete' },
+    }));
+  });
 }
 
-/** Discard the current tournament entirely (cannot be undone). */
+/** Discard the current tournament entirely (can only be undone until the app restarts). */
 export function abandonTournament() {
-  setState(state => ({ ...state, tournament: null }));
+  recordAction('abandon tournament', () => {
+    setState(state => ({ ...state, tournament: null }));
+  });
 }
 
 // Player management during a tournament
 
 /** Add a late arrival to the active player list. */
 export function addLateArrival(playerId) {
-  setState(state => ({
-    ...state,
-    tournament: {
-      ...state.tournament,
-      activePlayers: [...state.tournament.activePlayers, playerId],
-    },
-  }));
+  recordAction(`add ${_playerName(playerId)}`, () => {
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        activePlayers:  [...state.tournament.activePlayers, playerId],
+        // Re-adding a dropped player puts them back in the event
+        droppedPlayers: (state.tournament.droppedPlayers ?? []).filter(id => id !== playerId),
+        dropRounds:     _omit(state.tournament.dropRounds, playerId),
+      },
+    }));
+  });
 }
 
-/** Drop a player from the tournament (they won't appear in future pairings). */
+/**
+ * Drop a player from the tournament. They won't appear in future pairings but
+ * stay in the standings, marked with the last Swiss round they played.
+ */
 export function dropPlayer(playerId) {
-  setState(state => ({
-    ...state,
-    tournament: {
-      ...state.tournament,
-      activePlayers:  state.tournament.activePlayers.filter(id => id !== playerId),
-      droppedPlayers: [...state.tournament.droppedPlayers, playerId],
-    },
-  }));
+  recordAction(`drop ${_playerName(playerId)}`, () => {
+    const round = getActiveRound();
+    const match = round?.matches.find(m => m.player1Id === playerId || m.player2Id === playerId);
+    setState(state => ({
+      ...state,
+      tournament: {
+        ...state.tournament,
+        activePlayers:  state.tournament.activePlayers.filter(id => id !== playerId),
+        droppedPlayers: [...state.tournament.droppedPlayers, playerId],
+        dropRounds:     { ...state.tournament.dropRounds, [playerId]: _lastSwissRound(state.tournament) },
+      },
+    }));
+    _audit(auditEntry('drop', round, match, { playerId }));
+  });
 }
 
 // Tournament history
@@ -407,9 +776,11 @@ export function dropPlayer(playerId) {
  * No-op if there is no completed tournament in the active slot.
  */
 export function reopenCurrentTournament() {
-  setState(state => {
-    if (state.tournament?.status !== 'complete') return state;
-    return { ...state, tournament: { ...state.tournament, status: 'active' } };
+  recordAction('reopen tournament', () => {
+    setState(state => {
+      if (state.tournament?.status !== 'complete') return state;
+      return { ...state, tournament: { ...state.tournament, status: 'active' } };
+    });
   });
 }
 
@@ -419,21 +790,23 @@ export function reopenCurrentTournament() {
  * @param {string} tournamentId
  */
 export function reopenTournament(tournamentId) {
-  setState(state => {
-    if (state.tournament?.status === 'active') return state;
-    const idx = (state.pastTournaments ?? []).findIndex(t => t.id === tournamentId);
-    if (idx === -1) return state;
-    const toReopen = state.pastTournaments[idx];
-    const remaining = state.pastTournaments.filter((_, i) => i !== idx);
-    // If there's a finished tournament in the active slot, push it back to history
-    const newPast = state.tournament
-      ? [state.tournament, ...remaining]
-      : remaining;
-    return {
-      ...state,
-      tournament: { ...toReopen, status: 'active' },
-      pastTournaments: newPast,
-    };
+  recordAction('reopen tournament', () => {
+    setState(state => {
+      if (state.tournament?.status === 'active') return state;
+      const idx = (state.pastTournaments ?? []).findIndex(t => t.id === tournamentId);
+      if (idx === -1) return state;
+      const toReopen = state.pastTournaments[idx];
+      const remaining = state.pastTournaments.filter((_, i) => i !== idx);
+      // If there's a finished tournament in the active slot, push it back to history
+      const newPast = state.tournament
+        ? [state.tournament, ...remaining]
+        : remaining;
+      return {
+        ...state,
+        tournament: { ...toReopen, status: 'active' },
+        pastTournaments: newPast,
+      };
+    });
   });
 }
 
@@ -442,17 +815,179 @@ export function reopenTournament(tournamentId) {
  * @param {string} tournamentId
  */
 export function deleteHistoryEntry(tournamentId) {
+  recordAction('delete tournament', () => {
+    setState(state => ({
+      ...state,
+      pastTournaments: (state.pastTournaments ?? []).filter(t => t.id !== tournamentId),
+    }));
+  });
+}
+
+/**
+ * Add tournaments rebuilt from results CSV rows (see csvImport.js) to history.
+ * Names missing from the player list are added as new players. Dates that
+ * already have a tournament are skipped, so importing a file twice is harmless.
+ * @param {object[]} rows - From parseResultsCSV.
+ * @returns {number} Number of tournaments imported.
+ */
+export function importResults(rows) {
+  return recordAction('import results', () => {
+    const { players, tournament, pastTournaments = [] } = getState();
+    const known = new Set([tournament, ...pastTournaments].filter(Boolean).map(t => t.dateStr));
+    const newRows = rows.filter(r => !known.has(r.tournamentDate));
+    if (newRows.length === 0) return 0;
+
+    const newPlayers = matchPlayerNames(newRows, players).unmatched
+      .map(name => ({ id: uuid(), name, active: true }));
+    const { ids } = matchPlayerNames(newRows, [...players, ...newPlayers]);
+    const imported = buildTournaments(newRows, ids, uuid);
+
+    setState(state => ({
+      ...state,
+      players: [...state.players, ...newPlayers],
+      pastTournaments: [...imported, ...(state.pastTournaments ?? [])]
+        .sort((a, b) => b.dateStr.localeCompare(a.dateStr)),
+    }));
+    return imported.length;
+  });
+}
+
+// Internal
+
+/** Match points by player ID from the tournament's completed Swiss rounds. */
+function _pointsMap(tournament) {
+  const standings = computeStandings(standingsPlayerIds(tournament), tournament.rounds, standingsOptions(tournament));
+  return Object.fromEntries(standings.map(s => [s.playerId, s.matchPoints]));
+}
+
+/** Player name for action labels, falling back to the ID. */
+function _playerName(playerId) {
+  return getState().players.find(p => p.id === playerId)?.name ?? playerId;
+}
+
+/** "Anna vs Ben" for action labels. */
+function _matchName(matchId) {
+  const match = getState().tournament?.rounds
+    .flatMap(r => r.matches)
+    .find(m => m.id === matchId);
+  return match ? `${_playerName(match.player1Id)} vs ${_playerName(match.player2Id)}` : 'match';
+}
+
+/** "round 3" or a playoff label ("SF") for action labels. */
+function _roundName(round) {
+  if (!round) return 'round';
+  return round.label ?? `round ${round.roundNumber}`;
+}
+
+// Highest completed Swiss round number (0 before any round is finished)
+function _lastSwissRound(tournament) {
+  return tournament.rounds
+    .filter(r => r.status === 'complete' && r.phase !== 'playoff')
+    .reduce((max, r) => Math.max(max, r.roundNumber), 0);
+}
+
+function _omit(obj, key) {
+  const { [key]: _, ...rest } = obj ?? {};
+  return rest;
+}
+
+/** Deep-enough copy of a scoring preset so edits never leak back into SCORING_PRESETS. */
+function _copyScoring(scoring) {
+  return { ...scoring, bye: { ...scoring.bye } };
+}
+
+/** Apply changes(round) to the active round, outside the undo history. */
+function _updateRoundTimer(changes) {
+  setState(state => {
+    const round = state.tournament?.rounds.find(r => r.status === 'active');
+    if (!round) return state;
+    return {
+      ...state,
+      tournament: {
+        ...state.tournament,
+        rounds: state.tournament.rounds.map(r => (r === round ? { ...r, ...changes(r) } : r)),
+      },
+    };
+  });
+}
+
+/** After re-pairing, give the new active round the clock of the one it replaced. */
+function _keepClock(oldRound) {
+  if (!oldRound.timer) return;
+  _updateRoundTimer(() => ({ startedAt: oldRound.startedAt, timer: oldRound.timer }));
+}
+
+/** Append entries to the tournament's audit log (see logic/audit.js). */
+function _audit(...entries) {
   setState(state => ({
     ...state,
-    pastTournaments: (state.pastTournaments ?? []).filter(t => t.id !== tournamentId),
+    tournament: { ...state.tournament, auditLog: [...(state.tournament.auditLog ?? []), ...entries] },
   }));
 }
 
-// Internal
-
-function _uuid() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
-    const r = Math.random() * 16 | 0;
-    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+/** Log every match of the active round whose players changed since roundBefore. */
+function _auditPairingChanges(action, roundBefore) {
+  if (!roundBefore) return;
+  const round = getState().tournament.rounds.find(r => r.roundNumber === roundBefore.roundNumber);
+  const entries = round.matches.flatMap(match => {
+    const old = roundBefore.matches.find(m => m.id === match.id);
+    if (!old || (old.player1Id === match.player1Id && old.player2Id === match.player2Id)) return [];
+    return [auditEntry(action, round, match, {
+      before: { player1Id: old.player1Id, player2Id: old.player2Id },
+      after:  { player1Id: match.player1Id, player2Id: match.player2Id },
+    })];
   });
+  if (entries.length > 0) _audit(...entries);
+}
+
+/** The score part of a result, without timestamps, for the audit log. */
+function _score(result) {
+  if (!result) return null;
+  const { player1Wins, player2Wins, draws, doubleLoss } = result;
+  return { player1Wins, player2Wins, draws, ...(doubleLoss ? { doubleLoss } : {}) };
+}
+
+/** Recompute who is paired down after a manual change to a match's players. */
+function _withPairedDown(match, points) {
+  return { ...match, pairedDownId: pairedDownPlayer(match.player1Id, match.player2Id, points) };
+}
+
+/** Pair the next bracket round: seeds for the first, winners after that. */
+function _pairPlayoffRound(tournament) {
+  const playoffRounds = tournament.rounds.filter(r => r.phase === 'playoff');
+  const prevRound = playoffRounds[playoffRounds.length - 1];
+  if (prevRound && (prevRound.status !== 'complete' || prevRound.matches.length === 1)) return;
+
+  const pairs = prevRound
+    ? pairNextPlayoffRound(prevRound)
+    : pairFirstPlayoffRound(tournament.playoff.seeds);
+  if (pairs.some(p => !p.player1Id || !p.player2Id)) return; // Undecided match upstream
+
+  const matches = pairs.map(({ player1Id, player2Id }) => ({
+    id: uuid(),
+    player1Id,
+    player2Id,
+    isBye: false,
+    result: null,
+  }));
+
+  const roundNumber = tournament.rounds.length + 1;
+  setState(state => ({
+    ...state,
+    tournament: {
+      ...state.tournament,
+      currentRound: roundNumber,
+      rounds: [
+        ...state.tournament.rounds,
+        {
+          roundNumber,
+          status: 'active',
+          phase:  'playoff',
+          label:  playoffRoundLabel(matches.length),
+          bestOf: roundBestOf(tournament),
+          matches,
+        },
+      ],
+    },
+  }));
 }